@@ -0,0 +1,154 @@
+/**
+ * @file alerts.js
+ * @path src/alerts.js
+ * @description Matches new segments against the user's watchlist (symbols, phrases, speakers),
+ * rate-limits each rule, raises desktop notifications and records fired alerts in the history.
+ * @modified 2026-10-19
+ * @requires storage.js
+ */
+
+import { getWatchlist, addAlertHistory } from './storage.js';
+
+const SNIPPET_RADIUS = 60;
+
+// ruleId -> time the rule last fired. Kept in memory: a service worker restart
+// at worst lets one extra alert through per rule.
+const lastFiredAt = new Map();
+
+function escapeRegExp(string) {
+    return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Expands a watchlist into individual rules with stable IDs.
+ * @param {object} watchlist - The stored watchlist.
+ * @returns {Array<{id: string, kind: 'symbol'|'phrase'|'speaker', value: string}>}
+ */
+function watchlistRules(watchlist) {
+    return [
+        ...watchlist.symbols.map(value => ({ kind: 'symbol', value })),
+        ...watchlist.phrases.map(value => ({ kind: 'phrase', value })),
+        ...watchlist.speakers.map(value => ({ kind: 'speaker', value })),
+    ].map(rule => ({ ...rule, id: `${rule.kind}:${rule.value.toLowerCase()}` }));
+}
+
+/**
+ * Finds the text a rule matched in a segment.
+ * @returns {string|null} The matched text, or null if the rule does not match.
+ */
+function matchRule(rule, segment) {
+    switch (rule.kind) {
+        case 'symbol': {
+            if (!(segment.entities?.symbols || []).includes(rule.value)) return null;
+            const match = segment.text.match(new RegExp(`\\$?\\b${escapeRegExp(rule.value)}\\b`, 'i'));
+            return match ? match[0] : rule.value;
+        }
+        case 'phrase': {
+            const match = segment.text.match(new RegExp(`(?<!\\w)${escapeRegExp(rule.value)}(?!\\w)`, 'i'));
+            return match ? match[0] : null;
+        }
+        case 'speaker':
+            return segment.speaker && segment.speaker.toLowerCase().includes(rule.value.toLowerCase())
+                ? segment.speaker
+                : null;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Cuts a snippet of the segment text around the matched text.
+ */
+function buildSnippet(text, matchText) {
+    const index = text.toLowerCase().indexOf(matchText.toLowerCase());
+    if (index === -1 || text.length <= SNIPPET_RADIUS * 2) {
+        return text.length > SNIPPET_RADIUS * 2 ? `${text.slice(0, SNIPPET_RADIUS * 2)}…` : text;
+    }
+    const start = Math.max(0, index - SNIPPET_RADIUS);
+    const end = Math.min(text.length, index + matchText.length + SNIPPET_RADIUS);
+    return `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+}
+
+function showNotification(alert) {
+    const label = alert.kind === 'speaker' ? alert.speaker : `${alert.speaker} · ${alert.value}`;
+    chrome.notifications.create(`vtf-alert-${alert.id}`, {
+        type: 'basic',
+        iconUrl: 'icons/icon128.png',
+        title: `VTF Alert: ${label}`,
+        message: alert.snippet,
+        priority: 2
+    }, () => {
+        if (chrome.runtime.lastError) {
+            console.warn('[Alerts] Notification failed:', chrome.runtime.lastError.message);
+        }
+    });
+}
+
+/**
+ * Checks a new segment against the watchlist. Every matching rule is returned so the overlay
+ * can highlight it; only rules outside their cooldown notify and are logged to the history.
+ * @param {object} segment - The completed segment (text, speaker, timestamp, entities).
+ * @returns {Promise<Array<{ruleId: string, kind: string, value: string, matchText: string, notified: boolean, sound: boolean}>>}
+ */
+export async function checkSegmentAlerts(segment) {
+    if (!segment || !segment.text) return [];
+
+    const watchlist = await getWatchlist();
+    const now = Date.now();
+    const matches = [];
+    const fired = [];
+
+    for (const rule of watchlistRules(watchlist)) {
+        const matchText = matchRule(rule, segment);
+        if (!matchText) continue;
+
+        const last = lastFiredAt.get(rule.id) || 0;
+        const notified = now - last >= watchlist.cooldownSeconds * 1000;
+        matches.push({
+            ruleId: rule.id,
+            kind: rule.kind,
+            value: rule.value,
+            matchText,
+            notified,
+            sound: notified && watchlist.sound,
+        });
+
+        if (notified) {
+            lastFiredAt.set(rule.id, now);
+            fired.push({
+                id: `${now}-${fired.length}`,
+                ruleId: rule.id,
+                kind: rule.kind,
+                value: rule.value,
+                speaker: segment.speaker,
+                snippet: buildSnippet(segment.text, matchText),
+                segmentTimestamp: segment.timestamp,
+                firedAt: now,
+            });
+        } else {
+            console.log(`[Alerts] Rule ${rule.id} matched but is cooling down`);
+        }
+    }
+
+    if (fired.length > 0) {
+        fired.forEach(showNotification);
+        await addAlertHistory(fired);
+        console.log(`[Alerts] Fired ${fired.length} alert(s) for segment from ${segment.speaker}`);
+    }
+
+    return matches;
+}
+
+/**
+ * Filters the alert history by a free-text query over rule value, speaker and snippet.
+ * @param {Array<object>} history - The stored history, newest first.
+ * @param {string} query - The search text; empty returns everything.
+ * @returns {Array<object>}
+ */
+export function searchAlertHistory(history, query) {
+    const needle = (query || '').trim().toLowerCase();
+    if (!needle) return history;
+    return history.filter(alert =>
+        [alert.value, alert.speaker, alert.snippet].some(field => (field || '').toLowerCase().includes(needle))
+    );
+}
@@ -0,0 +1,367 @@
+/**
+ * @file analytics.js
+ * @path src/analytics.js
+ * @description Analytics dashboard: loads per-day statistics from the background and draws them
+ * as canvas charts (talk time per speaker, segments and cost, symbols, session slots, latency and errors).
+ * @modified 2026-10-19
+ */
+
+document.addEventListener('DOMContentLoaded', () => {
+  const analyticsRange = document.getElementById('analyticsRange');
+  const analyticsSummary = document.getElementById('analyticsSummary');
+
+  const TRADING_TIMEZONE = 'America/New_York'; // Mirrors archive.js
+  const tradingDayFormat = new Intl.DateTimeFormat('en-CA', {
+    timeZone: TRADING_TIMEZONE, year: 'numeric', month: '2-digit', day: '2-digit'
+  });
+  const MAX_SPEAKER_SERIES = 8;
+  const MAX_SYMBOLS = 12;
+  const PALETTE = ['#174d74', '#00bc8c', '#f39c12', '#e74c3c', '#3498db', '#8e44ad', '#16a085', '#d35400', '#adb5bd'];
+
+  let lastData = null;
+
+  analyticsRange.addEventListener('change', loadAnalytics);
+  // Canvases are sized from their layout width, so redraw when that changes
+  window.addEventListener('resize', () => {
+    if (lastData) render(lastData.days, lastData.session);
+  });
+
+  loadAnalytics();
+
+  function loadAnalytics() {
+    const rangeDays = parseInt(analyticsRange.value, 10);
+    const range = rangeDays > 0
+      ? { fromDay: tradingDayFormat.format(new Date(Date.now() - (rangeDays - 1) * 24 * 60 * 60 * 1000)) }
+      : {};
+
+    chrome.runtime.sendMessage({type: 'getAnalytics', range: range}, (response) => {
+      if (chrome.runtime.lastError || !response || response.status === 'error') {
+        const reason = chrome.runtime.lastError ? chrome.runtime.lastError.message : response?.message;
+        analyticsSummary.textContent = 'Could not load analytics: ' + (reason || 'unknown error');
+        return;
+      }
+      lastData = response;
+      render(response.days, response.session);
+    });
+  }
+
+  function render(days, session) {
+    renderMetrics(days, session);
+    renderTalkTime(days);
+    renderVolume(days);
+    renderSymbols(days);
+    renderSlots(days);
+    renderHealth(days);
+  }
+
+  // --- Summary ---
+
+  function renderMetrics(days, session) {
+    const totals = days.reduce((sum, day) => ({
+      talkSeconds: sum.talkSeconds + day.talkSeconds,
+      segments: sum.segments + day.segments,
+      cost: sum.cost + day.cost,
+      requests: sum.requests + day.requests,
+      errors: sum.errors + day.errors,
+      latencyMs: sum.latencyMs + day.latencyMs,
+      latencySamples: sum.latencySamples + day.latencySamples
+    }), { talkSeconds: 0, segments: 0, cost: 0, requests: 0, errors: 0, latencyMs: 0, latencySamples: 0 });
+
+    document.getElementById('metricTalkTime').textContent = formatDuration(totals.talkSeconds);
+    document.getElementById('metricSegments').textContent = totals.segments.toLocaleString();
+    document.getElementById('metricCost').textContent = formatCost(totals.cost);
+    document.getElementById('metricLatency').textContent = totals.latencySamples > 0
+      ? formatLatency(totals.latencyMs / totals.latencySamples)
+      : '–';
+
+    const errorRate = totals.requests > 0 ? totals.errors / totals.requests : 0;
+    const errorsEl = document.getElementById('metricErrors');
+    errorsEl.textContent = `${(errorRate * 100).toFixed(1)}%`;
+    errorsEl.className = 'vtf-metric-value' + (errorRate > 0.1 ? ' danger' : errorRate > 0.02 ? ' warning' : '');
+
+    // The live session is already counted in today's row; shown separately for its running cost
+    document.getElementById('metricSession').textContent = session && session.segments > 0
+      ? `${formatCost(session.cost)} · ${formatDuration(session.processedSeconds)}`
+      : '–';
+
+    analyticsSummary.textContent = days.length > 0
+      ? `${days.length} trading day${days.length === 1 ? '' : 's'} from ${days[0].tradingDay} to ${days[days.length - 1].tradingDay}`
+      : 'No statistics yet. They are recorded as segments are transcribed.';
+  }
+
+  // --- Charts ---
+
+  function renderTalkTime(days) {
+    const totalsBySpeaker = {};
+    days.forEach(day => {
+      Object.entries(day.speakers).forEach(([speaker, stats]) => {
+        totalsBySpeaker[speaker] = (totalsBySpeaker[speaker] || 0) + stats.seconds;
+      });
+    });
+
+    // The busiest speakers get their own colour; everyone else is grouped
+    const ranked = Object.keys(totalsBySpeaker).sort((a, b) => totalsBySpeaker[b] - totalsBySpeaker[a]);
+    const named = ranked.slice(0, MAX_SPEAKER_SERIES);
+    const series = named.map((speaker, index) => ({
+      label: speaker,
+      color: PALETTE[index],
+      values: days.map(day => (day.speakers[speaker]?.seconds || 0) / 60)
+    }));
+    if (ranked.length > named.length) {
+      series.push({
+        label: 'Others',
+        color: PALETTE[PALETTE.length - 1],
+        values: days.map(day => Object.entries(day.speakers)
+          .filter(([speaker]) => !named.includes(speaker))
+          .reduce((sum, [, stats]) => sum + stats.seconds, 0) / 60)
+      });
+    }
+
+    drawColumnChart(document.getElementById('chartTalkTime'), {
+      labels: days.map(day => day.tradingDay.slice(5)),
+      bars: series,
+      stacked: true,
+      formatBar: value => `${Math.round(value)}m`
+    });
+    renderLegend(document.getElementById('legendTalkTime'), series);
+  }
+
+  function renderVolume(days) {
+    const bars = [{ label: 'Segments', color: PALETTE[0], values: days.map(day => day.segments) }];
+    const line = { label: 'Cost', color: PALETTE[2], values: days.map(day => day.cost) };
+
+    drawColumnChart(document.getElementById('chartVolume'), {
+      labels: days.map(day => day.tradingDay.slice(5)),
+      bars,
+      line,
+      formatBar: value => Math.round(value).toString(),
+      formatLine: formatCost
+    });
+    renderLegend(document.getElementById('legendVolume'), [...bars, line]);
+  }
+
+  function renderSymbols(days) {
+    const mentions = {};
+    days.forEach(day => {
+      Object.entries(day.symbols).forEach(([symbol, count]) => {
+        mentions[symbol] = (mentions[symbol] || 0) + count;
+      });
+    });
+
+    const entries = Object.entries(mentions)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, MAX_SYMBOLS);
+    drawRowChart(document.getElementById('chartSymbols'), entries, PALETTE[1]);
+  }
+
+  function renderSlots(days) {
+    const seconds = {};
+    days.forEach(day => {
+      Object.entries(day.slots).forEach(([slot, value]) => {
+        seconds[slot] = (seconds[slot] || 0) + value;
+      });
+    });
+
+    const slots = Object.keys(seconds).sort();
+    drawColumnChart(document.getElementById('chartSlots'), {
+      labels: slots,
+      bars: [{ label: 'Talk time', color: PALETTE[4], values: slots.map(slot => seconds[slot] / 60) }],
+      formatBar: value => `${Math.round(value)}m`
+    });
+  }
+
+  function renderHealth(days) {
+    const bars = [{
+      label: 'Avg latency',
+      color: PALETTE[4],
+      values: days.map(day => day.latencySamples > 0 ? day.latencyMs / day.latencySamples : 0)
+    }];
+    const line = {
+      label: 'Error rate',
+      color: PALETTE[3],
+      values: days.map(day => day.requests > 0 ? day.errors / day.requests * 100 : 0)
+    };
+
+    drawColumnChart(document.getElementById('chartHealth'), {
+      labels: days.map(day => day.tradingDay.slice(5)),
+      bars,
+      line,
+      formatBar: formatLatency,
+      formatLine: value => `${value.toFixed(1)}%`
+    });
+    renderLegend(document.getElementById('legendHealth'), [...bars, line]);
+  }
+
+  function renderLegend(container, series) {
+    container.replaceChildren();
+    series.forEach(item => {
+      const entry = document.createElement('span');
+      entry.className = 'vtf-chart-legend-item';
+      const swatch = document.createElement('span');
+      swatch.className = 'vtf-chart-swatch';
+      swatch.style.background = item.color;
+      entry.appendChild(swatch);
+      entry.appendChild(document.createTextNode(item.label));
+      container.appendChild(entry);
+    });
+  }
+
+  // --- Canvas Drawing ---
+
+  /**
+   * Sizes a canvas to its layout width at the device pixel ratio and returns a cleared context
+   * scaled to CSS pixels.
+   */
+  function prepareCanvas(canvas) {
+    const ratio = window.devicePixelRatio || 1;
+    const width = canvas.clientWidth;
+    const height = parseInt(canvas.getAttribute('height'), 10);
+    canvas.width = width * ratio;
+    canvas.height = height * ratio;
+    canvas.style.height = `${height}px`;
+
+    const context = canvas.getContext('2d');
+    context.setTransform(ratio, 0, 0, ratio, 0, 0);
+    context.clearRect(0, 0, width, height);
+    context.font = '11px Inter, sans-serif';
+    return { context, width, height };
+  }
+
+  function drawEmpty(context, width, height) {
+    context.fillStyle = '#6c757d';
+    context.textAlign = 'center';
+    context.fillText('No data for this range', width / 2, height / 2);
+  }
+
+  /**
+   * Draws vertical bars per label (side by side, or stacked), with an optional line series
+   * on its own right-hand scale.
+   * @param {HTMLCanvasElement} canvas
+   * @param {{labels: Array<string>, bars: Array<{color: string, values: Array<number>}>, stacked?: boolean,
+   *   line?: {color: string, values: Array<number>}, formatBar: function, formatLine?: function}} chart
+   */
+  function drawColumnChart(canvas, chart) {
+    const { context, width, height } = prepareCanvas(canvas);
+    const { labels, bars, line, stacked } = chart;
+    if (labels.length === 0) return drawEmpty(context, width, height);
+
+    const padding = { top: 12, right: line ? 56 : 12, bottom: 24, left: 48 };
+    const plotWidth = width - padding.left - padding.right;
+    const plotHeight = height - padding.top - padding.bottom;
+
+    const columnTotals = labels.map((_, index) => stacked
+      ? bars.reduce((sum, series) => sum + series.values[index], 0)
+      : Math.max(...bars.map(series => series.values[index])));
+    const barMax = Math.max(...columnTotals) || 1;
+    const y = value => padding.top + plotHeight - (value / barMax) * plotHeight;
+
+    // Gridlines and left axis labels
+    context.strokeStyle = '#e9ecef';
+    context.fillStyle = '#6c757d';
+    context.textAlign = 'right';
+    context.textBaseline = 'middle';
+    for (let step = 0; step <= 4; step++) {
+      const value = (barMax / 4) * step;
+      context.beginPath();
+      context.moveTo(padding.left, y(value));
+      context.lineTo(padding.left + plotWidth, y(value));
+      context.stroke();
+      context.fillText(chart.formatBar(value), padding.left - 6, y(value));
+    }
+
+    const slotWidth = plotWidth / labels.length;
+    const groupWidth = Math.max(2, slotWidth * 0.7);
+    const barWidth = stacked ? groupWidth : groupWidth / bars.length;
+
+    labels.forEach((label, index) => {
+      const slotX = padding.left + index * slotWidth + (slotWidth - groupWidth) / 2;
+      let base = 0;
+      bars.forEach((series, seriesIndex) => {
+        const value = series.values[index];
+        const x = stacked ? slotX : slotX + seriesIndex * barWidth;
+        const top = y(base + value);
+        context.fillStyle = series.color;
+        context.fillRect(x, top, barWidth, y(base) - top);
+        if (stacked) base += value;
+      });
+    });
+
+    // Thin out x labels so they never overlap
+    context.fillStyle = '#6c757d';
+    context.textAlign = 'center';
+    context.textBaseline = 'top';
+    const labelEvery = Math.max(1, Math.ceil(labels.length / Math.floor(plotWidth / 44)));
+    labels.forEach((label, index) => {
+      if (index % labelEvery !== 0) return;
+      context.fillText(label, padding.left + (index + 0.5) * slotWidth, padding.top + plotHeight + 6);
+    });
+
+    if (line) {
+      const lineMax = Math.max(...line.values) || 1;
+      const lineY = value => padding.top + plotHeight - (value / lineMax) * plotHeight;
+
+      context.strokeStyle = line.color;
+      context.lineWidth = 2;
+      context.beginPath();
+      line.values.forEach((value, index) => {
+        const x = padding.left + (index + 0.5) * slotWidth;
+        if (index === 0) context.moveTo(x, lineY(value));
+        else context.lineTo(x, lineY(value));
+      });
+      context.stroke();
+      context.lineWidth = 1;
+
+      context.fillStyle = line.color;
+      context.textAlign = 'left';
+      context.textBaseline = 'middle';
+      for (let step = 0; step <= 4; step++) {
+        const value = (lineMax / 4) * step;
+        context.fillText(chart.formatLine(value), padding.left + plotWidth + 6, lineY(value));
+      }
+    }
+  }
+
+  /**
+   * Draws one horizontal bar per [label, value] entry, largest first.
+   */
+  function drawRowChart(canvas, entries, color) {
+    const { context, width, height } = prepareCanvas(canvas);
+    if (entries.length === 0) return drawEmpty(context, width, height);
+
+    const padding = { left: 56, right: 40 };
+    const rowHeight = Math.min(24, height / entries.length);
+    const max = entries[0][1] || 1;
+
+    context.textBaseline = 'middle';
+    entries.forEach(([label, value], index) => {
+      const rowY = index * rowHeight;
+      const barWidth = ((width - padding.left - padding.right) * value) / max;
+
+      context.fillStyle = '#222222';
+      context.textAlign = 'right';
+      context.fillText(label, padding.left - 8, rowY + rowHeight / 2);
+
+      context.fillStyle = color;
+      context.fillRect(padding.left, rowY + 3, barWidth, rowHeight - 6);
+
+      context.fillStyle = '#6c757d';
+      context.textAlign = 'left';
+      context.fillText(value.toLocaleString(), padding.left + barWidth + 6, rowY + rowHeight / 2);
+    });
+  }
+
+  // --- Formatting ---
+
+  function formatDuration(seconds) {
+    const minutes = Math.round(seconds / 60);
+    return minutes >= 60 ? `${Math.floor(minutes / 60)}h ${minutes % 60}m` : `${minutes}m`;
+  }
+
+  function formatCost(cost) {
+    return `$${cost.toFixed(2)}`;
+  }
+
+  function formatLatency(ms) {
+    return ms >= 1000 ? `${(ms / 1000).toFixed(1)}s` : `${Math.round(ms)}ms`;
+  }
+});
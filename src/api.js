@@ -1,13 +1,13 @@
 /**
  * @file api.js
  * @path src/api.js
- * @description Handles all API interactions with OpenAI, including rate limiting and audio processing.
- * @modified 2024-07-27
+ * @description Handles all transcription API interactions, including rate limiting and audio processing.
+ * @modified 2026-10-19
  */
 
-import { getApiKey } from './storage.js';
-
-const WHISPER_API_URL = 'https://api.openai.com/v1/audio/transcriptions';
+import { getTranscriptionSettings } from './storage.js';
+import { resolveProviderSettings } from './providers.js';
+import { encodeForUpload, wavByteLength } from './audio-codec.js';
 
 // --- Rate Limiter ---
 // A simple rate limiter to avoid hitting API limits.
@@ -17,9 +17,12 @@ const requestQueue = [];
 let isProcessing = false;
 let lastRequestTime = 0;
 const MIN_REQUEST_INTERVAL = 100; // Minimum 100ms between requests
-const MAX_FILE_SIZE_MB = 24; // OpenAI limit is 25MB, use 24MB for safety
+const MAX_FILE_SIZE_MB = 24; // OpenAI limit is 25MB, use 24MB for safety (self-hosted servers are held to the same cap)
 const MAX_AUDIO_DURATION_S = 600; // 10 minutes max
 
+// Providers that answered a FLAC upload with 400/415 get WAV for the rest of the worker's life
+const flacRejectedBy = new Set();
+
 async function processQueue() {
     if (isProcessing || requestQueue.length === 0) return;
     
@@ -60,52 +63,6 @@ function queueRequest(requestFunction) {
 }
 
 
-// --- Audio Utilities ---
-
-/**
- * Converts a Float32Array to a WAV file buffer.
- * @param {Float32Array} float32Array - The audio data.
- * @param {number} sampleRate - The sample rate of the audio.
- * @returns {ArrayBuffer} - The WAV file data.
- */
-function float32ToWav(float32Array, sampleRate = 16000) {
-    const numChannels = 1;
-    const bytesPerSample = 2;
-    const blockAlign = numChannels * bytesPerSample;
-    const byteRate = sampleRate * blockAlign;
-    const dataSize = float32Array.length * bytesPerSample;
-    const buffer = new ArrayBuffer(44 + dataSize);
-    const view = new DataView(buffer);
-
-    const writeString = (offset, string) => {
-        for (let i = 0; i < string.length; i++) {
-            view.setUint8(offset + i, string.charCodeAt(i));
-        }
-    };
-
-    writeString(0, 'RIFF');
-    view.setUint32(4, 36 + dataSize, true);
-    writeString(8, 'WAVE');
-    writeString(12, 'fmt ');
-    view.setUint32(16, 16, true);
-    view.setUint16(20, 1, true);
-    view.setUint16(22, numChannels, true);
-    view.setUint32(24, sampleRate, true);
-    view.setUint32(28, byteRate, true);
-    view.setUint16(32, blockAlign, true);
-    view.setUint16(34, bytesPerSample * 8, true);
-    writeString(36, 'data');
-    view.setUint32(40, dataSize, true);
-
-    for (let i = 0; i < float32Array.length; i++) {
-        const s = Math.max(-1, Math.min(1, float32Array[i]));
-        view.setInt16(44 + i * 2, s < 0 ? s * 0x8000 : s * 0x7FFF, true);
-    }
-
-    return buffer;
-}
-
-
 /**
  * Retries a function with exponential backoff.
  * @param {Function} fn - The async function to retry.
@@ -119,7 +76,9 @@ async function retryWithBackoff(fn, maxRetries = 3, baseDelay = 300) {
         try {
             return await fn();
         } catch (error) {
-            if (attempt === maxRetries) {
+            // Client errors (bad request, unsupported media type, ...) won't succeed on retry
+            const isClientError = error.status >= 400 && error.status < 500 && error.status !== 408 && error.status !== 429;
+            if (attempt === maxRetries || isClientError) {
                 throw error;
             }
             const delay = baseDelay * Math.pow(2, attempt - 1);
@@ -134,14 +93,24 @@ async function retryWithBackoff(fn, maxRetries = 3, baseDelay = 300) {
 // --- Core API Call ---
 
 /**
- * Sends an audio chunk to the Whisper API for transcription.
+ * Sends an audio chunk to the configured transcription provider.
  * @param {Float32Array} audioData - The raw audio data.
  * @param {string} streamId - The ID of the audio stream.
- * @returns {Promise<object|null>} - The transcription result or null on failure.
+ * @param {string|null} apiKey - The API key, if the provider needs one.
+ * @param {object} [overrides] - Per-call overrides of the stored transcription settings.
+ * @returns {Promise<object|null>} - The normalized transcription result or null on failure.
  */
-export async function processAudioChunk(audioData, streamId, apiKey) {
-    if (!apiKey) {
-        console.error('[API] No API key provided');
+export async function processAudioChunk(audioData, streamId, apiKey, overrides = {}) {
+    const storedSettings = await getTranscriptionSettings();
+    const { providerId, provider, settings } = resolveProviderSettings({ ...storedSettings, ...overrides });
+
+    if (provider.requiresApiKey && !apiKey) {
+        console.error(`[API] No API key provided for provider ${providerId}`);
+        return null;
+    }
+
+    if (provider.requiresBaseUrl && !settings.baseUrl) {
+        console.error(`[API] Provider ${providerId} has no base URL configured`);
         return null;
     }
 
@@ -150,7 +119,7 @@ export async function processAudioChunk(audioData, streamId, apiKey) {
         return null;
     }
 
-    console.log(`[API] Processing audio chunk for stream ${streamId}, length: ${audioData.length}`);
+    console.log(`[API] Processing audio chunk for stream ${streamId} via ${providerId}, length: ${audioData.length}`);
 
     // Validate audio duration and size BEFORE processing
     const durationInSeconds = audioData.length / 16000; // Assuming 16kHz sample rate
@@ -159,63 +128,94 @@ export async function processAudioChunk(audioData, streamId, apiKey) {
         return null;
     }
 
-    // Convert to WAV format
-    const wavBuffer = float32ToWav(audioData, 16000);
-    const fileSizeMB = wavBuffer.byteLength / (1024 * 1024);
-    
-    // Validate file size BEFORE sending to API
-    if (fileSizeMB > MAX_FILE_SIZE_MB) {
-        console.error(`[API] File size ${fileSizeMB.toFixed(2)}MB exceeds maximum ${MAX_FILE_SIZE_MB}MB`);
-        return null;
-    }
-    
-    console.log(`[API] File size: ${fileSizeMB.toFixed(2)}MB, duration: ${durationInSeconds.toFixed(1)}s`);
-
-    const audioBlob = new Blob([wavBuffer], { type: 'audio/wav' });
-    const formData = new FormData();
-    formData.append('file', audioBlob, `${streamId}-${Date.now()}.wav`);
-    formData.append('model', 'whisper-1');
-    formData.append('language', 'en');
-    formData.append('response_format', 'verbose_json');
-
-    const apiCall = async () => {
-        const response = await fetch(WHISPER_API_URL, {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${apiKey}`
-            },
-            body: formData
-        });
+    const sendRequest = async (format) => {
+        const encoded = encodeForUpload(audioData, format, 16000);
+        const fileSizeMB = encoded.byteLength / (1024 * 1024);
 
-        if (!response.ok) {
-            const errorBody = await response.json().catch(() => ({}));
-            console.error('Whisper API Error:', response.status, errorBody);
-            // Handle specific error cases if needed
-            if (response.status === 401) {
-                 chrome.runtime.sendMessage({ type: 'error', message: 'Invalid API key.' });
-            }
-            throw new Error(`API request failed with status ${response.status}`);
+        // Validate file size BEFORE sending to API
+        if (fileSizeMB > MAX_FILE_SIZE_MB) {
+            throw new Error(`File size ${fileSizeMB.toFixed(2)}MB exceeds maximum ${MAX_FILE_SIZE_MB}MB`);
         }
-        return response.json();
+
+        console.log(`[API] Upload: ${encoded.format.toUpperCase()} ${fileSizeMB.toFixed(2)}MB, duration: ${durationInSeconds.toFixed(1)}s`);
+
+        const audio = {
+            blob: new Blob([encoded.data], { type: encoded.mimeType }),
+            fileName: `${streamId}-${Date.now()}.${encoded.extension}`
+        };
+        const { url, init } = provider.buildRequest(audio, settings, apiKey);
+
+        const apiCall = async () => {
+            const response = await fetch(url, init);
+
+            if (!response.ok) {
+                const errorBody = await response.json().catch(() => ({}));
+                console.error(`[API] ${provider.label} error:`, response.status, errorBody);
+                // Handle specific error cases if needed
+                if (response.status === 401 && provider.requiresApiKey) {
+                     chrome.runtime.sendMessage({ type: 'error', message: 'Invalid API key.' });
+                }
+                const error = new Error(`API request failed with status ${response.status}`);
+                error.status = response.status;
+                throw error;
+            }
+            return response.json();
+        };
+
+        const result = await queueRequest(() => {
+            startedAt = startedAt || Date.now();
+            return retryWithBackoff(apiCall);
+        });
+        return { result, upload: { format: encoded.format, bytes: encoded.byteLength } };
     };
 
+    const queuedAt = Date.now();
+    let startedAt = null;
+    const preferredFormat = flacRejectedBy.has(providerId) ? 'wav' : settings.uploadFormat;
+
     try {
-        const result = await queueRequest(() => retryWithBackoff(apiCall));
-        const durationInSeconds = audioData.length / 16000; // Assuming 16kHz sample rate
+        let response;
+        try {
+            response = await sendRequest(preferredFormat);
+        } catch (error) {
+            // Some self-hosted builds only accept WAV; remember that and resend uncompressed
+            if (preferredFormat !== 'flac' || (error.status !== 400 && error.status !== 415)) {
+                throw error;
+            }
+            console.warn(`[API] ${provider.label} rejected FLAC upload (${error.status}), falling back to WAV`);
+            flacRejectedBy.add(providerId);
+            response = await sendRequest('wav');
+        }
+
+        const completedAt = Date.now();
+        const transcription = provider.normalize(response.result);
         
-        console.log(`[API] Whisper result for stream ${streamId}:`, {
-            text: result.text,
-            language: result.language,
-            duration: result.duration,
-            segments: result.segments?.length || 0
+        console.log(`[API] ${provider.label} result for stream ${streamId}:`, {
+            text: transcription.text,
+            language: transcription.language,
+            duration: transcription.duration,
+            segments: transcription.segments.length
         });
         
         return {
-            transcription: result,
-            duration: durationInSeconds
+            transcription,
+            duration: durationInSeconds,
+            provider: providerId,
+            model: settings.model,
+            // Self-hosted providers cost nothing per request
+            cost: (durationInSeconds / 60) * provider.costPerMinute,
+            upload: {
+                ...response.upload,
+                wavBytes: wavByteLength(audioData.length)
+            },
+            timing: {
+                queuedMs: startedAt - queuedAt,
+                requestMs: completedAt - startedAt,
+                totalMs: completedAt - queuedAt
+            }
         };
     } catch (error) {
         console.error(`Failed to process audio for stream ${streamId} after multiple retries.`, error);
         return null;
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,822 @@
+/**
+ * @file archive.js
+ * @path src/archive.js
+ * @description Persistent multi-day transcript archive in IndexedDB. Every completed segment is
+ * stored under its capture session and trading day, indexed by time, speaker and symbol, and kept
+ * until the retention policy removes it. A term index maintained as segments arrive backs full-text search,
+ * and per-day statistics rolled up as segments complete back the analytics dashboard. Conversations
+ * are stored alongside the segments they group, and the compressed audio of each transcribed window
+ * alongside the segments cut from it: for days when audio archiving is on, otherwise for a few hours
+ * so segments can be re-transcribed.
+ * @modified 2026-10-19
+ */
+
+const DB_NAME = 'vtf-archive';
+const DB_VERSION = 1;
+
+// Trading days follow the exchange calendar, not the user's local date
+export const TRADING_TIMEZONE = 'America/New_York';
+const tradingDayFormat = new Intl.DateTimeFormat('en-CA', {
+    timeZone: TRADING_TIMEZONE, year: 'numeric', month: '2-digit', day: '2-digit'
+});
+const tradingTimeFormat = new Intl.DateTimeFormat('en-GB', {
+    timeZone: TRADING_TIMEZONE, hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+});
+const SLOT_MINUTES = 30;
+const MARKET_OPEN = '09:30';
+const MARKET_CLOSE = '16:00';
+
+let dbPromise = null;
+
+// Too common to narrow a search; left out of the term index
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'i', 'if', 'in', 'is', 'it',
+    'its', 'of', 'on', 'or', 'so', 'that', 'the', 'this', 'to', 'uh', 'um', 'was', 'we', 'you'
+]);
+const DEFAULT_SEARCH_LIMIT = 200;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_TRADE_CALL_DAYS = 7;
+const DEFAULT_TRADE_CALL_LIMIT = 500;
+
+// --- IndexedDB Helpers ---
+
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function transactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+}
+
+/**
+ * Creates or migrates object stores. Each version block runs once, in order.
+ */
+function upgradeDatabase(db, oldVersion) {
+    if (oldVersion < 1) {
+        const sessions = db.createObjectStore('sessions', { keyPath: 'id' });
+        sessions.createIndex('tradingDay', 'tradingDay');
+        sessions.createIndex('startedAt', 'startedAt');
+
+        const segments = db.createObjectStore('segments', { keyPath: 'id' });
+        segments.createIndex('timestamp', 'timestamp');
+        segments.createIndex('speaker', 'speaker');
+        segments.createIndex('symbols', 'entities.symbols', { multiEntry: true });
+        segments.createIndex('sessionId', 'sessionId');
+        segments.createIndex('tradingDay', 'tradingDay');
+
+        // One posting per (term, segment) pair; a term lookup is a key range scan
+        const terms = db.createObjectStore('terms', { keyPath: ['term', 'segmentId'] });
+        terms.createIndex('segmentId', 'segmentId');
+
+        // Per-day totals; speakers are kept by speaker ID so renames and merges apply to past days
+        db.createObjectStore('dailyStats', { keyPath: 'tradingDay' });
+
+        const conversations = db.createObjectStore('conversations', { keyPath: 'id' });
+        conversations.createIndex('sessionId', 'sessionId');
+        conversations.createIndex('tradingDay', 'tradingDay');
+        conversations.createIndex('startTime', 'startTime');
+
+        // One record per transcribed audio window; segments point at theirs through audioWindows.
+        // Audio kept only for re-transcription expires after hours, not with its trading day.
+        const audio = db.createObjectStore('audio', { keyPath: 'windowId' });
+        audio.createIndex('tradingDay', 'tradingDay');
+        audio.createIndex('sessionId', 'sessionId');
+        audio.createIndex('expiresAt', 'expiresAt');
+    }
+}
+
+/**
+ * Opens (and on first use creates) the archive database. The connection is shared.
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openArchive() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = (event) => upgradeDatabase(request.result, event.oldVersion);
+            request.onsuccess = () => {
+                const db = request.result;
+                // Let a newer version of the extension upgrade the schema
+                db.onversionchange = () => {
+                    db.close();
+                    dbPromise = null;
+                };
+                resolve(db);
+            };
+            request.onerror = () => {
+                dbPromise = null;
+                reject(request.error);
+            };
+        });
+    }
+    return dbPromise;
+}
+
+// --- Trading Days ---
+
+/**
+ * Returns the trading day (YYYY-MM-DD in New York time) a timestamp belongs to.
+ * @param {number} timestamp - Milliseconds since the epoch.
+ * @returns {string}
+ */
+export function getTradingDay(timestamp) {
+    return tradingDayFormat.format(new Date(timestamp));
+}
+
+/**
+ * Returns the half-hour slot of the trading session (HH:MM in New York time) a timestamp falls in.
+ * @param {number} timestamp - Milliseconds since the epoch.
+ * @returns {string} E.g. "09:30".
+ */
+export function getSessionSlot(timestamp) {
+    const [hours, minutes] = tradingTimeFormat.format(new Date(timestamp)).split(':');
+    const slotMinutes = Math.floor(Number(minutes) / SLOT_MINUTES) * SLOT_MINUTES;
+    return `${hours}:${String(slotMinutes).padStart(2, '0')}`;
+}
+
+/**
+ * Returns the part of the trading day a timestamp falls in: before the 9:30 open, the regular
+ * session, or after the 16:00 close (New York time).
+ * @param {number} timestamp - Milliseconds since the epoch.
+ * @returns {'premarket'|'regular'|'afterhours'}
+ */
+export function getMarketPhase(timestamp) {
+    const time = tradingTimeFormat.format(new Date(timestamp));
+    if (time < MARKET_OPEN) return 'premarket';
+    return time < MARKET_CLOSE ? 'regular' : 'afterhours';
+}
+
+// --- Term Index ---
+
+/**
+ * Splits text into lowercase search terms. Prices keep their decimals ("42.50").
+ * @param {string} text - The text to tokenize.
+ * @returns {Array<string>} Unique terms, stop words removed.
+ */
+export function tokenize(text) {
+    const tokens = (text || '').toLowerCase().match(/[a-z0-9]+(?:[.'][a-z0-9]+)*/g) || [];
+    return [...new Set(tokens.filter(token => !STOP_WORDS.has(token)))];
+}
+
+function putPostings(termStore, segment) {
+    for (const term of tokenize(segment.text)) {
+        termStore.put({ term, segmentId: segment.id });
+    }
+}
+
+function deletePostings(termStore, segmentId) {
+    const request = termStore.index('segmentId').openKeyCursor(IDBKeyRange.only(segmentId));
+    request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return;
+        termStore.delete(cursor.primaryKey);
+        cursor.continue();
+    };
+}
+
+/**
+ * Collects the IDs of segments containing a term, or any term starting with it.
+ */
+async function lookupTerm(termStore, term, prefix) {
+    const range = prefix
+        ? IDBKeyRange.bound([term], [`${term}\uffff`])
+        : IDBKeyRange.bound([term], [term, []]);
+    const keys = await requestToPromise(termStore.getAllKeys(range));
+    return new Set(keys.map(([, segmentId]) => segmentId));
+}
+
+// --- Sessions ---
+
+/**
+ * Records the start of a capture session.
+ * @param {number} [startedAt] - Start time; defaults to now.
+ * @returns {Promise<object>} The new session.
+ */
+export async function startSession(startedAt = Date.now()) {
+    const session = {
+        id: `session-${startedAt}-${Math.random().toString(36).slice(2, 8)}`,
+        startedAt,
+        endedAt: null,
+        tradingDay: getTradingDay(startedAt),
+        segmentCount: 0,
+    };
+
+    const db = await openArchive();
+    const transaction = db.transaction('sessions', 'readwrite');
+    transaction.objectStore('sessions').add(session);
+    await transactionDone(transaction);
+
+    console.log(`[Archive] Started session ${session.id} for ${session.tradingDay}`);
+    return session;
+}
+
+/**
+ * Marks a capture session as ended.
+ * @param {string} sessionId - The session to end.
+ * @param {number} [endedAt] - End time; defaults to now.
+ */
+export async function endSession(sessionId, endedAt = Date.now()) {
+    const db = await openArchive();
+    const transaction = db.transaction('sessions', 'readwrite');
+    const store = transaction.objectStore('sessions');
+    const session = await requestToPromise(store.get(sessionId));
+    if (session) {
+        store.put({ ...session, endedAt });
+    }
+    await transactionDone(transaction);
+}
+
+/**
+ * Looks up one capture session.
+ * @param {string} sessionId
+ * @returns {Promise<object|null>}
+ */
+export async function getSession(sessionId) {
+    const db = await openArchive();
+    const session = await requestToPromise(db.transaction('sessions').objectStore('sessions').get(sessionId));
+    return session || null;
+}
+
+/**
+ * Lists archived sessions, newest first.
+ * @param {{tradingDay?: string}} [filters]
+ * @returns {Promise<Array<object>>}
+ */
+export async function listSessions({ tradingDay } = {}) {
+    const db = await openArchive();
+    const store = db.transaction('sessions').objectStore('sessions');
+    const sessions = tradingDay
+        ? await requestToPromise(store.index('tradingDay').getAll(tradingDay))
+        : await requestToPromise(store.getAll());
+    return sessions.sort((a, b) => b.startedAt - a.startedAt);
+}
+
+// --- Segments ---
+
+/**
+ * Stores a completed segment. The segment must already carry its `id` and `sessionId`.
+ * @param {object} segment - The segment to archive.
+ */
+export async function archiveSegment(segment) {
+    const record = { ...segment, tradingDay: segment.tradingDay || getTradingDay(segment.timestamp) };
+
+    const db = await openArchive();
+    const transaction = db.transaction(['segments', 'sessions', 'terms'], 'readwrite');
+    const segments = transaction.objectStore('segments');
+    const isUpdate = (await requestToPromise(segments.getKey(record.id))) !== undefined;
+    segments.put(record);
+
+    // Re-archiving a segment replaces its postings; the deletes are queued ahead of the puts
+    const terms = transaction.objectStore('terms');
+    if (isUpdate) {
+        const staleKeys = await requestToPromise(terms.index('segmentId').getAllKeys(record.id));
+        staleKeys.forEach(key => terms.delete(key));
+    }
+    putPostings(terms, record);
+
+    if (record.sessionId && !isUpdate) {
+        const sessions = transaction.objectStore('sessions');
+        const session = await requestToPromise(sessions.get(record.sessionId));
+        if (session) {
+            sessions.put({ ...session, segmentCount: session.segmentCount + 1 });
+        }
+    }
+    await transactionDone(transaction);
+}
+
+/**
+ * Queries archived segments. The most selective filter picks the index; the rest are applied in memory.
+ * @param {{sessionId?: string, tradingDay?: string, speaker?: string, symbol?: string, since?: number, until?: number, limit?: number}} [filters]
+ * @returns {Promise<Array<object>>} Matching segments, oldest first.
+ */
+export async function querySegments(filters = {}) {
+    const { sessionId, tradingDay, speaker, since, until, limit } = filters;
+    const symbol = filters.symbol ? filters.symbol.toUpperCase() : null;
+
+    const db = await openArchive();
+    const store = db.transaction('segments').objectStore('segments');
+
+    let request;
+    if (symbol) {
+        request = store.index('symbols').getAll(symbol);
+    } else if (sessionId) {
+        request = store.index('sessionId').getAll(sessionId);
+    } else if (speaker) {
+        request = store.index('speaker').getAll(speaker);
+    } else if (tradingDay) {
+        request = store.index('tradingDay').getAll(tradingDay);
+    } else {
+        const range = since || until
+            ? IDBKeyRange.bound(since || 0, until || Number.MAX_SAFE_INTEGER)
+            : null;
+        request = store.index('timestamp').getAll(range);
+    }
+
+    const segments = (await requestToPromise(request))
+        .filter(segment => (!sessionId || segment.sessionId === sessionId)
+            && (!tradingDay || segment.tradingDay === tradingDay)
+            && (!speaker || segment.speaker === speaker)
+            && (!since || segment.timestamp >= since)
+            && (!until || segment.timestamp <= until))
+        .sort((a, b) => a.timestamp - b.timestamp);
+
+    return limit ? segments.slice(-limit) : segments;
+}
+
+/**
+ * Lists archived segments that carry a trade call. One symbol's segments come from the symbol
+ * index; otherwise the timestamp index is walked newest first over the time range (the last week
+ * by default), stopping at the limit.
+ * @param {{symbol?: string, since?: number, until?: number, limit?: number}} [filters]
+ * @returns {Promise<Array<object>>} Matching segments, oldest first.
+ */
+export async function queryTradeCallSegments({ symbol, since, until, limit = DEFAULT_TRADE_CALL_LIMIT } = {}) {
+    const db = await openArchive();
+    const store = db.transaction('segments').objectStore('segments');
+
+    let segments;
+    if (symbol) {
+        segments = (await requestToPromise(store.index('symbols').getAll(symbol.toUpperCase())))
+            .filter(segment => segment.tradeCall
+                && (!since || segment.timestamp >= since)
+                && (!until || segment.timestamp <= until));
+    } else {
+        const range = IDBKeyRange.bound(since || Date.now() - DEFAULT_TRADE_CALL_DAYS * DAY_MS, until || Number.MAX_SAFE_INTEGER);
+        segments = await new Promise((resolve, reject) => {
+            const found = [];
+            const request = store.index('timestamp').openCursor(range, 'prev');
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor || found.length >= limit) {
+                    resolve(found);
+                    return;
+                }
+                if (cursor.value.tradeCall) found.push(cursor.value);
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    return segments.sort((a, b) => a.timestamp - b.timestamp).slice(-limit);
+}
+
+// --- Conversations ---
+
+/**
+ * Stores a conversation, replacing the earlier copy as it grows.
+ * @param {object} conversation - A conversation from ConversationAssembler.
+ */
+export async function archiveConversation(conversation) {
+    const db = await openArchive();
+    const transaction = db.transaction('conversations', 'readwrite');
+    transaction.objectStore('conversations').put({ ...conversation });
+    await transactionDone(transaction);
+}
+
+/**
+ * Lists archived conversations of a session or trading day.
+ * @param {{sessionId?: string, tradingDay?: string}} [filters]
+ * @returns {Promise<Array<object>>} Oldest first.
+ */
+export async function queryConversations({ sessionId, tradingDay } = {}) {
+    const db = await openArchive();
+    const store = db.transaction('conversations').objectStore('conversations');
+    let request;
+    if (sessionId) {
+        request = store.index('sessionId').getAll(sessionId);
+    } else if (tradingDay) {
+        request = store.index('tradingDay').getAll(tradingDay);
+    } else {
+        request = store.getAll();
+    }
+    const conversations = await requestToPromise(request);
+    return conversations
+        .filter(conversation => !tradingDay || conversation.tradingDay === tradingDay)
+        .sort((a, b) => a.startTime - b.startTime);
+}
+
+// --- Audio ---
+
+/**
+ * Stores the compressed audio of one transcribed window, unless it would take the day past its cap.
+ * Only archived audio counts against the cap; clips kept for re-transcription expire within hours.
+ * @param {{windowId: string, sessionId: string|null, streamId: string, startTime: number, duration: number, format: string, mimeType: string, data: ArrayBuffer, expiresAt: number|null}} clip -
+ *   `expiresAt` is set for audio kept only for re-transcription; archived audio follows the audio retention window.
+ * @param {number} dailyCapBytes - The most audio to keep per trading day; 0 for no cap.
+ * @returns {Promise<boolean>} Whether the audio was stored.
+ */
+export async function archiveAudio(clip, dailyCapBytes) {
+    const record = { ...clip, tradingDay: clip.tradingDay || getTradingDay(clip.startTime), bytes: clip.data.byteLength };
+
+    const db = await openArchive();
+    if (record.expiresAt) {
+        const transaction = db.transaction('audio', 'readwrite');
+        transaction.objectStore('audio').put(record);
+        await transactionDone(transaction);
+        return true;
+    }
+
+    const transaction = db.transaction(['audio', 'dailyStats'], 'readwrite');
+    const dailyStats = transaction.objectStore('dailyStats');
+    const stats = (await requestToPromise(dailyStats.get(record.tradingDay))) || emptyDailyStats(record.tradingDay);
+    const used = stats.audioBytes || 0;
+
+    const stored = !(dailyCapBytes > 0 && used + record.bytes > dailyCapBytes);
+    if (stored) {
+        transaction.objectStore('audio').put(record);
+        dailyStats.put({ ...stats, audioBytes: used + record.bytes });
+    }
+    await transactionDone(transaction);
+    return stored;
+}
+
+/**
+ * Zeroes the archived-audio total of the trading days in a range once their audio is deleted.
+ * Retention removes whole days, so nothing counted on them is left.
+ */
+function clearAudioBytes(dailyStats, range) {
+    const request = dailyStats.openCursor(range);
+    request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return;
+        if (cursor.value.audioBytes) cursor.update({ ...cursor.value, audioBytes: 0 });
+        cursor.continue();
+    };
+}
+
+/**
+ * Looks up the stored audio of a transcribed window.
+ * @param {string} windowId - From the segment's audioWindows.
+ * @returns {Promise<object|null>} The clip with its data, or null if it was never stored or has expired.
+ */
+export async function getAudio(windowId) {
+    const db = await openArchive();
+    const clip = await requestToPromise(db.transaction('audio').objectStore('audio').get(windowId));
+    // Expired clips linger until the next cleanup
+    return clip && !(clip.expiresAt && clip.expiresAt <= Date.now()) ? clip : null;
+}
+
+/**
+ * Deletes stored audio from trading days older than the audio retention window. Transcripts are
+ * untouched; audio usually goes long before they do.
+ * @param {number} retentionDays - Days of audio to keep; 0 keeps it as long as the transcripts.
+ * @returns {Promise<number>} The number of clips deleted.
+ */
+export async function applyAudioRetention(retentionDays) {
+    if (!retentionDays || retentionDays <= 0) return 0;
+
+    const cutoffDay = getTradingDay(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+    const range = IDBKeyRange.upperBound(cutoffDay, true);
+    const db = await openArchive();
+    const transaction = db.transaction(['audio', 'dailyStats'], 'readwrite');
+    let deleted = 0;
+
+    clearAudioBytes(transaction.objectStore('dailyStats'), range);
+    const request = transaction.objectStore('audio').index('tradingDay').openKeyCursor(range);
+    request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return;
+        transaction.objectStore('audio').delete(cursor.primaryKey);
+        deleted++;
+        cursor.continue();
+    };
+
+    await transactionDone(transaction);
+    if (deleted > 0) {
+        console.log(`[Archive] Audio retention removed ${deleted} clips from before ${cutoffDay}`);
+    }
+    return deleted;
+}
+
+/**
+ * Deletes audio that was kept only for re-transcription once its time is up.
+ * @returns {Promise<number>} The number of clips deleted.
+ */
+export async function applyAudioExpiry() {
+    const db = await openArchive();
+    const transaction = db.transaction('audio', 'readwrite');
+    let deleted = 0;
+
+    const request = transaction.objectStore('audio').index('expiresAt').openKeyCursor(IDBKeyRange.upperBound(Date.now()));
+    request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return;
+        transaction.objectStore('audio').delete(cursor.primaryKey);
+        deleted++;
+        cursor.continue();
+    };
+
+    await transactionDone(transaction);
+    if (deleted > 0) {
+        console.log(`[Archive] Removed ${deleted} expired re-transcription clips`);
+    }
+    return deleted;
+}
+
+/**
+ * Summarizes the archive for settings pages.
+ * @returns {Promise<{segments: number, sessions: number, audioClips: number, oldestDay: string|null, newestDay: string|null}>}
+ */
+export async function getArchiveStats() {
+    const db = await openArchive();
+    const transaction = db.transaction(['segments', 'sessions', 'audio']);
+    const segments = transaction.objectStore('segments');
+    const dayIndex = segments.index('tradingDay');
+
+    const [segmentCount, sessionCount, audioCount, oldest, newest] = await Promise.all([
+        requestToPromise(segments.count()),
+        requestToPromise(transaction.objectStore('sessions').count()),
+        requestToPromise(transaction.objectStore('audio').count()),
+        requestToPromise(dayIndex.openKeyCursor(null, 'next')),
+        requestToPromise(dayIndex.openKeyCursor(null, 'prev')),
+    ]);
+
+    return {
+        segments: segmentCount,
+        sessions: sessionCount,
+        audioClips: audioCount,
+        oldestDay: oldest ? oldest.key : null,
+        newestDay: newest ? newest.key : null,
+    };
+}
+
+// --- Search ---
+
+function matchesSearchFilters(segment, filters) {
+    const symbol = filters.symbol ? filters.symbol.toUpperCase() : null;
+    return (!filters.fromDay || segment.tradingDay >= filters.fromDay)
+        && (!filters.toDay || segment.tradingDay <= filters.toDay)
+        && (!filters.speaker || segment.speaker === filters.speaker)
+        && (!symbol || (segment.entities?.symbols || []).includes(symbol))
+        && (!filters.minConfidence || (segment.confidence ?? 0) >= filters.minConfidence);
+}
+
+/**
+ * Lists the newest segments that pass the search filters, walking the timestamp index backwards and
+ * stopping once it has one more than the limit, so an empty query never reads the whole archive.
+ * Trading days are New York dates; the key range is padded a day each side and the filters make
+ * the exact cut.
+ * @returns {Promise<Array<object>>} Up to `limit + 1` segments, newest first.
+ */
+async function listNewest(filters, limit) {
+    const since = filters.fromDay ? Date.parse(`${filters.fromDay}T00:00:00Z`) - DAY_MS : null;
+    const until = filters.toDay ? Date.parse(`${filters.toDay}T00:00:00Z`) + 2 * DAY_MS : null;
+    const range = since !== null || until !== null
+        ? IDBKeyRange.bound(since ?? 0, until ?? Number.MAX_SAFE_INTEGER)
+        : null;
+
+    const db = await openArchive();
+    const index = db.transaction('segments').objectStore('segments').index('timestamp');
+    return new Promise((resolve, reject) => {
+        const segments = [];
+        const request = index.openCursor(range, 'prev');
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) {
+                resolve(segments);
+                return;
+            }
+            if (matchesSearchFilters(cursor.value, filters)) segments.push(cursor.value);
+            if (segments.length > limit) {
+                resolve(segments);
+                return;
+            }
+            cursor.continue();
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Full-text search over every archived segment. All query terms must match; the last term
+ * also matches as a prefix so results update while typing. An empty query lists by filters only.
+ * @param {string} query - The search text.
+ * @param {{fromDay?: string, toDay?: string, speaker?: string, symbol?: string, minConfidence?: number, limit?: number}} [filters]
+ * @returns {Promise<{segments: Array<object>, total: number|null, terms: Array<string>}>} Newest first.
+ *   `total` is null when an empty query found more than the limit and stopped counting.
+ */
+export async function searchSegments(query, filters = {}) {
+    const limit = filters.limit || DEFAULT_SEARCH_LIMIT;
+    const terms = tokenize(query);
+
+    if (terms.length === 0) {
+        const segments = await listNewest(filters, limit);
+        return {
+            segments: segments.slice(0, limit),
+            total: segments.length > limit ? null : segments.length,
+            terms
+        };
+    }
+
+    const db = await openArchive();
+    const transaction = db.transaction(['terms', 'segments']);
+    const termStore = transaction.objectStore('terms');
+
+    const postingSets = await Promise.all(terms.map((term, index) =>
+        lookupTerm(termStore, term, index === terms.length - 1)
+    ));
+    postingSets.sort((a, b) => a.size - b.size);
+    const ids = [...postingSets[0]].filter(id => postingSets.every(set => set.has(id)));
+
+    const segmentStore = transaction.objectStore('segments');
+    const segments = (await Promise.all(ids.map(id => requestToPromise(segmentStore.get(id)))))
+        .filter(segment => segment && matchesSearchFilters(segment, filters))
+        .sort((a, b) => b.timestamp - a.timestamp);
+
+    return { segments: segments.slice(0, limit), total: segments.length, terms };
+}
+
+/**
+ * Returns a segment with the segments around it from the same session (or trading day).
+ * @param {string} segmentId - The segment to centre on.
+ * @param {number} [radius] - Segments to include on each side.
+ * @returns {Promise<{segments: Array<object>, index: number}>} The window, oldest first, and the segment's position in it.
+ */
+export async function getSegmentContext(segmentId, radius = 5) {
+    const db = await openArchive();
+    const store = db.transaction('segments').objectStore('segments');
+    const segment = await requestToPromise(store.get(segmentId));
+    if (!segment) return { segments: [], index: -1 };
+
+    const neighbours = segment.sessionId
+        ? await querySegments({ sessionId: segment.sessionId })
+        : await querySegments({ tradingDay: segment.tradingDay });
+    const position = neighbours.findIndex(candidate => candidate.id === segmentId);
+    const start = Math.max(0, position - radius);
+
+    return { segments: neighbours.slice(start, position + radius + 1), index: position - start };
+}
+
+/**
+ * Lists the distinct speakers and symbols in the archive, for filter menus.
+ * @returns {Promise<{speakers: Array<string>, symbols: Array<string>}>}
+ */
+export async function listFacets() {
+    const db = await openArchive();
+    const store = db.transaction('segments').objectStore('segments');
+
+    const uniqueKeys = (indexName) => new Promise((resolve, reject) => {
+        const keys = [];
+        const request = store.index(indexName).openKeyCursor(null, 'nextunique');
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) return resolve(keys);
+            keys.push(cursor.key);
+            cursor.continue();
+        };
+        request.onerror = () => reject(request.error);
+    });
+
+    const [speakers, symbols] = await Promise.all([uniqueKeys('speaker'), uniqueKeys('symbols')]);
+    return { speakers, symbols };
+}
+
+// --- Daily Statistics ---
+
+function emptyDailyStats(tradingDay) {
+    return {
+        tradingDay,
+        segments: 0,
+        talkSeconds: 0,
+        cost: 0,
+        requests: 0,
+        errors: 0,
+        latencyMs: 0,      // Sum over latencySamples; divide for the average
+        latencySamples: 0,
+        speakers: {},      // speaker ID (or name, for segments without one) -> { speakerId, segments, seconds }
+        symbols: {},       // symbol -> mentions
+        slots: {},         // "HH:MM" session slot -> seconds of talk
+        audioBytes: 0,     // Archived audio stored for the day, counted against the daily cap
+    };
+}
+
+function addSegmentToStats(stats, segment, continuation = false) {
+    const seconds = segment.duration || 0;
+    if (!continuation) stats.segments++;
+    stats.talkSeconds += seconds;
+
+    // Names change on rename and merge; readers look them up from the ID
+    const key = segment.speakerId || segment.speaker;
+    const speaker = stats.speakers[key] || { speakerId: segment.speakerId || null, segments: 0, seconds: 0 };
+    if (!continuation) speaker.segments++;
+    speaker.seconds += seconds;
+    stats.speakers[key] = speaker;
+
+    for (const symbol of segment.entities?.symbols || []) {
+        stats.symbols[symbol] = (stats.symbols[symbol] || 0) + 1;
+    }
+
+    const slot = getSessionSlot(segment.timestamp);
+    stats.slots[slot] = (stats.slots[slot] || 0) + seconds;
+}
+
+/**
+ * Applies an update to one day's statistics in a single read-modify-write transaction.
+ */
+async function updateDailyStats(tradingDay, update) {
+    const db = await openArchive();
+    const transaction = db.transaction('dailyStats', 'readwrite');
+    const store = transaction.objectStore('dailyStats');
+    const stats = (await requestToPromise(store.get(tradingDay))) || emptyDailyStats(tradingDay);
+    update(stats);
+    store.put(stats);
+    await transactionDone(transaction);
+}
+
+/**
+ * Adds a completed segment to its day's talk time, speaker, symbol and session-slot totals.
+ * Call once per segment; re-archiving an edited segment must not record it again. Cost is
+ * recorded per request, since one request can produce several segments.
+ * @param {object} segment - The completed segment.
+ * @param {{continuation?: boolean}} [options] - `continuation` records a fragment merged into a segment
+ *   that was already counted: its time and new symbols are added, but no segment.
+ */
+export function recordSegmentStats(segment, { continuation = false } = {}) {
+    const tradingDay = segment.tradingDay || getTradingDay(segment.timestamp);
+    return updateDailyStats(tradingDay, stats => addSegmentToStats(stats, segment, continuation));
+}
+
+/**
+ * Counts a transcription request for the day it was captured, with its latency or failure.
+ * @param {number} timestamp - When the audio was captured.
+ * @param {{failed?: boolean, latencyMs?: number, cost?: number}} outcome - `cost` is what the request
+ *   cost, the same amount the session cost grew by.
+ */
+export function recordTranscriptionAttempt(timestamp, { failed = false, latencyMs, cost = 0 } = {}) {
+    return updateDailyStats(getTradingDay(timestamp), stats => {
+        stats.requests++;
+        stats.cost += cost;
+        if (failed) {
+            stats.errors++;
+        } else if (Number.isFinite(latencyMs)) {
+            stats.latencyMs += latencyMs;
+            stats.latencySamples++;
+        }
+    });
+}
+
+/**
+ * Lists per-day statistics in a range of trading days.
+ * @param {{fromDay?: string, toDay?: string}} [range] - Inclusive YYYY-MM-DD bounds.
+ * @returns {Promise<Array<object>>} Oldest day first.
+ */
+export async function getDailyStats({ fromDay, toDay } = {}) {
+    const range = fromDay || toDay
+        ? IDBKeyRange.bound(fromDay || '0000-00-00', toDay || '9999-99-99')
+        : null;
+
+    const db = await openArchive();
+    const store = db.transaction('dailyStats').objectStore('dailyStats');
+    return requestToPromise(store.getAll(range));
+}
+
+// --- Retention ---
+
+/**
+ * Deletes every record from trading days older than the retention window. Daily statistics
+ * hold no transcript text and are kept.
+ * @param {number} retentionDays - Days to keep; 0 keeps everything.
+ * @returns {Promise<number>} The number of segments deleted.
+ */
+export async function applyRetention(retentionDays) {
+    if (!retentionDays || retentionDays <= 0) return 0;
+
+    const cutoffDay = getTradingDay(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+    const range = IDBKeyRange.upperBound(cutoffDay, true);
+
+    const db = await openArchive();
+    const transaction = db.transaction(['segments', 'sessions', 'terms', 'conversations', 'audio', 'dailyStats'], 'readwrite');
+    const terms = transaction.objectStore('terms');
+    let deleted = 0;
+
+    // Statistics outlive the transcripts, but the audio counted in them is gone
+    clearAudioBytes(transaction.objectStore('dailyStats'), range);
+
+    for (const storeName of ['segments', 'sessions', 'conversations', 'audio']) {
+        const request = transaction.objectStore(storeName).index('tradingDay').openCursor(range);
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) return;
+            if (storeName === 'segments') {
+                deletePostings(terms, cursor.primaryKey);
+                deleted++;
+            }
+            cursor.delete();
+            cursor.continue();
+        };
+    }
+
+    await transactionDone(transaction);
+    if (deleted > 0) {
+        console.log(`[Archive] Retention removed ${deleted} segments from before ${cutoffDay}`);
+    }
+    return deleted;
+}
@@ -0,0 +1,686 @@
+/**
+ * @file audio-codec.js
+ * @path src/audio-codec.js
+ * @description Pure-JS audio encoders for transcription uploads: 16-bit PCM WAV and lossless FLAC,
+ * plus decoders for reading stored windows back.
+ * @modified 2026-10-19
+ */
+
+// --- WAV ---
+
+/**
+ * Converts a Float32Array to a WAV file buffer.
+ * @param {Float32Array} float32Array - The audio data.
+ * @param {number} sampleRate - The sample rate of the audio.
+ * @returns {ArrayBuffer} - The WAV file data.
+ */
+export function float32ToWav(float32Array, sampleRate = 16000) {
+    const numChannels = 1;
+    const bytesPerSample = 2;
+    const blockAlign = numChannels * bytesPerSample;
+    const byteRate = sampleRate * blockAlign;
+    const dataSize = float32Array.length * bytesPerSample;
+    const buffer = new ArrayBuffer(44 + dataSize);
+    const view = new DataView(buffer);
+
+    const writeString = (offset, string) => {
+        for (let i = 0; i < string.length; i++) {
+            view.setUint8(offset + i, string.charCodeAt(i));
+        }
+    };
+
+    writeString(0, 'RIFF');
+    view.setUint32(4, 36 + dataSize, true);
+    writeString(8, 'WAVE');
+    writeString(12, 'fmt ');
+    view.setUint32(16, 16, true);
+    view.setUint16(20, 1, true);
+    view.setUint16(22, numChannels, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, byteRate, true);
+    view.setUint16(32, blockAlign, true);
+    view.setUint16(34, bytesPerSample * 8, true);
+    writeString(36, 'data');
+    view.setUint32(40, dataSize, true);
+
+    for (let i = 0; i < float32Array.length; i++) {
+        const s = Math.max(-1, Math.min(1, float32Array[i]));
+        view.setInt16(44 + i * 2, s < 0 ? s * 0x8000 : s * 0x7FFF, true);
+    }
+
+    return buffer;
+}
+
+/**
+ * Size in bytes of the WAV file float32ToWav would produce, used to report compression savings.
+ * @param {number} sampleCount - Number of mono samples.
+ * @returns {number}
+ */
+export function wavByteLength(sampleCount) {
+    return 44 + sampleCount * 2;
+}
+
+
+// --- FLAC ---
+// A minimal mono 16-bit FLAC encoder using FLAC's fixed polynomial predictors
+// (orders 0-4) and partitioned Rice coding. It trades a few percent of
+// compression against libFLAC's LPC mode for staying small and dependency-free;
+// speech typically compresses to half or two thirds of the WAV size, and the
+// silence between phrases to almost nothing.
+
+const FLAC_BLOCK_SIZE = 4096;
+const FLAC_BITS_PER_SAMPLE = 16;
+const MAX_FIXED_ORDER = 4;
+const MAX_PARTITION_ORDER = 8;
+const MAX_RICE_PARAMETER = 14; // 15 is the escape code in 4-bit Rice mode
+
+// FLAC frame header sample rate codes; anything else falls back to STREAMINFO (0b0000)
+const SAMPLE_RATE_CODES = {
+    8000: 0b0100, 16000: 0b0101, 22050: 0b0110, 24000: 0b0111,
+    32000: 0b1000, 44100: 0b1001, 48000: 0b1010, 96000: 0b1011
+};
+
+/**
+ * MSB-first bit writer over a growable byte buffer.
+ */
+class BitWriter {
+    constructor(initialSize = 1 << 16) {
+        this.bytes = new Uint8Array(initialSize);
+        this.byteLength = 0;
+        this.bitBuffer = 0;
+        this.bitCount = 0;
+    }
+
+    pushByte(byte) {
+        if (this.byteLength === this.bytes.length) {
+            const grown = new Uint8Array(this.bytes.length * 2);
+            grown.set(this.bytes);
+            this.bytes = grown;
+        }
+        this.bytes[this.byteLength++] = byte;
+    }
+
+    /**
+     * Writes the low `bits` bits of `value` (bits <= 32). Negative values are
+     * written in two's complement.
+     */
+    writeBits(value, bits) {
+        while (bits > 0) {
+            const take = Math.min(8 - this.bitCount, bits);
+            bits -= take;
+            this.bitBuffer = (this.bitBuffer << take) | ((value >>> bits) & ((1 << take) - 1));
+            this.bitCount += take;
+            if (this.bitCount === 8) {
+                this.pushByte(this.bitBuffer);
+                this.bitBuffer = 0;
+                this.bitCount = 0;
+            }
+        }
+    }
+
+    writeUnary(zeros) {
+        while (zeros >= 24) {
+            this.writeBits(0, 24);
+            zeros -= 24;
+        }
+        this.writeBits(1, zeros + 1);
+    }
+
+    alignToByte() {
+        if (this.bitCount > 0) {
+            this.writeBits(0, 8 - this.bitCount);
+        }
+    }
+
+    toUint8Array() {
+        return this.bytes.slice(0, this.byteLength);
+    }
+}
+
+function crc8(bytes, start, end) {
+    let crc = 0;
+    for (let i = start; i < end; i++) {
+        crc ^= bytes[i];
+        for (let bit = 0; bit < 8; bit++) {
+            crc = crc & 0x80 ? ((crc << 1) ^ 0x07) & 0xFF : (crc << 1) & 0xFF;
+        }
+    }
+    return crc;
+}
+
+function crc16(bytes, start, end) {
+    let crc = 0;
+    for (let i = start; i < end; i++) {
+        crc ^= bytes[i] << 8;
+        for (let bit = 0; bit < 8; bit++) {
+            crc = crc & 0x8000 ? ((crc << 1) ^ 0x8005) & 0xFFFF : (crc << 1) & 0xFFFF;
+        }
+    }
+    return crc;
+}
+
+/**
+ * Writes a frame number using FLAC's UTF-8-like variable length coding.
+ */
+function writeUtf8Number(writer, value) {
+    if (value < 0x80) {
+        writer.writeBits(value, 8);
+        return;
+    }
+    let continuationBytes = 1;
+    while (value >= Math.pow(2, 5 * continuationBytes + 6) && continuationBytes < 6) {
+        continuationBytes++;
+    }
+    const leadingBits = 6 - continuationBytes;
+    const leadingMarker = (0xFF << (7 - continuationBytes)) & 0xFF;
+    writer.writeBits(leadingMarker | Math.floor(value / Math.pow(2, 6 * continuationBytes)) & ((1 << leadingBits) - 1), 8);
+    for (let i = continuationBytes - 1; i >= 0; i--) {
+        writer.writeBits(0x80 | (Math.floor(value / Math.pow(2, 6 * i)) & 0x3F), 8);
+    }
+}
+
+function fixedResiduals(samples, order) {
+    const n = samples.length;
+    const residuals = new Int32Array(n - order);
+    for (let i = order; i < n; i++) {
+        let prediction;
+        switch (order) {
+            case 0: prediction = 0; break;
+            case 1: prediction = samples[i - 1]; break;
+            case 2: prediction = 2 * samples[i - 1] - samples[i - 2]; break;
+            case 3: prediction = 3 * samples[i - 1] - 3 * samples[i - 2] + samples[i - 3]; break;
+            default: prediction = 4 * samples[i - 1] - 6 * samples[i - 2] + 4 * samples[i - 3] - samples[i - 4]; break;
+        }
+        residuals[i - order] = samples[i] - prediction;
+    }
+    return residuals;
+}
+
+function zigzag(value) {
+    return value >= 0 ? value * 2 : -value * 2 - 1;
+}
+
+/**
+ * Estimated Rice cost of `count` values whose zigzag sum is `sum`, for the best parameter.
+ * @returns {{parameter: number, bits: number}}
+ */
+function bestRiceParameter(sum, count) {
+    // The optimum sits next to log2 of the mean value; only its neighbours need costing
+    const mean = count > 0 ? sum / count : 0;
+    const estimate = mean > 1 ? Math.floor(Math.log2(mean)) : 0;
+    let best = { parameter: 0, bits: Infinity };
+    const low = Math.min(MAX_RICE_PARAMETER, Math.max(0, estimate - 1));
+    for (let k = low; k <= Math.min(MAX_RICE_PARAMETER, estimate + 1); k++) {
+        const bits = count * (k + 1) + Math.floor(sum / (1 << k));
+        if (bits < best.bits) {
+            best = { parameter: k, bits };
+        }
+    }
+    return best;
+}
+
+/**
+ * Picks the partition order and per-partition Rice parameters with the lowest estimated cost.
+ * @param {Int32Array} residuals - Residuals, excluding the `order` warm-up samples.
+ * @param {number} blockSize - Samples in the block, including warm-up.
+ * @param {number} order - Predictor order.
+ * @returns {{partitionOrder: number, parameters: Array<number>, bits: number}}
+ */
+function planResidualCoding(residuals, blockSize, order) {
+    // Find the finest valid partition order, sum each of its partitions once,
+    // then merge neighbouring sums to evaluate the coarser orders.
+    let maxOrder = 0;
+    while (maxOrder < MAX_PARTITION_ORDER
+        && blockSize % (1 << (maxOrder + 1)) === 0
+        && (blockSize >> (maxOrder + 1)) > order) {
+        maxOrder++;
+    }
+    if ((blockSize >> maxOrder) <= order) return null;
+
+    let sums = [];
+    let counts = [];
+    let index = 0;
+    const finestSize = blockSize >> maxOrder;
+    for (let p = 0; p < (1 << maxOrder); p++) {
+        const count = p === 0 ? finestSize - order : finestSize;
+        let sum = 0;
+        for (let i = 0; i < count; i++) {
+            sum += zigzag(residuals[index++]);
+        }
+        sums.push(sum);
+        counts.push(count);
+    }
+
+    let best = null;
+    for (let partitionOrder = maxOrder; partitionOrder >= 0; partitionOrder--) {
+        const parameters = [];
+        let bits = 0;
+        for (let p = 0; p < sums.length; p++) {
+            const rice = bestRiceParameter(sums[p], counts[p]);
+            parameters.push(rice.parameter);
+            bits += 4 + rice.bits;
+        }
+        if (!best || bits < best.bits) {
+            best = { partitionOrder, parameters, bits };
+        }
+
+        const mergedSums = [];
+        const mergedCounts = [];
+        for (let p = 0; p + 1 < sums.length; p += 2) {
+            mergedSums.push(sums[p] + sums[p + 1]);
+            mergedCounts.push(counts[p] + counts[p + 1]);
+        }
+        sums = mergedSums;
+        counts = mergedCounts;
+    }
+    return best;
+}
+
+function encodeSubframe(writer, samples) {
+    const n = samples.length;
+
+    let isConstant = true;
+    for (let i = 1; i < n && isConstant; i++) {
+        isConstant = samples[i] === samples[0];
+    }
+    if (isConstant) {
+        writer.writeBits(0b00000000, 8); // zero pad, CONSTANT type, no wasted bits
+        writer.writeBits(samples[0], FLAC_BITS_PER_SAMPLE);
+        return;
+    }
+
+    let best = null;
+    for (let order = 0; order <= Math.min(MAX_FIXED_ORDER, n - 1); order++) {
+        const residuals = fixedResiduals(samples, order);
+        const plan = planResidualCoding(residuals, n, order);
+        if (!plan) continue;
+        const bits = order * FLAC_BITS_PER_SAMPLE + 6 + plan.bits;
+        if (!best || bits < best.bits) {
+            best = { order, residuals, plan, bits };
+        }
+    }
+
+    if (!best || best.bits >= n * FLAC_BITS_PER_SAMPLE) {
+        writer.writeBits(0b00000010, 8); // zero pad, VERBATIM type, no wasted bits
+        for (let i = 0; i < n; i++) {
+            writer.writeBits(samples[i], FLAC_BITS_PER_SAMPLE);
+        }
+        return;
+    }
+
+    writer.writeBits(0, 1);
+    writer.writeBits(0b001000 | best.order, 6); // FIXED type with predictor order
+    writer.writeBits(0, 1);
+    for (let i = 0; i < best.order; i++) {
+        writer.writeBits(samples[i], FLAC_BITS_PER_SAMPLE);
+    }
+
+    const { partitionOrder, parameters } = best.plan;
+    const partitionSize = n >> partitionOrder;
+    writer.writeBits(0b00, 2); // Rice coding with 4-bit parameters
+    writer.writeBits(partitionOrder, 4);
+
+    let index = 0;
+    parameters.forEach((k, p) => {
+        writer.writeBits(k, 4);
+        const count = p === 0 ? partitionSize - best.order : partitionSize;
+        for (let i = 0; i < count; i++) {
+            const value = zigzag(best.residuals[index++]);
+            writer.writeUnary(Math.floor(value / Math.pow(2, k)));
+            if (k > 0) {
+                writer.writeBits(value & ((1 << k) - 1), k);
+            }
+        }
+    });
+}
+
+function writeFrame(writer, samples, frameNumber, sampleRate) {
+    const n = samples.length;
+    const frameStart = writer.byteLength;
+
+    let blockSizeCode;
+    if (n === FLAC_BLOCK_SIZE) {
+        blockSizeCode = 0b1100; // 256 * 2^(12-8) = 4096
+    } else if (n <= 256) {
+        blockSizeCode = 0b0110; // 8-bit (blocksize - 1) follows
+    } else {
+        blockSizeCode = 0b0111; // 16-bit (blocksize - 1) follows
+    }
+
+    writer.writeBits(0b11111111111110, 14); // sync code
+    writer.writeBits(0, 1); // reserved
+    writer.writeBits(0, 1); // fixed block size stream
+    writer.writeBits(blockSizeCode, 4);
+    writer.writeBits(SAMPLE_RATE_CODES[sampleRate] || 0, 4);
+    writer.writeBits(0b0000, 4); // mono
+    writer.writeBits(0b100, 3); // 16 bits per sample
+    writer.writeBits(0, 1); // reserved
+    writeUtf8Number(writer, frameNumber);
+    if (blockSizeCode === 0b0110) writer.writeBits(n - 1, 8);
+    if (blockSizeCode === 0b0111) writer.writeBits(n - 1, 16);
+    writer.writeBits(crc8(writer.bytes, frameStart, writer.byteLength), 8);
+
+    encodeSubframe(writer, samples);
+
+    writer.alignToByte();
+    writer.writeBits(crc16(writer.bytes, frameStart, writer.byteLength), 16);
+
+    return writer.byteLength - frameStart;
+}
+
+/**
+ * Encodes mono float samples as a 16-bit FLAC file.
+ * @param {Float32Array} float32Array - The audio data, in [-1, 1].
+ * @param {number} sampleRate - The sample rate of the audio.
+ * @returns {Uint8Array} - The FLAC file data.
+ */
+export function float32ToFlac(float32Array, sampleRate = 16000) {
+    const totalSamples = float32Array.length;
+    if (totalSamples === 0) {
+        throw new Error('Cannot encode empty audio as FLAC');
+    }
+
+    const pcm = new Int32Array(totalSamples);
+    for (let i = 0; i < totalSamples; i++) {
+        const s = Math.max(-1, Math.min(1, float32Array[i]));
+        pcm[i] = (s < 0 ? s * 0x8000 : s * 0x7FFF) | 0; // Same quantization as float32ToWav
+    }
+
+    const writer = new BitWriter(Math.max(1024, totalSamples));
+
+    // "fLaC" marker followed by the (last) STREAMINFO metadata block
+    [0x66, 0x4C, 0x61, 0x43].forEach(byte => writer.writeBits(byte, 8));
+    writer.writeBits(1, 1); // last metadata block
+    writer.writeBits(0, 7); // STREAMINFO
+    writer.writeBits(34, 24);
+
+    const blockSize = Math.min(FLAC_BLOCK_SIZE, totalSamples);
+    writer.writeBits(blockSize, 16); // min block size
+    writer.writeBits(blockSize, 16); // max block size
+    const frameSizeOffset = writer.byteLength;
+    writer.writeBits(0, 24); // min frame size, patched below
+    writer.writeBits(0, 24); // max frame size, patched below
+    writer.writeBits(sampleRate, 20);
+    writer.writeBits(0, 3); // channels - 1
+    writer.writeBits(FLAC_BITS_PER_SAMPLE - 1, 5);
+    writer.writeBits(Math.floor(totalSamples / 0x100000000), 4);
+    writer.writeBits(totalSamples >>> 0, 32);
+    for (let i = 0; i < 16; i++) {
+        writer.writeBits(0, 8); // MD5 left unset (allowed by the spec)
+    }
+
+    let minFrameSize = Infinity;
+    let maxFrameSize = 0;
+    for (let offset = 0, frameNumber = 0; offset < totalSamples; offset += FLAC_BLOCK_SIZE, frameNumber++) {
+        const frameSize = writeFrame(writer, pcm.subarray(offset, offset + FLAC_BLOCK_SIZE), frameNumber, sampleRate);
+        minFrameSize = Math.min(minFrameSize, frameSize);
+        maxFrameSize = Math.max(maxFrameSize, frameSize);
+    }
+
+    const bytes = writer.toUint8Array();
+    [minFrameSize, maxFrameSize].forEach((size, i) => {
+        const at = frameSizeOffset + i * 3;
+        bytes[at] = (size >> 16) & 0xFF;
+        bytes[at + 1] = (size >> 8) & 0xFF;
+        bytes[at + 2] = size & 0xFF;
+    });
+
+    return bytes;
+}
+
+
+// --- Decoding ---
+// Stored audio windows are read back for re-transcription. Only what the encoders above
+// write needs decoding: 16-bit mono WAV, and FLAC with CONSTANT, VERBATIM and FIXED subframes.
+
+/**
+ * MSB-first bit reader over a byte array.
+ */
+class BitReader {
+    constructor(bytes, position = 0) {
+        this.bytes = bytes;
+        this.position = position; // Byte index
+        this.bitOffset = 0;       // Bits already read from bytes[position]
+    }
+
+    readBits(bits) {
+        let value = 0;
+        while (bits > 0) {
+            if (this.position >= this.bytes.length) {
+                throw new Error('Unexpected end of FLAC data');
+            }
+            const take = Math.min(8 - this.bitOffset, bits);
+            const shift = 8 - this.bitOffset - take;
+            // Multiplying rather than shifting keeps 32-bit reads positive
+            value = value * (1 << take) + ((this.bytes[this.position] >> shift) & ((1 << take) - 1));
+            bits -= take;
+            this.bitOffset += take;
+            if (this.bitOffset === 8) {
+                this.bitOffset = 0;
+                this.position++;
+            }
+        }
+        return value;
+    }
+
+    readSigned(bits) {
+        const value = this.readBits(bits);
+        return value >= Math.pow(2, bits - 1) ? value - Math.pow(2, bits) : value;
+    }
+
+    readUnary() {
+        let zeros = 0;
+        while (this.readBits(1) === 0) zeros++;
+        return zeros;
+    }
+
+    alignToByte() {
+        if (this.bitOffset > 0) {
+            this.bitOffset = 0;
+            this.position++;
+        }
+    }
+}
+
+function fixedPrediction(samples, i, order) {
+    switch (order) {
+        case 0: return 0;
+        case 1: return samples[i - 1];
+        case 2: return 2 * samples[i - 1] - samples[i - 2];
+        case 3: return 3 * samples[i - 1] - 3 * samples[i - 2] + samples[i - 3];
+        default: return 4 * samples[i - 1] - 6 * samples[i - 2] + 4 * samples[i - 3] - samples[i - 4];
+    }
+}
+
+function decodeSubframe(reader, samples) {
+    const n = samples.length;
+    reader.readBits(1); // zero pad
+    const type = reader.readBits(6);
+    if (reader.readBits(1)) {
+        throw new Error('FLAC wasted bits are not supported');
+    }
+
+    if (type === 0b000000) {
+        samples.fill(reader.readSigned(FLAC_BITS_PER_SAMPLE));
+        return;
+    }
+    if (type === 0b000001) {
+        for (let i = 0; i < n; i++) {
+            samples[i] = reader.readSigned(FLAC_BITS_PER_SAMPLE);
+        }
+        return;
+    }
+    if ((type & 0b111000) !== 0b001000 || (type & 0b111) > MAX_FIXED_ORDER) {
+        throw new Error(`FLAC subframe type ${type} is not supported`);
+    }
+
+    const order = type & 0b111;
+    for (let i = 0; i < order; i++) {
+        samples[i] = reader.readSigned(FLAC_BITS_PER_SAMPLE);
+    }
+    if (reader.readBits(2) !== 0b00) {
+        throw new Error('Only 4-bit Rice parameters are supported');
+    }
+    const partitionOrder = reader.readBits(4);
+    const partitionSize = n >> partitionOrder;
+
+    let i = order;
+    for (let p = 0; p < (1 << partitionOrder); p++) {
+        const k = reader.readBits(4);
+        if (k === 15) {
+            throw new Error('Escaped FLAC partitions are not supported');
+        }
+        const count = p === 0 ? partitionSize - order : partitionSize;
+        for (let j = 0; j < count; j++, i++) {
+            const value = reader.readUnary() * Math.pow(2, k) + (k > 0 ? reader.readBits(k) : 0);
+            const residual = value % 2 ? -(value + 1) / 2 : value / 2; // Undo zigzag
+            samples[i] = residual + fixedPrediction(samples, i, order);
+        }
+    }
+}
+
+function readFrame(reader, output, offset) {
+    if (reader.readBits(14) !== 0b11111111111110) {
+        throw new Error(`Lost FLAC frame sync at byte ${reader.position}`);
+    }
+    reader.readBits(2); // reserved, blocking strategy
+    const blockSizeCode = reader.readBits(4);
+    reader.readBits(4); // sample rate, taken from STREAMINFO
+    if (reader.readBits(4) !== 0b0000) {
+        throw new Error('Only mono FLAC is supported');
+    }
+    reader.readBits(4); // sample size, reserved
+
+    // Frame number: a UTF-8-like lead byte says how many continuation bytes follow
+    const lead = reader.readBits(8);
+    if (lead & 0x80) {
+        let continuationBytes = 1;
+        while (continuationBytes < 6 && lead & (0x40 >> continuationBytes)) continuationBytes++;
+        reader.readBits(8 * continuationBytes);
+    }
+
+    let n;
+    if (blockSizeCode === 0b1100) n = FLAC_BLOCK_SIZE;
+    else if (blockSizeCode === 0b0110) n = reader.readBits(8) + 1;
+    else if (blockSizeCode === 0b0111) n = reader.readBits(16) + 1;
+    else throw new Error(`FLAC block size code ${blockSizeCode} is not supported`);
+    reader.readBits(8); // header CRC-8
+
+    const samples = new Int32Array(n);
+    decodeSubframe(reader, samples);
+    reader.alignToByte();
+    reader.readBits(16); // frame CRC-16
+
+    for (let i = 0; i < n && offset + i < output.length; i++) {
+        output[offset + i] = samples[i] < 0 ? samples[i] / 0x8000 : samples[i] / 0x7FFF;
+    }
+    return n;
+}
+
+/**
+ * Decodes a FLAC file written by float32ToFlac back to float samples.
+ * @param {Uint8Array} bytes - The FLAC file data.
+ * @returns {{samples: Float32Array, sampleRate: number}}
+ */
+export function flacToFloat32(bytes) {
+    if (String.fromCharCode(...bytes.subarray(0, 4)) !== 'fLaC') {
+        throw new Error('Not a FLAC file');
+    }
+
+    const reader = new BitReader(bytes, 4);
+    let sampleRate = 16000;
+    let totalSamples = 0;
+    let isLast = false;
+    while (!isLast) {
+        isLast = reader.readBits(1) === 1;
+        const blockType = reader.readBits(7);
+        const length = reader.readBits(24);
+        const blockStart = reader.position;
+        if (blockType === 0) {
+            reader.readBits(16 + 16 + 24 + 24); // block sizes, frame sizes
+            sampleRate = reader.readBits(20);
+            if (reader.readBits(3) !== 0) {
+                throw new Error('Only mono FLAC is supported');
+            }
+            reader.readBits(5); // bits per sample - 1
+            totalSamples = reader.readBits(4) * 0x100000000 + reader.readBits(32);
+        }
+        reader.position = blockStart + length;
+        reader.bitOffset = 0;
+    }
+
+    const samples = new Float32Array(totalSamples);
+    let offset = 0;
+    while (offset < totalSamples && reader.position < bytes.length) {
+        offset += readFrame(reader, samples, offset);
+    }
+    return { samples, sampleRate };
+}
+
+/**
+ * Decodes a 16-bit mono PCM WAV file written by float32ToWav back to float samples.
+ * @param {ArrayBuffer} buffer - The WAV file data.
+ * @returns {{samples: Float32Array, sampleRate: number}}
+ */
+export function wavToFloat32(buffer) {
+    const view = new DataView(buffer);
+    if (view.getUint16(22, true) !== 1 || view.getUint16(34, true) !== 16) {
+        throw new Error('Only 16-bit mono WAV is supported');
+    }
+    const sampleRate = view.getUint32(24, true);
+    const samples = new Float32Array(Math.floor(view.getUint32(40, true) / 2));
+    for (let i = 0; i < samples.length; i++) {
+        const s = view.getInt16(44 + i * 2, true);
+        samples[i] = s < 0 ? s / 0x8000 : s / 0x7FFF;
+    }
+    return { samples, sampleRate };
+}
+
+
+// --- Upload Formats ---
+
+export const UPLOAD_FORMATS = {
+    flac: { mimeType: 'audio/flac', extension: 'flac', encode: float32ToFlac },
+    wav: { mimeType: 'audio/wav', extension: 'wav', encode: float32ToWav },
+};
+
+/**
+ * Encodes audio for upload in the requested format, falling back to WAV if encoding fails.
+ * @param {Float32Array} audioData - The audio data.
+ * @param {string} format - 'flac' or 'wav'.
+ * @param {number} sampleRate - The sample rate of the audio.
+ * @returns {{format: string, mimeType: string, extension: string, data: ArrayBuffer|Uint8Array, byteLength: number}}
+ */
+export function encodeForUpload(audioData, format = 'flac', sampleRate = 16000) {
+    const formatId = UPLOAD_FORMATS[format] ? format : 'wav';
+    let encoder = UPLOAD_FORMATS[formatId];
+    let data;
+    let usedFormat = formatId;
+
+    try {
+        data = encoder.encode(audioData, sampleRate);
+    } catch (error) {
+        console.warn(`[Codec] ${formatId.toUpperCase()} encoding failed, falling back to WAV:`, error);
+        usedFormat = 'wav';
+        encoder = UPLOAD_FORMATS.wav;
+        data = encoder.encode(audioData, sampleRate);
+    }
+
+    return {
+        format: usedFormat,
+        mimeType: encoder.mimeType,
+        extension: encoder.extension,
+        data,
+        byteLength: data.byteLength
+    };
+}
+
+/**
+ * Decodes audio encodeForUpload produced, e.g. a stored audio window.
+ * @param {ArrayBuffer} data - The encoded file.
+ * @param {string} format - 'flac' or 'wav', as encodeForUpload reported it.
+ * @returns {{samples: Float32Array, sampleRate: number}}
+ */
+export function decodeUpload(data, format) {
+    return format === 'flac' ? flacToFloat32(new Uint8Array(data)) : wavToFloat32(data);
+}
@@ -2,17 +2,38 @@
  * @file background.js
  * @path src/background.js
  * @description Service worker for VTF Audio Transcriber with optimized lifecycle management
- * @modified 2025-06-20
+ * @modified 2026-10-19
  * @requires storage.js
  * @requires conversation.js
+ * @requires providers.js
+ * @requires corrections.js
+ * @requires entities.js
+ * @requires trade-calls.js
+ * @requires alerts.js
+ * @requires archive.js
+ * @requires speakers.js
+ * @requires voiceprint.js
+ * @requires conversations.js
+ * @requires export.js
  */
 
 import * as storage from './storage.js';
 import { ConversationProcessor } from './conversation.js';
+import { hasProviderCredentials, listProviders, missingProviderSettings, getProvider } from './providers.js';
+import { validateCorrectionRules } from './corrections.js';
+import { extractEntities } from './entities.js';
+import { detectTradeCall, queryTradeCalls } from './trade-calls.js';
+import { searchAlertHistory } from './alerts.js';
+import * as archive from './archive.js';
+import * as speakers from './speakers.js';
+import { confirmVoiceMatch, rejectVoiceMatch, listVoiceProposals } from './voiceprint.js';
+import { groupSegments } from './conversations.js';
+import { exportTranscript, listExportFormats } from './export.js';
 
 // Service worker optimization - Enhanced state management
 let state = {
     apiKey: null,
+    transcriptionSettings: null,
     isCapturing: false,
     lastActivity: null,
     reconnectAttempts: 0,
@@ -31,6 +52,8 @@ const debugEvents = [];
 const KEEP_ALIVE_INTERVAL = 25000; // 25 seconds (Chrome limit is 30s)
 const HEALTH_CHECK_INTERVAL = 30000; // Reduced from 60s to 30s to match content script
 const MAX_IDLE_TIME = 300000; // 5 minutes
+const RETENTION_ALARM = 'archiveRetention';
+const RETENTION_PERIOD_MINUTES = 24 * 60; // Daily, so a browser left open still prunes the archive
 
 // Keep service worker alive during active sessions
 function startKeepAlive() {
@@ -99,6 +122,12 @@ chrome.runtime.onInstalled.addListener(async (details) => {
     console.log('Extension installed/updated: VTF Transcriber state initialized.');
 });
 
+chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name === RETENTION_ALARM) {
+        enforceArchiveRetention();
+    }
+});
+
 // Enhanced initialization with recovery capabilities
 async function initializeState() {
     console.log('[Background] Service Worker starting - initializing state...');
@@ -116,10 +145,11 @@ async function initializeState() {
             isCapturing: state.isCapturing 
         });
         
-        // Initialize conversation processor if we have an API key and were capturing
-        if (state.apiKey && state.isCapturing) {
+        // Initialize conversation processor if the provider is usable and we were capturing
+        if (hasProviderCredentials(state.transcriptionSettings, state.apiKey) && state.isCapturing) {
             console.log('[Background] Restoring conversation processor from previous session');
             conversationProcessor = new ConversationProcessor(state.apiKey, state.conversationProcessorState);
+            conversationProcessor.sessionId = conversationProcessor.sessionId || await openArchiveSession();
             
             // Start service worker optimizations
             startKeepAlive();
@@ -131,6 +161,8 @@ async function initializeState() {
             }, 2000); // Give tabs time to load
         }
         
+        enforceArchiveRetention();
+        await scheduleArchiveRetention();
     } catch (error) {
         console.error('[Background] Failed to initialize state:', error);
         // Continue with default state
@@ -170,18 +202,41 @@ function handleMessage(message, sender, sendResponse) {
             handleSetApiKeyWithRetry(message, sendResponse);
             return true; // Async response
 
+        case 'getTranscriptionSettings':
+            handleGetTranscriptionSettings(sendResponse);
+            return true; // Async response
+
+        case 'checkTranscriptionSettings':
+            // Tell the popup what the selected provider still needs before capture can start
+            handleCheckTranscriptionSettings(message, sendResponse);
+            return true; // Async response
+
+        case 'setTranscriptionSettings':
+            handleSetTranscriptionSettingsWithRetry(message, sendResponse);
+            return true; // Async response
+
+        case 'getGlossary':
+            handleGetGlossary(sendResponse);
+            return true; // Async response
+
+        case 'setGlossary':
+            handleSetGlossaryWithRetry(message, sendResponse);
+            return true; // Async response
+
+        case 'getCorrectionRules':
+            handleGetCorrectionRules(sendResponse);
+            return true; // Async response
+
+        case 'setCorrectionRules':
+            handleSetCorrectionRulesWithRetry(message, sendResponse);
+            return true; // Async response
+
         case 'getStatus':
             if (conversationProcessor) {
                 // Only send status update, don't force UI update that might send empty segments
-                const status = {
-                    isCapturing: true,
-                    transcriptionCount: conversationProcessor.completedSegments.length,
-                    activeSpeakers: conversationProcessor.speakerBuffers.size,
-                    sessionCost: conversationProcessor.sessionCost,
-                };
                 chrome.runtime.sendMessage({
                     type: 'statusUpdate',
-                    status: status
+                    status: conversationProcessor.getStatus()
                 }).catch(e => {}); // Ignore errors if popup is closed
             }
             sendResponse({ status: 'ok' });
@@ -200,30 +255,133 @@ function handleMessage(message, sender, sendResponse) {
             }
             return false;
             
-        case 'getMarkdown':
-            // Generate markdown export
-            if (conversationProcessor && conversationProcessor.completedSegments.length > 0) {
-                const markdown = generateMarkdown(conversationProcessor.completedSegments, message.scope || 'session');
-                sendResponse({ markdown: markdown });
-            } else {
-                sendResponse({ markdown: null });
-            }
+        case 'getWatchlist':
+            handleGetWatchlist(sendResponse);
+            return true; // Async response
+
+        case 'setWatchlist':
+            handleSetWatchlistWithRetry(message, sendResponse);
+            return true; // Async response
+
+        case 'getAlertHistory':
+            handleGetAlertHistory(message, sendResponse);
+            return true; // Async response
+
+        case 'clearAlertHistory':
+            storage.clearAlertHistory()
+                .then(() => sendResponse({ status: 'cleared' }))
+                .catch(error => sendResponse({ status: 'error', message: error.message }));
+            return true; // Async response
+
+        case 'getArchiveSettings':
+            handleGetArchiveSettings(sendResponse);
+            return true; // Async response
+
+        case 'setArchiveSettings':
+            handleSetArchiveSettingsWithRetry(message, sendResponse);
+            return true; // Async response
+
+        case 'queryArchive':
+            // Query archived segments by session, trading day, speaker, symbol and time range
+            archive.querySegments(message.filters)
+                .then(segments => sendResponse({ segments }))
+                .catch(error => sendResponse({ status: 'error', message: error.message }));
+            return true; // Async response
+
+        case 'listArchiveSessions':
+            archive.listSessions(message.filters)
+                .then(sessions => sendResponse({ sessions }))
+                .catch(error => sendResponse({ status: 'error', message: error.message }));
+            return true; // Async response
+
+        case 'searchArchive':
+            // Full-text search across every archived session
+            archive.searchSegments(message.query, message.filters)
+                .then(result => sendResponse(result))
+                .catch(error => sendResponse({ status: 'error', message: error.message }));
+            return true; // Async response
+
+        case 'getSegmentContext':
+            archive.getSegmentContext(message.segmentId, message.radius)
+                .then(context => sendResponse(context))
+                .catch(error => sendResponse({ status: 'error', message: error.message }));
+            return true; // Async response
+
+        case 'getAudioWindow':
+            // Stored audio of a transcribed window, for segment playback
+            handleGetAudioWindow(message, sendResponse);
+            return true; // Async response
+
+        case 'retranscribeSegment':
+            // Run a segment (or a stretch of it) through the chosen provider again; nothing changes yet
+            handleRetranscribeSegment(message, sendResponse);
+            return true; // Async response
+
+        case 'acceptRetranscription':
+            handleAcceptRetranscription(message, sendResponse);
+            return true; // Async response
+
+        case 'getArchiveFacets':
+            archive.listFacets()
+                .then(facets => sendResponse(facets))
+                .catch(error => sendResponse({ status: 'error', message: error.message }));
+            return true; // Async response
+
+        case 'getExportFormats':
+            sendResponse({ formats: listExportFormats() });
             return false;
+
+        case 'exportTranscript':
+            // Every export and copy: the live session or archived days, in any registered format
+            handleExportTranscript(message, sendResponse);
+            return true; // Async response
+
+        case 'getAnalytics':
+            // Per-day statistics plus the live session's cost accounting
+            handleGetAnalytics(message, sendResponse);
+            return true; // Async response
+
+        case 'getTradeCalls':
+            // Query detected trade calls, optionally filtered by symbol, speaker ID, action or time range
+            handleGetTradeCalls(message, sendResponse);
+            return true; // Async response
+            
+        case 'getSpeakers':
+            handleGetSpeakers(sendResponse);
+            return true; // Async response
+
+        case 'renameSpeaker':
+            handleRenameSpeakerWithRetry(message, sendResponse);
+            return true; // Async response
+
+        case 'mergeSpeakers':
+            handleMergeSpeakersWithRetry(message, sendResponse);
+            return true; // Async response
+
+        case 'confirmVoiceMatch':
+        case 'rejectVoiceMatch':
+            // Answer a voiceprint match proposed for a new speaker ID
+            handleVoiceMatchWithRetry(message, sendResponse);
+            return true; // Async response
             
         case 'exportSessionData':
-            // Export session data for backup
+            // Export session data for backup, with the speaker names it was labelled with
             if (conversationProcessor && conversationProcessor.completedSegments.length > 0) {
-                const sessionData = {
-                    transcriptions: conversationProcessor.completedSegments,
-                    sessionCost: conversationProcessor.sessionCost,
-                    totalDuration: conversationProcessor.totalProcessedDuration,
-                    exportDate: new Date().toISOString(),
-                    version: '1.0'
-                };
-                sendResponse({ sessionData: sessionData });
-            } else {
-                sendResponse({ sessionData: null });
+                storage.getSpeakerRegistry()
+                    .then(speakerRegistry => sendResponse({
+                        sessionData: {
+                            transcriptions: conversationProcessor.completedSegments,
+                            sessionCost: conversationProcessor.sessionCost,
+                            totalDuration: conversationProcessor.totalProcessedDuration,
+                            speakerRegistry,
+                            exportDate: new Date().toISOString(),
+                            version: '1.0'
+                        }
+                    }))
+                    .catch(error => sendResponse({ status: 'error', message: error.message }));
+                return true; // Async response
             }
+            sendResponse({ sessionData: null });
             return false;
             
         case 'importSessionData':
@@ -277,12 +435,14 @@ async function startCapture(apiKey) {
         await storage.setApiKey(apiKey);
     }
     
-    if (!state.apiKey) {
-        throw new Error('No API key available');
+    const missing = missingProviderSettings(state.transcriptionSettings, state.apiKey);
+    if (missing.length > 0) {
+        throw new Error(`Transcription provider needs ${missing.join(' and ')}`);
     }
     
     // Create conversation processor
     conversationProcessor = new ConversationProcessor(state.apiKey);
+    conversationProcessor.sessionId = await openArchiveSession();
     state.isCapturing = true;
     state.lastActivity = Date.now();
     state.reconnectAttempts = 0; // Reset reconnection attempts
@@ -322,6 +482,7 @@ async function stopCapture() {
     state.isCapturing = false;
     state.reconnectAttempts = 0;
     await storage.setCapturingState(false);
+    await closeArchiveSession();
     
     // Send stop message to all tabs
     const tabs = await chrome.tabs.query({ url: "*://vtf.t3live.com/*" });
@@ -344,45 +505,72 @@ async function clearAllData() {
     }
 }
 
-// --- Utility ---
+// --- Archive Sessions ---
 
 /**
- * Generates markdown content from transcriptions.
- * @param {Array<object>} transcriptions - The list of transcriptions.
- * @param {string} scope - The scope of the export ('session' or 'daily').
- * @returns {string} - The generated markdown string.
+ * Returns the archive session for the current capture, starting one if none is active.
+ * @returns {Promise<string|null>} The session ID, or null if the archive is unavailable.
  */
-function generateMarkdown(transcriptions, scope = 'session') {
-    const now = new Date();
-    let title = "VTF Transcription Session";
-    let content = transcriptions;
+async function openArchiveSession() {
+    try {
+        const activeId = await storage.getActiveArchiveSessionId();
+        if (activeId) return activeId;
 
-    if (scope === 'daily') {
-        title = `VTF Trading Room - ${now.toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })}`;
-        // Filter for today's transcripts if needed, though for now we assume all in storage are for the current session/day
-    }
-    
-    if (content.length === 0) {
-        return `# ${title}\n\n*No transcriptions recorded.*`;
+        const session = await archive.startSession();
+        await storage.setActiveArchiveSessionId(session.id);
+        return session.id;
+    } catch (error) {
+        console.error('[Background] Could not open archive session:', error);
+        return null;
     }
+}
 
-    let markdown = `# ${title}\n\n`;
-    markdown += `**Date:** ${now.toLocaleString()}\n`;
-    markdown += `**Total Transcripts:** ${content.length}\n\n---\n\n`;
+async function closeArchiveSession() {
+    try {
+        const activeId = await storage.getActiveArchiveSessionId();
+        if (activeId) {
+            await archive.endSession(activeId);
+            await storage.setActiveArchiveSessionId(null);
+        }
+    } catch (error) {
+        console.error('[Background] Could not close archive session:', error);
+    }
+}
 
-    content.forEach(transcript => {
-        const time = new Date(transcript.timestamp).toLocaleTimeString();
-        markdown += `**${transcript.speaker}** *(${time})*: ${transcript.text}\n\n`;
-    });
+async function scheduleArchiveRetention() {
+    try {
+        // Creating the alarm again would restart its period, so only create it when missing
+        const existing = await chrome.alarms.get(RETENTION_ALARM);
+        if (!existing) {
+            await chrome.alarms.create(RETENTION_ALARM, { periodInMinutes: RETENTION_PERIOD_MINUTES });
+        }
+    } catch (error) {
+        console.error('[Background] Could not schedule archive retention:', error);
+    }
+}
 
-    return markdown;
+async function enforceArchiveRetention() {
+    try {
+        const { retentionDays, audioRetentionDays } = await storage.getArchiveSettings();
+        await archive.applyAudioExpiry();
+        await archive.applyAudioRetention(audioRetentionDays);
+        return await archive.applyRetention(retentionDays);
+    } catch (error) {
+        console.error('[Background] Archive retention failed:', error);
+        return 0;
+    }
 }
 
-function extractSpeakerName(streamId) {
-    if (!streamId) return 'Unknown';
-    if (streamId === 'local-stream') return 'Me';
-    const parts = streamId.split('-');
-    return parts.length > 3 ? parts.slice(3).join(' ') : streamId;
+// --- Utility ---
+
+function arrayBufferToBase64(buffer) {
+    const bytes = new Uint8Array(buffer);
+    let binary = '';
+    // Chunked so String.fromCharCode never gets more arguments than the stack allows
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
 }
 
 // Initialize state when the script first loads
@@ -406,9 +594,10 @@ async function attemptSystemRecovery() {
     
     try {
         // Try to reinitialize the conversation processor
-        if (!conversationProcessor && state.apiKey) {
+        if (!conversationProcessor && hasProviderCredentials(state.transcriptionSettings, state.apiKey)) {
             console.log('[Background] Reinitializing conversation processor');
             conversationProcessor = new ConversationProcessor(state.apiKey);
+            conversationProcessor.sessionId = await openArchiveSession();
         }
         
         // Ping content scripts to check if they're responsive
@@ -490,17 +679,18 @@ async function handleAudioDataWithRetry(message, sendResponse) {
         console.log(`[DEBUG] Processing audio data: ${message.streamId}, amplitude: ${maxAmplitude.toFixed(6)}, timestamp: ${message.timestamp}`);
         
         await handleOperationWithRetry(async () => {
-            if (!state.apiKey) {
-                throw new Error('No API key available for audio processing');
+            if (!hasProviderCredentials(state.transcriptionSettings, state.apiKey)) {
+                throw new Error('No API key or provider configuration available for audio processing');
             }
             
             if (!conversationProcessor) {
                 console.log('[Background] Creating new ConversationProcessor for audio processing');
                 conversationProcessor = new ConversationProcessor(state.apiKey);
+                conversationProcessor.sessionId = await openArchiveSession();
             }
             
             // Process audio asynchronously
-            await conversationProcessor.processAudio(message.audioData, message.streamId, message.timestamp);
+            await conversationProcessor.processAudio(message.audioData, message.streamId, message.timestamp, message.participant, message.vadResult);
         });
         
         sendResponse({ status: 'received' });
@@ -558,6 +748,387 @@ async function handleSetApiKeyWithRetry(message, sendResponse) {
     }
 }
 
+async function handleGetTranscriptionSettings(sendResponse) {
+    try {
+        const settings = await storage.getTranscriptionSettings();
+        sendResponse({ settings, providers: listProviders(), hasApiKey: !!state.apiKey });
+    } catch (error) {
+        console.error('[Background] Failed to load transcription settings:', error);
+        sendResponse({ status: 'error', message: error.message });
+    }
+}
+
+async function handleCheckTranscriptionSettings(message, sendResponse) {
+    try {
+        const settings = await storage.getTranscriptionSettings();
+        const missing = missingProviderSettings(settings, message.apiKey || state.apiKey);
+        sendResponse({ ready: missing.length === 0, missing, provider: getProvider(settings.provider).label });
+    } catch (error) {
+        console.error('[Background] Failed to check transcription settings:', error);
+        sendResponse({ status: 'error', message: error.message });
+    }
+}
+
+async function handleSetTranscriptionSettingsWithRetry(message, sendResponse) {
+    try {
+        const settings = await handleOperationWithRetry(async () => {
+            if (!message.settings) {
+                throw new Error('No transcription settings provided');
+            }
+            return await storage.setTranscriptionSettings(message.settings);
+        });
+
+        state.transcriptionSettings = settings;
+        console.log(`[Background] Transcription provider set to ${settings.provider}`);
+        sendResponse({ status: 'updated', settings });
+    } catch (error) {
+        console.error('[Background] Transcription settings update failed after retries:', error);
+        sendResponse({ status: 'error', message: error.message });
+    }
+}
+
+async function handleGetGlossary(sendResponse) {
+    try {
+        sendResponse({ glossary: await storage.getGlossary() });
+    } catch (error) {
+        console.error('[Background] Failed to load glossary:', error);
+        sendResponse({ status: 'error', message: error.message });
+    }
+}
+
+async function handleSetGlossaryWithRetry(message, sendResponse) {
+    try {
+        const glossary = await handleOperationWithRetry(async () => {
+            if (!message.glossary) {
+                throw new Error('No glossary provided');
+            }
+            return await storage.setGlossary(message.glossary);
+        });
+
+        console.log(`[Background] Glossary updated: ${glossary.tickers.length} tickers, ${glossary.terms.length} terms`);
+        sendResponse({ status: 'updated', glossary });
+    } catch (error) {
+        console.error('[Background] Glossary update failed after retries:', error);
+        sendResponse({ status: 'error', message: error.message });
+    }
+}
+
+async function handleGetCorrectionRules(sendResponse) {
+    try {
+        sendResponse({ rules: await storage.getCorrectionRules() });
+    } catch (error) {
+        console.error('[Background] Failed to load correction rules:', error);
+        sendResponse({ status: 'error', message: error.message });
+    }
+}
+
+async function handleSetCorrectionRulesWithRetry(message, sendResponse) {
+    let rules;
+    try {
+        // Validation errors are the user's to fix, so they are not retried
+        rules = validateCorrectionRules(message.rules);
+    } catch (error) {
+        sendResponse({ status: 'error', message: error.message });
+        return;
+    }
+
+    try {
+        await handleOperationWithRetry(async () => {
+            await storage.setCorrectionRules(rules);
+        });
+
+        console.log(`[Background] Correction rules updated: ${rules.replacements.length} replacements`);
+        sendResponse({ status: 'updated', rules });
+    } catch (error) {
+        console.error('[Background] Correction rules update failed after retries:', error);
+        sendResponse({ status: 'error', message: error.message });
+    }
+}
+
+async function handleGetWatchlist(sendResponse) {
+    try {
+        sendResponse({ watchlist: await storage.getWatchlist() });
+    } catch (error) {
+        console.error('[Background] Failed to load watchlist:', error);
+        sendResponse({ status: 'error', message: error.message });
+    }
+}
+
+async function handleSetWatchlistWithRetry(message, sendResponse) {
+    try {
+        const watchlist = await handleOperationWithRetry(async () => {
+            if (!message.watchlist) {
+                throw new Error('No watchlist provided');
+            }
+            return await storage.setWatchlist(message.watchlist);
+        });
+
+        const ruleCount = watchlist.symbols.length + watchlist.phrases.length + watchlist.speakers.length;
+        console.log(`[Background] Watchlist updated: ${ruleCount} rules`);
+        sendResponse({ status: 'updated', watchlist });
+    } catch (error) {
+        console.error('[Background] Watchlist update failed after retries:', error);
+        sendResponse({ status: 'error', message: error.message });
+    }
+}
+
+async function listKnownSpeakers() {
+    const [registry, proposals] = await Promise.all([storage.getSpeakerRegistry(), listVoiceProposals()]);
+    const segments = conversationProcessor ? conversationProcessor.completedSegments : [];
+    return speakers.listSpeakers(registry, segments)
+        .map(speaker => ({ ...speaker, voiceMatch: proposals[speaker.id] || null }));
+}
+
+async function handleGetSpeakers(sendResponse) {
+    try {
+        sendResponse({ speakers: await listKnownSpeakers() });
+    } catch (error) {
+        console.error('[Background] Failed to load speakers:', error);
+        sendResponse({ status: 'error', message: error.message });
+    }
+}
+
+async function handleRenameSpeakerWithRetry(message, sendResponse) {
+    if (!message.speakerId) {
+        sendResponse({ status: 'error', message: 'A speaker ID is required' });
+        return;
+    }
+
+    try {
+        const registry = await handleOperationWithRetry(async () => {
+            return await speakers.renameSpeaker(message.speakerId, message.name);
+        });
+
+        const relabeled = await applySpeakerRegistry(registry);
+        console.log(`[Background] Speaker ${message.speakerId} renamed to "${message.name}", ${relabeled} segments relabeled`);
+        sendResponse({ status: 'updated', relabeled, speakers: await listKnownSpeakers() });
+    } catch (error) {
+        console.error('[Background] Speaker rename failed after retries:', error);
+        sendResponse({ status: 'error', message: error.message });
+    }
+}
+
+async function handleMergeSpeakersWithRetry(message, sendResponse) {
+    try {
+        // Merging a speaker into itself is the user's mistake, so it is not retried
+        const current = await storage.getSpeakerRegistry();
+        if (!message.fromId || !message.intoId
+            || speakers.canonicalSpeakerId(current, message.fromId) === speakers.canonicalSpeakerId(current, message.intoId)) {
+            sendResponse({ status: 'error', message: 'Pick two different speakers to merge' });
+            return;
+        }
+
+        const registry = await handleOperationWithRetry(async () => {
+            return await speakers.mergeSpeakers(message.fromId, message.intoId);
+        });
+
+        const relabeled = await applySpeakerRegistry(registry);
+        console.log(`[Background] Speaker ${message.fromId} merged into ${message.intoId}, ${relabeled} segments relabeled`);
+        sendResponse({ status: 'updated', relabeled, speakers: await listKnownSpeakers() });
+    } catch (error) {
+        console.error('[Background] Speaker merge failed after retries:', error);
+        sendResponse({ status: 'error', message: error.message });
+    }
+}
+
+async function handleVoiceMatchWithRetry(message, sendResponse) {
+    if (!message.speakerId || !message.profileId) {
+        sendResponse({ status: 'error', message: 'A speaker and a matched profile are required' });
+        return;
+    }
+
+    const confirmed = message.type === 'confirmVoiceMatch';
+    try {
+        const registry = await handleOperationWithRetry(async () => {
+            if (confirmed) {
+                return await confirmVoiceMatch(message.speakerId, message.profileId);
+            }
+            await rejectVoiceMatch(message.speakerId, message.profileId);
+            return null;
+        });
+
+        let relabeled = 0;
+        if (conversationProcessor) {
+            await conversationProcessor.setVoiceMatchStatus(message.speakerId, confirmed ? 'confirmed' : 'rejected');
+            relabeled = registry ? await applySpeakerRegistry(registry) : 0;
+            await storage.setConversationProcessorState(conversationProcessor.getState());
+        }
+        console.log(`[Background] Voice match ${message.speakerId} -> ${message.profileId} ${confirmed ? 'confirmed' : 'rejected'}`);
+        sendResponse({ status: 'updated', relabeled, speakers: await listKnownSpeakers() });
+    } catch (error) {
+        console.error('[Background] Voice match update failed after retries:', error);
+        sendResponse({ status: 'error', message: error.message });
+    }
+}
+
+/**
+ * Relabels the live session after the registry changed and persists it.
+ * @returns {Promise<number>} The number of segments relabeled.
+ */
+async function applySpeakerRegistry(registry) {
+    if (!conversationProcessor) return 0;
+
+    const relabeled = await conversationProcessor.applySpeakerRegistry(registry);
+    if (relabeled > 0) {
+        await storage.setConversationProcessorState(conversationProcessor.getState());
+    }
+    return relabeled;
+}
+
+async function handleGetAlertHistory(message, sendResponse) {
+    try {
+        const history = await storage.getAlertHistory();
+        sendResponse({ alerts: searchAlertHistory(history, message.query) });
+    } catch (error) {
+        console.error('[Background] Failed to load alert history:', error);
+        sendResponse({ status: 'error', message: error.message });
+    }
+}
+
+async function handleGetArchiveSettings(sendResponse) {
+    try {
+        const [settings, stats] = await Promise.all([storage.getArchiveSettings(), archive.getArchiveStats()]);
+        sendResponse({ settings, stats });
+    } catch (error) {
+        console.error('[Background] Failed to load archive settings:', error);
+        sendResponse({ status: 'error', message: error.message });
+    }
+}
+
+async function handleSetArchiveSettingsWithRetry(message, sendResponse) {
+    try {
+        const settings = await handleOperationWithRetry(async () => {
+            if (!message.settings) {
+                throw new Error('No archive settings provided');
+            }
+            return await storage.setArchiveSettings(message.settings);
+        });
+
+        const removed = await enforceArchiveRetention();
+        const stats = await archive.getArchiveStats();
+        console.log(`[Background] Archive retention set to ${settings.retentionDays || 'unlimited'} days`);
+        sendResponse({ status: 'updated', settings, stats, removed });
+    } catch (error) {
+        console.error('[Background] Archive settings update failed after retries:', error);
+        sendResponse({ status: 'error', message: error.message });
+    }
+}
+
+async function handleGetAudioWindow(message, sendResponse) {
+    try {
+        if (!message.windowId) {
+            throw new Error('An audio window ID is required');
+        }
+        const clip = await archive.getAudio(message.windowId);
+        if (!clip) {
+            throw new Error('The audio for this segment is no longer stored');
+        }
+        // Messages are JSON; the audio travels as base64
+        sendResponse({ status: 'ok', mimeType: clip.mimeType, data: arrayBufferToBase64(clip.data), duration: clip.duration });
+    } catch (error) {
+        console.error('[Background] Could not load audio window:', error);
+        sendResponse({ status: 'error', message: error.message });
+    }
+}
+
+async function handleRetranscribeSegment(message, sendResponse) {
+    try {
+        if (!conversationProcessor) {
+            throw new Error('Re-transcription works on the segments of a running capture');
+        }
+        const retranscription = await conversationProcessor.retranscribe(message.segmentId, message.options);
+        await storage.setConversationProcessorState(conversationProcessor.getState());
+        sendResponse({ status: 'ok', retranscription });
+    } catch (error) {
+        console.error('[Background] Re-transcription failed:', error);
+        sendResponse({ status: 'error', message: error.message });
+    }
+}
+
+async function handleAcceptRetranscription(message, sendResponse) {
+    try {
+        if (!conversationProcessor) {
+            throw new Error('Re-transcription works on the segments of a running capture');
+        }
+        const segment = await conversationProcessor.reviseSegment(message.retranscription);
+        await storage.setConversationProcessorState(conversationProcessor.getState());
+        sendResponse({ status: 'updated', segment });
+    } catch (error) {
+        console.error('[Background] Could not accept re-transcription:', error);
+        sendResponse({ status: 'error', message: error.message });
+    }
+}
+
+async function handleExportTranscript(message, sendResponse) {
+    try {
+        const liveSession = conversationProcessor ? {
+            segments: conversationProcessor.completedSegments,
+            conversations: conversationProcessor.conversations.conversations,
+            sessionId: conversationProcessor.sessionId
+        } : null;
+        const result = await exportTranscript(message, liveSession);
+        sendResponse({ status: 'ok', ...result });
+    } catch (error) {
+        console.error('[Background] Export failed:', error);
+        sendResponse({ status: 'error', message: error.message });
+    }
+}
+
+async function handleGetAnalytics(message, sendResponse) {
+    try {
+        const [stats, registry] = await Promise.all([archive.getDailyStats(message.range), storage.getSpeakerRegistry()]);
+        // Speaker totals are kept by ID so renames and merges apply to past days too
+        const days = stats.map(day => ({ ...day, speakers: speakers.nameSpeakerStats(registry, day.speakers) }));
+        const session = conversationProcessor ? {
+            cost: conversationProcessor.sessionCost,
+            processedSeconds: conversationProcessor.totalProcessedDuration,
+            segments: conversationProcessor.completedSegments.length,
+            tradingDay: archive.getTradingDay(Date.now())
+        } : null;
+        sendResponse({ days, session });
+    } catch (error) {
+        console.error('[Background] Failed to load analytics:', error);
+        sendResponse({ status: 'error', message: error.message });
+    }
+}
+
+async function handleGetTradeCalls(message, sendResponse) {
+    const filters = message.filters || {};
+    const live = conversationProcessor ? conversationProcessor.completedSegments : [];
+    let segments = live;
+    try {
+        // The archive holds every session's calls; memory only adds segments not archived yet
+        const archived = await archive.queryTradeCallSegments({
+            symbol: filters.symbol,
+            since: filters.since,
+            until: filters.until
+        });
+        const archivedIds = new Set(archived.map(segment => segment.id));
+        segments = [...archived, ...live.filter(segment => !archivedIds.has(segment.id))];
+    } catch (error) {
+        console.error('[Background] Failed to query archived trade calls:', error);
+    }
+
+    try {
+        // Speakers are matched by ID, so renames and merges apply to archived calls too
+        const registry = await storage.getSpeakerRegistry();
+        const speakerId = filters.speakerId ? speakers.canonicalSpeakerId(registry, filters.speakerId) : null;
+        const named = segments
+            .filter(segment => segment.tradeCall
+                && (!speakerId || (segment.speakerId && speakers.canonicalSpeakerId(registry, segment.speakerId) === speakerId)))
+            .map(segment => {
+                if (!segment.speakerId) return segment;
+                const name = speakers.speakerName(registry, segment.speakerId);
+                const speaker = segment.subSpeaker ? speakers.subSpeakerName(name, segment.subSpeaker) : name;
+                return { ...segment, tradeCall: { ...segment.tradeCall, speakerId: segment.speakerId, speaker } };
+            });
+        sendResponse({ calls: queryTradeCalls(named, { ...filters, speaker: undefined }) });
+    } catch (error) {
+        console.error('[Background] Failed to query trade calls:', error);
+        sendResponse({ status: 'error', message: error.message });
+    }
+}
+
 async function handleClearDataWithRetry(sendResponse) {
     try {
         await handleOperationWithRetry(async () => {
@@ -582,10 +1153,28 @@ async function handleImportSessionDataWithRetry(message, sendResponse) {
             // Create or update conversation processor with imported data
             if (!conversationProcessor) {
                 conversationProcessor = new ConversationProcessor(state.apiKey);
+                conversationProcessor.sessionId = await openArchiveSession();
             }
             
+            // Names from the backup fill gaps in the registry; then every segment takes the current names
+            const registry = message.sessionData.speakerRegistry
+                ? await speakers.importSpeakerRegistry(message.sessionData.speakerRegistry)
+                : await storage.getSpeakerRegistry();
+            
+            // Backups made before entity extraction existed get annotated on the way in
+            const { tickers } = await storage.getGlossary();
+            const annotated = message.sessionData.transcriptions.map(segment => {
+                if (segment.entities) return segment;
+                const entities = extractEntities(segment.text, tickers);
+                const tradeCall = detectTradeCall(segment.text, entities, { speaker: segment.speaker, timestamp: segment.timestamp });
+                return { ...segment, entities, tradeCall };
+            });
+            const relabeled = speakers.relabelSegments(annotated, registry).segments;
+            const { assembler, segments: transcriptions } = groupSegments(relabeled, conversationProcessor.sessionId);
+            
             // Set the imported segments
-            conversationProcessor.completedSegments = message.sessionData.transcriptions;
+            conversationProcessor.completedSegments = transcriptions;
+            conversationProcessor.conversations = assembler;
             conversationProcessor.sessionCost = message.sessionData.sessionCost || 0;
             conversationProcessor.totalProcessedDuration = message.sessionData.totalDuration || 0;
             
@@ -2,7 +2,7 @@
  * @file content.js
  * @path src/content.js
  * @description VTF platform integration script handling message routing and transcription display
- * @modified 2025-06-18
+ * @modified 2026-10-19
  */
 
 // content.js - VTF Audio Extension with enhanced debugging and visual feedback
@@ -62,7 +62,9 @@ function handleAudioData(data) {
       type: 'audioData',
       audioData: data.audioData,
       streamId: data.streamId,
-      timestamp: data.timestamp
+      timestamp: data.timestamp,
+      participant: data.channelInfo?.participant || null, // Roster name, cleaned up in the background
+      vadResult: data.vadResult ? { isVoice: !!data.vadResult.isVoice, probability: data.vadResult.probability } : null
     }).catch(error => {
       console.error('[Content] Failed to send audio data to background:', error);
       if (error.message.includes('Extension context invalidated')) {
@@ -90,6 +92,7 @@ script.onload = function() {
 // Keep track of audio chunks sent
 let chunksSent = 0;
 let processedSegments = []; // Store processed conversation segments
+const conversations = new Map(); // Conversation ID -> the background's conversation summary
 
 // Debug flag
 const DEBUG_CAPTURE = false;
@@ -358,7 +361,16 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     if (request.type === 'processedTranscription') {
       if (request.segment && request.segment.text) {
         console.log(`[Content] Processed segment received: "${request.segment.text.substring(0, 50)}..."`);
+        // A segment that grew (the next fragment finished its sentence) comes back with the same ID
+        const index = processedSegments.findIndex(segment => segment.id && segment.id === request.segment.id);
+        if (index >= 0) {
+          processedSegments.splice(index, 1);
+          removeSegmentElement(request.segment.id);
+        }
         processedSegments.push(request.segment);
+        if (request.conversation) {
+          conversations.set(request.conversation.id, request.conversation);
+        }
         displayProcessedSegment(request.segment);
       } else {
         console.warn('[Content] Received processedTranscription message but segment or text is missing:', request);
@@ -367,6 +379,15 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       return false;
     }
     
+    if (request.type === 'segmentRevised') {
+      if (request.conversation) {
+        conversations.set(request.conversation.id, request.conversation);
+      }
+      replaceSegment(request.segment);
+      sendResponse({received: true});
+      return false;
+    }
+    
     if (request.type === 'newTranscription') {
       // Don't display raw transcriptions - wait for processed segments
       console.log('[Content] Raw transcription received - waiting for processed segment');
@@ -374,6 +395,12 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       return false;
     }
     
+    if (request.type === 'speakerNamesUpdated') {
+      applySpeakerNames(request.names || {});
+      sendResponse({received: true});
+      return false;
+    }
+    
     if (request.type === 'buffer_status') {
       updateBufferStatus(request);
       sendResponse({received: true});
@@ -392,6 +419,105 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   }
 });
 
+/**
+ * Asks for a new display name and saves it to the speaker registry. The background relabels
+ * the session and answers with speakerNamesUpdated, which renames the overlay.
+ */
+function promptRenameSpeaker(speakerId, currentName) {
+  const name = prompt(`Rename "${currentName}" (leave empty to reset):`, currentName);
+  if (name === null || name.trim() === currentName) return;
+  
+  chrome.runtime.sendMessage({ type: 'renameSpeaker', speakerId, name: name.trim() }, (response) => {
+    if (chrome.runtime.lastError || !response || response.status !== 'updated') {
+      const reason = chrome.runtime.lastError ? chrome.runtime.lastError.message : response?.message;
+      showNotification('Rename failed: ' + (reason || 'unknown error'), 'error');
+      return;
+    }
+    showNotification(`Renamed to ${name.trim() || 'default name'}`, 'success');
+  });
+}
+
+/**
+ * Names one voice of a segment split by diarization; matches subSpeakerName() in speakers.js.
+ */
+function formatSubSpeaker(name, label) {
+  return label ? `${name} · voice ${label}` : name;
+}
+
+/**
+ * Relabels segments already shown in the overlay (and kept for export) after a rename or merge.
+ * @param {Object<string, string>} names - Speaker ID -> current display name.
+ */
+function applySpeakerNames(names) {
+  processedSegments.forEach(segment => {
+    if (segment.speakerId && names[segment.speakerId]) {
+      segment.speaker = formatSubSpeaker(names[segment.speakerId], segment.subSpeaker);
+      if (segment.tradeCall) segment.tradeCall.speaker = segment.speaker;
+    }
+  });
+  document.querySelectorAll('.vtf-speaker-name[data-speaker-id]').forEach(element => {
+    const name = names[element.dataset.speakerId];
+    if (name) element.textContent = formatSubSpeaker(name, element.dataset.subSpeaker);
+  });
+  conversations.forEach(conversation => {
+    conversation.participants.forEach(participant => {
+      const name = participant.speakerId && names[participant.speakerId];
+      if (name) participant.speaker = formatSubSpeaker(name, participant.key.split('#')[1]);
+    });
+    updateConversationDivider(conversation);
+  });
+}
+
+/**
+ * Builds the "Sounds like ..." badge for a segment whose voice matched a known speaker,
+ * with buttons to confirm or reject the match.
+ */
+function createVoiceMatchBadge(segment) {
+  const { profileId, name, confidence } = segment.voiceMatch;
+  const badge = document.createElement('span');
+  badge.className = 'vtf-voice-match';
+  badge.dataset.speakerId = segment.speakerId;
+  badge.title = 'Matched by voice. Confirm to merge this speaker into the known one.';
+  
+  const label = document.createElement('span');
+  label.textContent = `🎙 Sounds like ${name} ${Math.round(confidence * 100)}%`;
+  badge.appendChild(label);
+  
+  [['confirmVoiceMatch', '✓', 'Same person'], ['rejectVoiceMatch', '✗', 'Different person']].forEach(([type, text, title]) => {
+    const button = document.createElement('button');
+    button.className = 'vtf-voice-match-btn';
+    button.textContent = text;
+    button.title = title;
+    button.addEventListener('click', () => answerVoiceMatch(type, segment.speakerId, profileId, name));
+    badge.appendChild(button);
+  });
+  return badge;
+}
+
+/**
+ * Sends the user's answer to a voice match and removes the badges for that speaker.
+ * A confirmed match is followed by speakerNamesUpdated, which renames the overlay.
+ */
+function answerVoiceMatch(type, speakerId, profileId, name) {
+  chrome.runtime.sendMessage({ type, speakerId, profileId }, (response) => {
+    if (chrome.runtime.lastError || !response || response.status !== 'updated') {
+      const reason = chrome.runtime.lastError ? chrome.runtime.lastError.message : response?.message;
+      showNotification('Voice match update failed: ' + (reason || 'unknown error'), 'error');
+      return;
+    }
+    const status = type === 'confirmVoiceMatch' ? 'confirmed' : 'rejected';
+    processedSegments.forEach(segment => {
+      if (segment.speakerId === speakerId && segment.voiceMatch?.status === 'proposed') {
+        segment.voiceMatch.status = status;
+      }
+    });
+    document.querySelectorAll('.vtf-voice-match').forEach(badge => {
+      if (badge.dataset.speakerId === speakerId) badge.remove();
+    });
+    showNotification(status === 'confirmed' ? `Merged into ${name}` : `Kept apart from ${name}`, 'success');
+  });
+}
+
 // Create floating transcription display with professional design
 function createTranscriptionDisplay() {
   if (document.getElementById('vtf-transcription-display')) return;
@@ -557,15 +683,162 @@ function createTranscriptionDisplay() {
       font-size: 14px;
     }
     
-    .vtf-topic-badge {
+    .vtf-speaker-name[data-speaker-id] {
+      cursor: pointer;
+    }
+    
+    .vtf-speaker-name[data-speaker-id]:hover {
+      text-decoration: underline dotted;
+    }
+    
+    .vtf-voice-match {
+      display: inline-flex;
+      align-items: center;
+      gap: 4px;
+      padding: 2px 6px;
+      border-radius: 4px;
+      font-size: 11px;
       background: rgba(33, 150, 243, 0.2);
-      color: #2196F3;
+      color: #64B5F6;
+    }
+    
+    .vtf-voice-match-btn {
+      background: none;
+      border: 1px solid rgba(100, 181, 246, 0.5);
+      border-radius: 3px;
+      color: inherit;
+      font-size: 11px;
+      line-height: 1;
+      padding: 1px 4px;
+      cursor: pointer;
+    }
+    
+    .vtf-voice-match-btn:hover {
+      background: rgba(100, 181, 246, 0.2);
+    }
+    
+    .vtf-crosstalk {
+      display: flex;
+      gap: 8px;
+      align-items: stretch;
+    }
+    
+    .vtf-crosstalk > .vtf-segment {
+      flex: 1 1 0;
+      min-width: 0;
+    }
+    
+    .vtf-overlap-note {
+      color: #FF9800;
+    }
+    
+    .vtf-play-btn {
+      background: none;
+      border: 1px solid rgba(255, 255, 255, 0.25);
+      border-radius: 3px;
+      color: inherit;
+      font-size: 9px;
+      line-height: 1;
+      padding: 2px 5px;
+      cursor: pointer;
+    }
+    
+    .vtf-play-btn:hover {
+      background: rgba(255, 255, 255, 0.1);
+    }
+    
+    .vtf-play-btn:disabled {
+      opacity: 0.5;
+      cursor: default;
+    }
+    
+    .vtf-edited-note {
+      color: #64B5F6;
+    }
+    
+    .vtf-retranscribe {
+      margin-top: 8px;
+      padding: 8px;
+      border-radius: 6px;
+      background: rgba(255, 255, 255, 0.04);
+      font-size: 12px;
+    }
+    
+    .vtf-retranscribe-controls {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 6px;
+      margin-top: 6px;
+    }
+    
+    .vtf-retranscribe-controls:first-child {
+      margin-top: 0;
+    }
+    
+    .vtf-retranscribe-input {
+      flex: 1 1 120px;
+      min-width: 0;
+      background: rgba(0, 0, 0, 0.3);
+      border: 1px solid rgba(255, 255, 255, 0.2);
+      border-radius: 3px;
+      color: inherit;
+      font-size: 11px;
+      padding: 2px 4px;
+    }
+    
+    .vtf-retranscribe-input[type="number"] {
+      flex: 0 1 60px;
+    }
+    
+    .vtf-retranscribe-compare {
+      display: grid;
+      grid-template-columns: 1fr 1fr;
+      gap: 8px;
+      margin-top: 8px;
+      line-height: 1.5;
+    }
+    
+    .vtf-retranscribe-label {
+      color: #90A4AE;
+      font-size: 10px;
+      text-transform: uppercase;
+      letter-spacing: 0.3px;
+    }
+    
+    .vtf-phrase-time {
+      margin-right: 4px;
+      color: #78909C;
+      font-size: 10px;
+      font-variant-numeric: tabular-nums;
+    }
+    
+    .vtf-conversation-divider {
+      margin: 10px 0 6px;
+      padding-bottom: 4px;
+      border-bottom: 1px solid rgba(255, 255, 255, 0.15);
+      color: #90A4AE;
+      font-size: 11px;
+      letter-spacing: 0.3px;
+    }
+    
+    .vtf-segment-call {
+      border-left-color: #FFC107;
+      background: rgba(255, 193, 7, 0.06);
+    }
+    
+    .vtf-call-badge {
       padding: 2px 8px;
       border-radius: 4px;
       font-size: 11px;
-      font-weight: 500;
+      font-weight: 700;
+      letter-spacing: 0.3px;
+      background: rgba(255, 193, 7, 0.2);
+      color: #FFC107;
     }
     
+    .vtf-call-entry, .vtf-call-add { background: rgba(76, 175, 80, 0.25); color: #81C784; }
+    .vtf-call-exit, .vtf-call-trim { background: rgba(244, 67, 54, 0.25); color: #E57373; }
+    
     .vtf-segment-meta {
       display: flex;
       gap: 12px;
@@ -579,6 +852,42 @@ function createTranscriptionDisplay() {
       font-size: 14px;
     }
     
+    .vtf-segment-alert {
+      border-left-color: #F44336;
+    }
+    
+    .vtf-alert-highlight {
+      background: rgba(244, 67, 54, 0.35);
+      color: #fff;
+      padding: 0 2px;
+      border-radius: 2px;
+    }
+    
+    .vtf-alert-speaker {
+      text-decoration: underline;
+      text-decoration-color: #F44336;
+    }
+    
+    .vtf-entity-row {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 6px;
+      margin-top: 8px;
+    }
+    
+    .vtf-entity-chip {
+      padding: 1px 6px;
+      border-radius: 4px;
+      font-size: 11px;
+      font-weight: 500;
+      font-family: monospace;
+    }
+    
+    .vtf-entity-symbol { background: rgba(76, 175, 80, 0.2); color: #4CAF50; }
+    .vtf-entity-price { background: rgba(255, 193, 7, 0.2); color: #FFC107; }
+    .vtf-entity-percentage { background: rgba(156, 39, 176, 0.2); color: #CE93D8; }
+    .vtf-entity-time { background: rgba(255, 255, 255, 0.08); color: #aaa; }
+    
     .vtf-confidence-high { color: #4CAF50; }
     .vtf-confidence-medium { color: #FF9800; }
     .vtf-confidence-low { color: #F44336; }
@@ -597,6 +906,7 @@ function createTranscriptionDisplay() {
       if (content) {
         content.innerHTML = '';
         processedSegments = [];
+        conversations.clear();
         
         // Update count
         const countElement = document.getElementById('vtf-segment-count');
@@ -619,18 +929,374 @@ function createTranscriptionDisplay() {
 }
 
 // Display processed conversation segment
-function displayProcessedSegment(segment) {
-  const display = document.getElementById('vtf-transcription-display');
-  if (!display) {
-    createTranscriptionDisplay();
-    return displayProcessedSegment(segment);
+/**
+ * Builds the row of symbol, price, percentage and time chips shown under a segment.
+ * @param {object} entities - The segment's extracted entities.
+ * @returns {HTMLElement|null} The row, or null when nothing was recognized.
+ */
+function createEntityRow(entities) {
+  if (!entities) return null;
+  
+  const chips = [
+    ...(entities.symbols || []).map(symbol => ['symbol', `$${symbol}`]),
+    ...(entities.prices || []).map(price => ['price', price.text]),
+    ...(entities.percentages || []).map(percentage => ['percentage', percentage.text]),
+    ...(entities.times || []).map(time => ['time', time.text])
+  ];
+  if (chips.length === 0) return null;
+  
+  const row = document.createElement('div');
+  row.className = 'vtf-entity-row';
+  chips.forEach(([kind, label]) => {
+    const chip = document.createElement('span');
+    chip.className = `vtf-entity-chip vtf-entity-${kind}`;
+    chip.textContent = label; // Safe text content
+    row.appendChild(chip);
+  });
+  return row;
+}
+
+/**
+ * Appends text to an element, wrapping watchlist matches in <mark> elements.
+ * Built with text nodes only, so transcription text is never parsed as HTML.
+ * @param {HTMLElement} element - The element to fill.
+ * @param {string} text - The segment text.
+ * @param {Array<string>} terms - The matched text of each alert.
+ */
+function appendHighlightedText(element, text, terms) {
+  const escaped = terms.filter(Boolean).map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  if (escaped.length === 0) {
+    element.textContent = text;
+    return;
   }
   
-  display.style.display = 'block';
-  const content = document.getElementById('vtf-transcription-content');
+  // The capture group keeps the matches in the split output at odd indexes
+  const parts = text.split(new RegExp(`(${escaped.join('|')})`, 'gi'));
+  parts.forEach((part, index) => {
+    if (index % 2 === 1) {
+      const mark = document.createElement('mark');
+      mark.className = 'vtf-alert-highlight';
+      mark.textContent = part;
+      element.appendChild(mark);
+    } else if (part) {
+      element.appendChild(document.createTextNode(part));
+    }
+  });
+}
+
+/**
+ * Appends a segment's text sentence by sentence, each sentence marked with the time its first word
+ * was spoken (from the segment's word timestamps) and its time range on hover.
+ * @param {HTMLElement} element - The element to fill.
+ * @param {object} segment - The segment, with `words` timed in seconds from its start.
+ * @param {Array<string>} terms - The matched text of each alert.
+ */
+function appendTimedPhrases(element, segment, terms) {
+  const phrases = [];
+  let current = null;
+  segment.words.forEach(word => {
+    if (!current) {
+      current = { start: word.start, end: word.end, words: [] };
+      phrases.push(current);
+    }
+    current.words.push(word.word);
+    current.end = word.end;
+    if (/[.?!…]["')\]]*$/.test(word.word)) current = null;
+  });
+  
+  const clock = (seconds) => new Date(segment.timestamp + seconds * 1000).toLocaleTimeString();
+  phrases.forEach((phrase, index) => {
+    if (index > 0) {
+      element.appendChild(document.createTextNode(' '));
+      const time = document.createElement('span');
+      time.className = 'vtf-phrase-time';
+      time.textContent = clock(phrase.start);
+      element.appendChild(time);
+    }
+    const span = document.createElement('span');
+    span.className = 'vtf-phrase';
+    span.dataset.start = phrase.start;
+    span.dataset.end = phrase.end;
+    span.title = `${clock(phrase.start)} – ${clock(phrase.end)}`;
+    appendHighlightedText(span, phrase.words.join(' '), terms);
+    element.appendChild(span);
+  });
+}
+
+let alertAudioContext = null;
+let playbackAudioContext = null;
+let segmentPlayback = null; // { button, sources } of the segment being played
+
+/**
+ * Fetches a transcribed window's archived audio from the background and decodes it. Web Audio
+ * plays it, so the page's media CSP never sees a URL.
+ * @returns {Promise<AudioBuffer>}
+ */
+function loadAudioWindow(context, windowId) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage({ type: 'getAudioWindow', windowId }, (response) => {
+      if (chrome.runtime.lastError || !response || response.status !== 'ok') {
+        reject(new Error(chrome.runtime.lastError?.message || response?.message || 'unknown error'));
+        return;
+      }
+      const bytes = Uint8Array.from(atob(response.data), char => char.charCodeAt(0));
+      context.decodeAudioData(bytes.buffer).then(resolve, reject);
+    });
+  });
+}
+
+function stopSegmentAudio() {
+  if (!segmentPlayback) return;
+  segmentPlayback.sources.forEach(source => {
+    try {
+      source.stop();
+    } catch (e) {
+      // Never started
+    }
+  });
+  segmentPlayback.button.textContent = '▶';
+  segmentPlayback = null;
+}
+
+/**
+ * Plays a segment's archived audio: its stretch of each window it was cut from, back to back.
+ * Clicking the same button again stops it; starting another segment stops the first.
+ */
+async function playSegmentAudio(segment, button) {
+  const wasPlaying = segmentPlayback?.button === button;
+  stopSegmentAudio();
+  if (wasPlaying) return;
+  
+  const playback = { button, sources: [] };
+  segmentPlayback = playback;
+  button.textContent = '■';
+  try {
+    playbackAudioContext = playbackAudioContext || new AudioContext();
+    const context = playbackAudioContext;
+    let at = context.currentTime;
+    for (const audioWindow of segment.audioWindows.filter(candidate => candidate.archived)) {
+      const buffer = await loadAudioWindow(context, audioWindow.windowId);
+      if (segmentPlayback !== playback) return; // Stopped while loading
+      
+      const duration = Math.max(0, audioWindow.end - audioWindow.start);
+      const source = context.createBufferSource();
+      source.buffer = buffer;
+      source.connect(context.destination);
+      at = Math.max(at, context.currentTime);
+      source.start(at, audioWindow.start, duration);
+      at += duration;
+      playback.sources.push(source);
+    }
+    playback.sources[playback.sources.length - 1].onended = () => {
+      if (segmentPlayback === playback) stopSegmentAudio();
+    };
+  } catch (error) {
+    if (segmentPlayback === playback) stopSegmentAudio();
+    showNotification('Could not play audio: ' + error.message, 'error');
+  }
+}
+
+// --- Re-transcription ---
+
+/**
+ * The stretch of a segment the user selected, from the times on its sentences.
+ * @param {HTMLElement} segmentElement - The segment's overlay element.
+ * @returns {{start: number, end: number}|null} Seconds from the segment's start, or null when nothing in it is selected.
+ */
+function selectedTimeRange(segmentElement) {
+  const selection = window.getSelection();
+  if (!selection || selection.isCollapsed) return null;
+  const phrases = [...segmentElement.querySelectorAll('.vtf-phrase')].filter(span => selection.containsNode(span, true));
+  if (phrases.length === 0) return null;
+  return {
+    start: Math.min(...phrases.map(span => Number(span.dataset.start))),
+    end: Math.max(...phrases.map(span => Number(span.dataset.end)))
+  };
+}
+
+function createPanelInput(placeholder, value = '') {
+  const input = document.createElement('input');
+  input.className = 'vtf-retranscribe-input';
+  input.placeholder = placeholder;
+  input.value = value;
+  return input;
+}
+
+/**
+ * Opens (or closes) the re-transcribe panel under a segment: provider, model, prompt and, for
+ * segments with word timings, the stretch to redo (prefilled from the selected sentences).
+ */
+function toggleRetranscribePanel(segmentElement, segment) {
+  const existing = segmentElement.querySelector('.vtf-retranscribe');
+  if (existing) {
+    existing.remove();
+    return;
+  }
+  
+  const panel = document.createElement('div');
+  panel.className = 'vtf-retranscribe';
+  
+  const controls = document.createElement('div');
+  controls.className = 'vtf-retranscribe-controls';
+  const providerSelect = document.createElement('select');
+  providerSelect.className = 'vtf-retranscribe-input';
+  const modelInput = createPanelInput('Model (provider default)');
+  const promptInput = createPanelInput('Prompt (glossary and recent context)');
+  controls.append(providerSelect, modelInput, promptInput);
+  
+  let startInput = null;
+  let endInput = null;
+  if (segment.words?.length) {
+    const range = selectedTimeRange(segmentElement) || { start: 0, end: segment.duration };
+    startInput = createPanelInput('From (s)', range.start.toFixed(1));
+    endInput = createPanelInput('To (s)', range.end.toFixed(1));
+    startInput.type = endInput.type = 'number';
+    startInput.step = endInput.step = '0.1';
+    startInput.title = endInput.title = 'Seconds from the start of the segment';
+    controls.append(startInput, endInput);
+  }
+  
+  const runButton = document.createElement('button');
+  runButton.className = 'vtf-play-btn';
+  runButton.textContent = 'Re-transcribe';
+  controls.appendChild(runButton);
+  
+  const result = document.createElement('div');
+  panel.append(controls, result);
+  segmentElement.appendChild(panel);
+  
+  chrome.runtime.sendMessage({ type: 'getTranscriptionSettings' }, (response) => {
+    if (chrome.runtime.lastError || !response?.providers) return;
+    response.providers.forEach(provider => {
+      const option = document.createElement('option');
+      option.value = provider.id;
+      option.textContent = provider.label;
+      option.selected = provider.id === response.settings.provider;
+      providerSelect.appendChild(option);
+    });
+  });
   
+  runButton.addEventListener('click', () => {
+    const options = {
+      provider: providerSelect.value || undefined,
+      model: modelInput.value.trim() || undefined,
+      prompt: promptInput.value.trim() || undefined
+    };
+    if (startInput) {
+      options.start = parseFloat(startInput.value);
+      options.end = parseFloat(endInput.value);
+    }
+    
+    runButton.disabled = true;
+    runButton.textContent = 'Transcribing…';
+    result.textContent = '';
+    chrome.runtime.sendMessage({ type: 'retranscribeSegment', segmentId: segment.id, options }, (response) => {
+      runButton.disabled = false;
+      runButton.textContent = 'Re-transcribe';
+      if (chrome.runtime.lastError || !response || response.status !== 'ok') {
+        result.textContent = 'Re-transcription failed: ' + (chrome.runtime.lastError?.message || response?.message || 'unknown error');
+        return;
+      }
+      showRetranscription(panel, result, response.retranscription);
+    });
+  });
+}
+
+/**
+ * Shows the current and re-transcribed text of the stretch side by side, with Accept and Discard.
+ */
+function showRetranscription(panel, result, retranscription) {
+  result.textContent = '';
+  
+  const compare = document.createElement('div');
+  compare.className = 'vtf-retranscribe-compare';
+  const column = (label, text) => {
+    const element = document.createElement('div');
+    const heading = document.createElement('div');
+    heading.className = 'vtf-retranscribe-label';
+    heading.textContent = label;
+    const body = document.createElement('div');
+    body.textContent = text || '(nothing)';
+    element.append(heading, body);
+    return element;
+  };
+  const source = [retranscription.provider, retranscription.model].filter(Boolean).join(' · ');
+  const confidence = retranscription.confidence ? ` · ${Math.round(retranscription.confidence * 100)}%` : '';
+  compare.append(column('Current', retranscription.currentText), column(`New (${source}${confidence})`, retranscription.text));
+  
+  const actions = document.createElement('div');
+  actions.className = 'vtf-retranscribe-controls';
+  const acceptButton = document.createElement('button');
+  acceptButton.className = 'vtf-play-btn';
+  acceptButton.textContent = 'Accept';
+  const discardButton = document.createElement('button');
+  discardButton.className = 'vtf-play-btn';
+  discardButton.textContent = 'Discard';
+  actions.append(acceptButton, discardButton);
+  
+  acceptButton.addEventListener('click', () => {
+    acceptButton.disabled = true;
+    chrome.runtime.sendMessage({ type: 'acceptRetranscription', retranscription }, (response) => {
+      if (chrome.runtime.lastError || !response || response.status !== 'updated') {
+        acceptButton.disabled = false;
+        showNotification('Could not update the segment: ' + (chrome.runtime.lastError?.message || response?.message || 'unknown error'), 'error');
+        return;
+      }
+      // The background also sends segmentRevised; redrawing twice is harmless
+      replaceSegment(response.segment);
+      showNotification('Segment updated', 'success');
+    });
+  });
+  discardButton.addEventListener('click', () => panel.remove());
+  
+  result.append(compare, actions);
+}
+
+/**
+ * Plays a short two-tone chime for a watchlist alert.
+ */
+function playAlertChime() {
+  try {
+    alertAudioContext = alertAudioContext || new AudioContext();
+    const now = alertAudioContext.currentTime;
+    [880, 1320].forEach((frequency, index) => {
+      const oscillator = alertAudioContext.createOscillator();
+      const gain = alertAudioContext.createGain();
+      oscillator.frequency.value = frequency;
+      gain.gain.setValueAtTime(0.15, now + index * 0.15);
+      gain.gain.exponentialRampToValueAtTime(0.001, now + index * 0.15 + 0.3);
+      oscillator.connect(gain).connect(alertAudioContext.destination);
+      oscillator.start(now + index * 0.15);
+      oscillator.stop(now + index * 0.15 + 0.3);
+    });
+  } catch (error) {
+    console.warn('[Content] Could not play alert chime:', error);
+  }
+}
+
+/**
+ * Formats a trade call as a one-line summary, e.g. "ENTRY LONG AMD @ 160 · stop 155".
+ * Mirrors formatTradeCall() in trade-calls.js, which content scripts cannot import.
+ * @param {object} call - The segment's trade call.
+ * @returns {string}
+ */
+function formatTradeCall(call) {
+  let summary = [call.action, call.side, call.symbol].filter(Boolean).join(' ').toUpperCase();
+  if (call.price !== null) summary += ` @ ${call.price}`;
+  if (call.stop !== null) summary += ` · stop ${call.stop}`;
+  if (call.target !== null) summary += ` · target ${call.target}`;
+  return summary;
+}
+
+/**
+ * Builds the overlay element for a segment: header, text and entity chips.
+ * @param {object} segment - The processed segment.
+ * @returns {HTMLElement}
+ */
+function createSegmentElement(segment) {
   const segmentElement = document.createElement('div');
   segmentElement.className = 'vtf-segment';
+  if (segment.id) segmentElement.dataset.segmentId = segment.id;
   
   // Fix: Use timestamp instead of startTime, and handle Invalid Date
   const timestamp = segment.timestamp || segment.startTime || Date.now();
@@ -661,17 +1327,47 @@ function displayProcessedSegment(segment) {
   const speakerName = document.createElement('span');
   speakerName.className = 'vtf-speaker-name';
   speakerName.textContent = segment.speaker || 'Unknown Speaker'; // Safe text content
-  
-  const topicBadge = document.createElement('span');
-  topicBadge.className = 'vtf-topic-badge';
-  topicBadge.textContent = 'Trading';
+  if (segment.speakerId) {
+    speakerName.dataset.speakerId = segment.speakerId;
+    if (segment.subSpeaker) speakerName.dataset.subSpeaker = segment.subSpeaker;
+    speakerName.title = 'Click to rename this speaker';
+    // A diarized voice renames the stream's speaker, so offer the name without the voice label
+    speakerName.addEventListener('click', () => promptRenameSpeaker(segment.speakerId, speakerName.textContent.replace(/ · voice [A-Z]$/, '')));
+  }
   
   speakerInfo.appendChild(speakerName);
-  speakerInfo.appendChild(topicBadge);
+  
+  if (segment.voiceMatch?.status === 'proposed' && segment.speakerId) {
+    speakerInfo.appendChild(createVoiceMatchBadge(segment));
+  }
+  
+  if (segment.tradeCall) {
+    segmentElement.classList.add('vtf-segment-call');
+    const callBadge = document.createElement('span');
+    callBadge.className = `vtf-call-badge vtf-call-${segment.tradeCall.action}`;
+    callBadge.textContent = formatTradeCall(segment.tradeCall);
+    speakerInfo.appendChild(callBadge);
+  }
   
   const segmentMeta = document.createElement('div');
   segmentMeta.className = 'vtf-segment-meta';
   
+  if (segment.audioWindows?.some(audioWindow => audioWindow.archived)) {
+    const playButton = document.createElement('button');
+    playButton.className = 'vtf-play-btn';
+    playButton.textContent = '▶';
+    playButton.title = 'Play what was said';
+    playButton.addEventListener('click', () => playSegmentAudio(segment, playButton));
+    segmentMeta.appendChild(playButton);
+    
+    const retranscribeButton = document.createElement('button');
+    retranscribeButton.className = 'vtf-play-btn';
+    retranscribeButton.textContent = '↻';
+    retranscribeButton.title = 'Re-transcribe this segment, or the sentences selected in it';
+    retranscribeButton.addEventListener('click', () => toggleRetranscribePanel(segmentElement, segment));
+    segmentMeta.appendChild(retranscribeButton);
+  }
+  
   const timeSpan = document.createElement('span');
   timeSpan.textContent = timeString;
   segmentMeta.appendChild(timeSpan);
@@ -682,6 +1378,24 @@ function displayProcessedSegment(segment) {
     segmentMeta.appendChild(durationSpan);
   }
   
+  if (segment.overlaps?.length) {
+    const overlapSpan = document.createElement('span');
+    overlapSpan.className = 'vtf-overlap-note';
+    overlapSpan.textContent = 'overlapping';
+    overlapSpan.title = 'Spoken over ' + segment.overlaps.map(overlap => `${overlap.speaker} (${overlap.seconds}s)`).join(', ');
+    segmentMeta.appendChild(overlapSpan);
+  }
+  
+  if (segment.edits?.length) {
+    const editedSpan = document.createElement('span');
+    editedSpan.className = 'vtf-edited-note';
+    editedSpan.textContent = segment.edits.length > 1 ? `edited ×${segment.edits.length}` : 'edited';
+    editedSpan.title = segment.edits
+      .map(edit => `${new Date(edit.editedAt).toLocaleTimeString()} via ${edit.provider}${edit.model ? ` (${edit.model})` : ''}: was "${edit.previousText}"`)
+      .join('\n');
+    segmentMeta.appendChild(editedSpan);
+  }
+  
   const confidenceSpan = document.createElement('span');
   confidenceSpan.className = confidenceClass;
   confidenceSpan.textContent = confidenceText;
@@ -692,17 +1406,62 @@ function displayProcessedSegment(segment) {
   
   const segmentText = document.createElement('div');
   segmentText.className = 'vtf-segment-text';
-  segmentText.textContent = segment.text; // Safe text content
+  const alerts = segment.alerts || [];
+  const alertTerms = alerts.filter(alert => alert.kind !== 'speaker').map(alert => alert.matchText);
+  if (segment.words?.length) {
+    appendTimedPhrases(segmentText, segment, alertTerms);
+  } else {
+    appendHighlightedText(segmentText, segment.text, alertTerms);
+  }
+  
+  if (alerts.length > 0) {
+    segmentElement.classList.add('vtf-segment-alert');
+    if (alerts.some(alert => alert.kind === 'speaker')) {
+      speakerName.classList.add('vtf-alert-speaker');
+    }
+  }
   
   segmentElement.appendChild(segmentHeader);
   segmentElement.appendChild(segmentText);
   
-  content.insertBefore(segmentElement, content.firstChild);
+  const entityRow = createEntityRow(segment.entities);
+  if (entityRow) {
+    segmentElement.appendChild(entityRow);
+  }
+  
+  return segmentElement;
+}
+
+function displayProcessedSegment(segment) {
+  const display = document.getElementById('vtf-transcription-display');
+  if (!display) {
+    createTranscriptionDisplay();
+    return displayProcessedSegment(segment);
+  }
+  
+  display.style.display = 'block';
+  const content = document.getElementById('vtf-transcription-content');
+  const segmentElement = createSegmentElement(segment);
+  
+  if (segment.alerts?.some(alert => alert.sound)) {
+    playAlertChime();
+  }
+  
+  if (segment.overlaps?.length) {
+    placeOverlappingSegment(content, segmentElement, segment);
+  } else {
+    content.insertBefore(segmentElement, content.firstChild);
+  }
+  
+  const conversation = conversations.get(segment.conversationId);
+  if (conversation) {
+    content.insertBefore(updateConversationDivider(conversation) || createConversationDivider(conversation), content.firstChild);
+  }
   
   // Update count
   const countElement = document.getElementById('vtf-segment-count');
   if (countElement) {
-    countElement.textContent = content.children.length;
+    countElement.textContent = content.querySelectorAll('.vtf-segment').length;
   }
   
   // Scroll to top
@@ -791,7 +1550,94 @@ function makeDraggable(element) {
   }
 }
 
-// Export processed segments
+/**
+ * Removes a segment from the overlay, and its crosstalk row once nothing else is left in it.
+ */
+function removeSegmentElement(segmentId) {
+  const element = document.querySelector(`.vtf-segment[data-segment-id="${CSS.escape(segmentId)}"]`);
+  if (!element) return;
+  const row = element.closest('.vtf-crosstalk');
+  element.remove();
+  if (row && row.children.length === 0) row.remove();
+}
+
+/**
+ * Redraws a segment in place after its text was revised; unlike a grown segment, it keeps its
+ * position in the overlay.
+ */
+function replaceSegment(segment) {
+  if (!segment?.id) return;
+  const index = processedSegments.findIndex(candidate => candidate.id === segment.id);
+  if (index >= 0) processedSegments[index] = segment;
+  
+  const element = document.querySelector(`.vtf-segment[data-segment-id="${CSS.escape(segment.id)}"]`);
+  if (element) element.replaceWith(createSegmentElement(segment));
+  const conversation = conversations.get(segment.conversationId);
+  if (conversation) updateConversationDivider(conversation);
+}
+
+/**
+ * Shows a segment side by side with the segments it was spoken over. The segments share a
+ * crosstalk row, which moves to the top of the overlay like any new segment.
+ */
+function placeOverlappingSegment(content, segmentElement, segment) {
+  const overlapped = segment.overlaps
+    .map(overlap => content.querySelector(`.vtf-segment[data-segment-id="${CSS.escape(overlap.segmentId)}"]`))
+    .filter(Boolean);
+  
+  // The other side only learns about the overlap now
+  segment.overlaps.forEach(overlap => {
+    const other = processedSegments.find(candidate => candidate.id === overlap.segmentId);
+    if (other && !(other.overlaps || []).some(entry => entry.segmentId === segment.id)) {
+      other.overlaps = [...(other.overlaps || []), { segmentId: segment.id, speakerId: segment.speakerId, speaker: segment.speaker, seconds: overlap.seconds }];
+    }
+  });
+  
+  let row = overlapped.map(element => element.closest('.vtf-crosstalk')).find(Boolean);
+  if (!row) {
+    row = document.createElement('div');
+    row.className = 'vtf-crosstalk';
+    row.title = 'These speakers talked over each other';
+  }
+  overlapped.forEach(element => {
+    if (element.parentElement !== row) row.appendChild(element);
+  });
+  row.appendChild(segmentElement);
+  content.insertBefore(row, content.firstChild);
+}
+
+/**
+ * One-line description of a conversation; mirrors describeConversation() in conversations.js.
+ */
+function describeConversation(conversation) {
+  const labels = { remark: 'Remark', soliloquy: 'Soliloquy', exchange: 'Exchange', group: 'Group Discussion' };
+  const seconds = Math.round(conversation.duration);
+  const length = seconds >= 60 ? `${Math.floor(seconds / 60)}m ${String(seconds % 60).padStart(2, '0')}s` : `${seconds}s`;
+  const names = conversation.participants.map(participant => participant.speaker).join(', ');
+  return `${labels[conversation.type] || conversation.type} · ${names} · ${length}`;
+}
+
+function createConversationDivider(conversation) {
+  const divider = document.createElement('div');
+  divider.className = 'vtf-conversation-divider';
+  divider.dataset.conversationId = conversation.id;
+  divider.textContent = `Conversation ${conversation.number} · ${describeConversation(conversation)}`;
+  return divider;
+}
+
+/**
+ * Refreshes the divider heading a conversation in the overlay.
+ * @returns {HTMLElement|null} The divider, or null if the conversation is not shown.
+ */
+function updateConversationDivider(conversation) {
+  const divider = document.querySelector(`.vtf-conversation-divider[data-conversation-id="${CSS.escape(conversation.id)}"]`);
+  if (divider) {
+    divider.textContent = `Conversation ${conversation.number} · ${describeConversation(conversation)}`;
+  }
+  return divider;
+}
+
+// Export the session's segments; the background renders them the same way the popup does
 function exportProcessedSegments() {
   console.log('[Content] Exporting processed segments');
   
@@ -800,75 +1646,29 @@ function exportProcessedSegments() {
     return;
   }
   
-  // Create markdown content
-  const now = new Date();
-  const dateStr = now.toLocaleDateString();
-  const timeStr = now.toLocaleTimeString();
-  
-  let markdown = `# VTF Trading Room Transcript\n\n`;
-  markdown += `**Date:** ${dateStr}\n`;
-  markdown += `**Time:** ${timeStr}\n`;
-  markdown += `**Total Segments:** ${processedSegments.length}\n\n`;
-  markdown += `---\n\n`;
-  
-  // Group segments by conversation
-  let currentConversation = [];
-  let conversations = [];
-  
-  processedSegments.forEach((segment, index) => {
-    if (index === 0) {
-      currentConversation.push(segment);
-    } else {
-      const prevSegment = processedSegments[index - 1];
-      const timeDiff = segment.startTime - prevSegment.endTime;
-      
-      // New conversation if gap > 10 seconds
-      if (timeDiff > 10000) {
-        conversations.push(currentConversation);
-        currentConversation = [segment];
-      } else {
-        currentConversation.push(segment);
-      }
+  chrome.runtime.sendMessage({ type: 'exportTranscript', format: 'markdown', source: 'session' }, (response) => {
+    if (chrome.runtime.lastError || !response || response.status !== 'ok' || !response.content) {
+      const reason = chrome.runtime.lastError ? chrome.runtime.lastError.message : response?.message;
+      showNotification('Export failed: ' + (reason || 'nothing to export'), 'error');
+      return;
     }
-  });
-  
-  if (currentConversation.length > 0) {
-    conversations.push(currentConversation);
-  }
-  
-  // Format conversations
-  conversations.forEach((conversation, convIndex) => {
-    const startTime = new Date(conversation[0].startTime);
-    const speakers = [...new Set(conversation.map(s => s.speaker))].join(', ');
-    const topics = [...new Set(conversation.map(s => s.topic))].join(', ');
     
-    markdown += `## Conversation ${convIndex + 1} (${startTime.toLocaleTimeString()})\n\n`;
-    markdown += `**Speakers:** ${speakers}\n`;
-    markdown += `**Topics:** ${topics}\n\n`;
+    // Create and download file
+    const blob = new Blob([response.content], { type: response.mimeType });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = response.fileName;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
     
-    conversation.forEach(segment => {
-      const time = new Date(segment.startTime).toLocaleTimeString();
-      markdown += `**${segment.speaker}** *(${time})*: ${segment.text}\n\n`;
-    });
+    console.log(`[Content] Exported ${response.count} segments`);
     
-    markdown += `---\n\n`;
+    // Show success notification
+    showNotification(`Exported ${response.count} segments`, 'success');
   });
-  
-  // Create and download file
-  const blob = new Blob([markdown], { type: 'text/markdown' });
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement('a');
-  a.href = url;
-  a.download = `vtf-trading-room-${dateStr.replace(/\//g, '-')}.md`;
-  document.body.appendChild(a);
-  a.click();
-  document.body.removeChild(a);
-  URL.revokeObjectURL(url);
-  
-  console.log(`[Content] Exported ${processedSegments.length} segments in ${conversations.length} conversations`);
-  
-  // Show success notification
-  showNotification(`Exported ${processedSegments.length} segments`, 'success');
 }
 
 // Notification element pool for better performance
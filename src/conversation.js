@@ -2,74 +2,62 @@
  * @file conversation.js
  * @path src/conversation.js
  * @description Handles conversation logic, including audio buffering, transcription, and structuring.
- * @modified 2024-07-27
+ * @modified 2026-10-19
  * @requires api.js
+ * @requires audio-codec.js
+ * @requires storage.js
+ * @requires corrections.js
+ * @requires entities.js
+ * @requires trade-calls.js
+ * @requires alerts.js
+ * @requires archive.js
+ * @requires speakers.js
+ * @requires voiceprint.js
+ * @requires diarization.js
+ * @requires overlap.js
+ * @requires conversations.js
+ * @requires sentences.js
+ * @requires words.js
+ * @requires retranscribe.js
  */
 
 import { processAudioChunk } from './api.js';
+import { encodeForUpload } from './audio-codec.js';
+import { getGlossary, getCorrectionRules, getTranscriptionSettings, getArchiveSettings } from './storage.js';
+import { applyCorrections } from './corrections.js';
+import { extractEntities } from './entities.js';
+import { detectTradeCall, formatTradeCall } from './trade-calls.js';
+import { checkSegmentAlerts } from './alerts.js';
+import { archiveSegment, archiveConversation, archiveAudio, getTradingDay, recordSegmentStats, recordTranscriptionAttempt } from './archive.js';
+import { resolveSpeaker, relabelSegments, speakerName, subSpeakerName } from './speakers.js';
+import { identifyVoice } from './voiceprint.js';
+import { diarizeTranscription, MIN_DIARIZATION_SECONDS } from './diarization.js';
+import { addSpeechActivity, clipSpans, findOverlaps, addOverlap } from './overlap.js';
+import { ConversationAssembler, describeConversation } from './conversations.js';
+import { splitIntoSentences, continuesSegment } from './sentences.js';
+import { alignWords, shiftWords, wordsBetween } from './words.js';
+import { resolveRange, textInRange, loadSegmentAudio, spliceTranscript, createEdit } from './retranscribe.js';
 
-// Speaker name mapping for better display
-const speakerNameMap = new Map();
-let speakerCounter = 1;
+// Whisper only reads the last 224 tokens of a prompt; ~4 characters per token
+const MAX_PROMPT_CHARS = 800;
+const MAX_GLOSSARY_PROMPT_CHARS = 400;
 
 /**
- * Extracts a speaker's name from a stream ID.
- * Example: "remote-stream-12345-John Doe" -> "John Doe"
- * @param {string} streamId - The stream ID.
- * @returns {string} The extracted speaker name.
+ * Runs the correction pipeline, then replaces text that is almost all one word (a known Whisper
+ * failure on silence or noise) with a short placeholder. The replacement is recorded as a
+ * `repetition` correction, so `originalText` and the corrections list show the segment was rewritten.
+ * @param {string} text - The raw transcription.
+ * @param {object} rules - Correction rules from storage.
+ * @param {Array<string>} tickers - Glossary tickers used for case normalization.
+ * @returns {{text: string, corrections: Array<object>}} The corrected text and every correction applied.
  */
-function extractSpeakerName(streamId) {
-    if (!streamId) return 'Unknown Speaker';
-    if (streamId === 'local-stream') return 'Me';
-    
-    // Check if we already have a mapped name for this stream ID
-    if (speakerNameMap.has(streamId)) {
-        return speakerNameMap.get(streamId);
-    }
-    
-    // Handle VTF stream IDs like "msRemAudio-kB13khVfculpSKeoAFBz-5f523f02117fcb4cab91ca51"
-    if (streamId.startsWith('msRemAudio-')) {
-        // Extract the user ID part
-        const userPart = streamId.replace('msRemAudio-', '');
-        
-        // Create a readable speaker name
-        let speakerName;
-        
-        // Try to extract a meaningful identifier from the user ID
-        const parts = userPart.split('-');
-        if (parts.length >= 2) {
-            // Use first 6 characters of the first part as identifier
-            const shortId = parts[0].substring(0, 6);
-            speakerName = `Speaker ${shortId}`;
-        } else if (userPart.length > 8) {
-            // Use first 6 characters as identifier
-            const shortId = userPart.substring(0, 6);
-            speakerName = `Speaker ${shortId}`;
-        } else {
-            // Assign a sequential speaker number
-            speakerName = `Speaker ${speakerCounter++}`;
-        }
-        
-        // Store the mapping for consistency
-        speakerNameMap.set(streamId, speakerName);
-        console.log(`[Conversation] Mapped stream ${streamId} to ${speakerName}`);
-        return speakerName;
-    }
-    
-    // Fallback for other stream ID formats
-    let speakerName = `Speaker ${speakerCounter++}`;
-    speakerNameMap.set(streamId, speakerName);
-    return speakerName;
-}
+function postProcessTranscription(text, rules, tickers) {
+    if (!text) return { text, corrections: [] };
 
-/**
- * Sanitizes transcription text, especially for highly repetitive content.
- */
-function postProcessTranscription(text) {
-    if (!text) return text;
+    const corrected = applyCorrections(text, rules, tickers);
 
     // Check for excessive repetition
-    const words = text.toLowerCase().match(/\b\\w+\b/g);
+    const words = corrected.text.toLowerCase().match(/\b\w+\b/g);
     if (words && words.length > 10) {
         const wordCounts = {};
         words.forEach(w => { wordCounts[w] = (wordCounts[w] || 0) + 1; });
@@ -81,11 +69,41 @@ function postProcessTranscription(text) {
             const repeatedWord = mostFrequent[0];
             // Return a sanitized, short version instead of the repetitive text.
             console.warn(`[Post-process] Sanitized highly repetitive text for word: "${repeatedWord}"`);
-            return `${repeatedWord}, ${repeatedWord}, ${repeatedWord}.`;
+            const sanitized = `${repeatedWord}, ${repeatedWord}, ${repeatedWord}.`;
+            return {
+                text: sanitized,
+                corrections: [...corrected.corrections, { type: 'repetition', from: corrected.text, to: sanitized, count: 1 }],
+            };
         }
     }
     
-    return text;
+    return corrected;
+}
+
+/**
+ * Builds the Whisper prompt for a speaker: glossary vocabulary first, then the
+ * tail of what that speaker said last, since Whisper weighs the end of the prompt most.
+ * The context gets whatever room the glossary leaves, so the glossary is never cut.
+ * @param {object} glossary - The stored glossary.
+ * @param {Array<object>} speakerSegments - The speaker's completed segments, oldest first.
+ * @returns {string}
+ */
+function buildTranscriptionPrompt(glossary, speakerSegments) {
+    const vocabulary = [...glossary.tickers, ...glossary.terms].join(', ');
+    const glossaryPart = vocabulary ? `Glossary: ${vocabulary.substring(0, MAX_GLOSSARY_PROMPT_CHARS)}.` : '';
+
+    let contextPart = '';
+    const contextChars = Math.min(glossary.contextChars, MAX_PROMPT_CHARS - glossaryPart.length - 1);
+    if (contextChars > 0 && speakerSegments.length > 0) {
+        const previousText = speakerSegments.map(s => s.text).join(' ');
+        contextPart = previousText.slice(-contextChars);
+        // Don't start the context mid-word
+        if (contextPart.length < previousText.length) {
+            contextPart = contextPart.replace(/^\S*\s+/, '');
+        }
+    }
+
+    return [glossaryPart, contextPart].filter(Boolean).join(' ');
 }
 
 export class ConversationProcessor {
@@ -94,7 +112,10 @@ export class ConversationProcessor {
         this.completedSegments = [];
         this.speakerBuffers = new Map();
         this.totalProcessedDuration = 0;
-        this.sessionCost = 0;
+        this.sessionCost = 0; // What the provider charged for every request, re-transcriptions included
+        this.uploadStats = this.createUploadStats();
+        this.sessionId = null; // Archive session the segments are filed under
+        this.conversations = new ConversationAssembler();
 
         if (initialState) {
             this.setState(initialState);
@@ -111,6 +132,9 @@ export class ConversationProcessor {
             completedSegments: this.completedSegments,
             totalProcessedDuration: this.totalProcessedDuration,
             sessionCost: this.sessionCost,
+            uploadStats: this.uploadStats,
+            sessionId: this.sessionId,
+            conversations: this.conversations.getState(),
             speakerBuffers: Array.from(this.speakerBuffers.entries()),
         };
     }
@@ -119,6 +143,9 @@ export class ConversationProcessor {
         this.completedSegments = state.completedSegments || [];
         this.totalProcessedDuration = state.totalProcessedDuration || 0;
         this.sessionCost = state.sessionCost || 0;
+        this.uploadStats = { ...this.createUploadStats(), ...state.uploadStats };
+        this.sessionId = state.sessionId || null;
+        this.conversations = new ConversationAssembler(state.conversations);
         
         // Fix: speakerBuffers should be an array of [key, value] pairs for Map constructor
         if (state.speakerBuffers && Array.isArray(state.speakerBuffers)) {
@@ -128,15 +155,27 @@ export class ConversationProcessor {
         }
     }
 
-    async processAudio(audioData, streamId, timestamp) {
+    /**
+     * Buffers an audio chunk for a stream, transcribing once the segment reaches its maximum length.
+     * @param {Array<number>} audioData - 16kHz mono samples.
+     * @param {string} streamId - The stream the chunk came from.
+     * @param {number} timestamp - When the chunk was captured.
+     * @param {object} [participant] - What the VTF roster shows for the stream (display name, avatar label, role).
+     * @param {object} [vadResult] - The worklet's voice activity decision for the chunk.
+     */
+    async processAudio(audioData, streamId, timestamp, participant, vadResult) {
         if (!this.speakerBuffers.has(streamId)) {
             this.speakerBuffers.set(streamId, this.createSpeakerBuffer(timestamp));
         }
 
         const buffer = this.speakerBuffers.get(streamId);
+        buffer.participant = participant || buffer.participant || null;
         buffer.audioChunks.push(audioData);
         buffer.duration += audioData.length / 16000; // 16kHz sample rate
         buffer.lastActivity = Date.now();
+        if (vadResult?.isVoice) {
+            buffer.speech = addSpeechActivity(buffer.speech || [], timestamp, audioData.length);
+        }
 
         // Debug logging for audio processing
         const maxAmplitude = Math.max(...audioData.map(Math.abs));
@@ -176,12 +215,32 @@ export class ConversationProcessor {
         }
     }
     
+    createUploadStats() {
+        return {
+            uploads: 0,
+            bytes: 0,        // Bytes actually sent to the provider
+            wavBytes: 0,     // What the same audio would have cost as WAV
+            lastUploadBytes: 0,
+            lastFormat: null,
+        };
+    }
+
+    recordUpload(upload) {
+        if (!upload) return;
+        this.uploadStats.uploads++;
+        this.uploadStats.bytes += upload.bytes;
+        this.uploadStats.wavBytes += upload.wavBytes;
+        this.uploadStats.lastUploadBytes = upload.bytes;
+        this.uploadStats.lastFormat = upload.format;
+    }
+
     createSpeakerBuffer(timestamp) {
         return {
             audioChunks: [],
             startTime: timestamp,
             duration: 0,
             lastActivity: Date.now(),
+            speech: [], // [start, end] ms spans the VAD marked as speech, for crosstalk detection
         };
     }
 
@@ -206,50 +265,581 @@ export class ConversationProcessor {
             buffer.audioChunks = [];
             buffer.duration = 0;
             buffer.startTime = Date.now();
+            buffer.speech = [];
             return;
         }
         
         // Reset buffer before the async API call
         const segmentStartTime = buffer.startTime;
+        const speech = buffer.speech || [];
         buffer.audioChunks = [];
+        buffer.speech = [];
         buffer.duration = 0;
         buffer.startTime = Date.now(); // Set new start time for the next segment
 
-        const apiResult = await processAudioChunk(concatenatedAudio, streamId, this.apiKey);
+        const prompt = await this.buildPromptForStream(streamId);
+        const apiResult = await processAudioChunk(concatenatedAudio, streamId, this.apiKey, { prompt });
         console.log(`[Conversation] API result for stream ${streamId}:`, apiResult);
+        this.recordUpload(apiResult?.upload);
+        await this.recordStats(() => recordTranscriptionAttempt(segmentStartTime, {
+            failed: !apiResult,
+            latencyMs: apiResult?.timing?.totalMs,
+            cost: apiResult?.transcription?.text ? apiResult.cost : 0
+        }));
 
         if (apiResult && apiResult.transcription && apiResult.transcription.text) {
-            const processedText = postProcessTranscription(apiResult.transcription.text);
-            console.log(`[Conversation] Processed text for stream ${streamId}: "${processedText}"`);
-            
             this.totalProcessedDuration += segmentDuration;
-            this.sessionCost = this.calculateSessionCost();
+            this.sessionCost += apiResult.cost;
 
-            const speakerName = extractSpeakerName(streamId);
-            console.log(`[Conversation] Extracted speaker name for ${streamId}: "${speakerName}"`);
+            const { speakerId, speaker, registry, discovered } = await resolveSpeaker(streamId, buffer.participant);
+            console.log(`[Conversation] Resolved speaker for ${streamId}: "${speaker}"`);
+            if (discovered) {
+                // Earlier segments from this speaker still carry the default label
+                await this.applySpeakerRegistry(registry);
+            }
 
-            const newSegment = {
-                text: processedText,
-                speaker: speakerName,
-                timestamp: segmentStartTime,
+            const turns = await this.diarize(concatenatedAudio, apiResult.transcription.segments);
+            // A mixed segment's voiceprint describes nobody; only whole single-voice segments are matched
+            const voiceMatch = turns ? null : await this.identifyVoice(concatenatedAudio, speakerId);
+            if (turns) {
+                console.log(`[Conversation] Split segment for ${streamId} into ${turns.length} turns by ${new Set(turns.map(turn => turn.label)).size} voices`);
+            }
+            const windowId = crypto.randomUUID();
+            const audioArchived = await this.archiveAudio(concatenatedAudio, {
+                windowId,
+                sessionId: this.sessionId,
+                streamId,
+                startTime: segmentStartTime,
                 duration: segmentDuration,
-                confidence: this.calculateAverageConfidence(apiResult.transcription.segments),
-            };
-
-            console.log(`[Conversation] Created segment:`, {
-                speaker: newSegment.speaker,
-                text: newSegment.text.substring(0, 50) + '...',
-                timestamp: new Date(newSegment.timestamp).toISOString(),
-                duration: newSegment.duration.toFixed(1) + 's'
             });
 
-            this.completedSegments.push(newSegment);
-            this.updateUIs();
+            const { words } = apiResult.transcription;
+            const parts = (turns ? turns.map(turn => ({ ...turn, words })) : [{
+                label: null,
+                start: 0,
+                end: segmentDuration,
+                text: apiResult.transcription.text,
+                segments: apiResult.transcription.segments,
+                words,
+            }]).flatMap(splitIntoSentences);
+
+            for (const part of parts) {
+                await this.addSegment(part, {
+                    streamId,
+                    speakerId,
+                    speakerName: speaker,
+                    voiceMatch,
+                    apiResult,
+                    windowId,
+                    audioArchived,
+                    startTime: segmentStartTime,
+                    duration: segmentDuration,
+                    speech,
+                });
+            }
         } else {
             console.warn(`[Conversation] No transcription result for stream ${streamId}`);
         }
     }
 
+    /**
+     * Builds, stores and archives one segment from a transcribed stretch of audio: the whole of it,
+     * one speaker turn if diarization split it, or one run of sentences if it was long. A stretch
+     * that finishes the stream's previous sentence is merged into that segment instead.
+     * @param {{label: string|null, start: number, end: number, text: string, segments: Array<object>, words: Array<object>}} part -
+     *   The stretch, with times in seconds from the start of the audio; `words` covers the whole audio.
+     * @param {object} source - The stream, speaker, API result, audio window ID (and whether its audio was
+     *   archived), start time, duration and speech spans of the whole audio.
+     */
+    async addSegment(part, source) {
+        const { streamId, speakerId, apiResult } = source;
+        const timestamp = source.startTime + Math.round(part.start * 1000);
+        const duration = part.end - part.start;
+        const stretch = {
+            timestamp,
+            duration,
+            confidence: this.calculateAverageConfidence(part.segments),
+            // A split upload is attributed to its parts by length
+            uploadBytes: Math.round(apiResult.upload.bytes * (duration / source.duration)),
+            audioWindow: {
+                windowId: source.windowId,
+                startTime: source.startTime,
+                start: part.start,
+                end: part.end,
+                archived: source.audioArchived,
+            },
+            speech: clipSpans(source.speech, timestamp, timestamp + duration * 1000),
+            // Word times are kept relative to the segment's own start
+            words: shiftWords(wordsBetween(part.words, part.start, part.end), -part.start),
+        };
+
+        const previous = this.completedSegments.findLast(segment => segment.streamId === streamId);
+        if (continuesSegment(previous, { streamId, subSpeaker: part.label, timestamp, duration })) {
+            await this.extendSegment(previous, part.text, stretch);
+            return;
+        }
+
+        const rawText = part.text;
+        const { text: processedText, corrections, entities } = await this.annotateTranscription(rawText);
+        console.log(`[Conversation] Processed text for stream ${streamId}: "${processedText}" (${corrections.length} corrections)`);
+
+        const speaker = part.label ? subSpeakerName(source.speakerName, part.label) : source.speakerName;
+
+        const tradeCall = detectTradeCall(processedText, entities, { speaker, timestamp });
+        if (tradeCall) {
+            console.log(`[Conversation] Trade call from ${speaker}: ${formatTradeCall(tradeCall)}`);
+        }
+
+        const newSegment = {
+            id: crypto.randomUUID(),
+            sessionId: this.sessionId,
+            tradingDay: getTradingDay(timestamp),
+            text: processedText,
+            originalText: rawText,
+            corrections,
+            entities,
+            tradeCall,
+            speaker,
+            speakerId,
+            subSpeaker: part.label,
+            streamId: streamId,
+            timestamp,
+            duration,
+            confidence: stretch.confidence,
+            language: apiResult.transcription.language,
+            provider: apiResult.provider,
+            uploadBytes: stretch.uploadBytes,
+            voiceMatch: source.voiceMatch,
+            speech: stretch.speech,
+            audioWindows: [stretch.audioWindow],
+            words: alignWords(processedText, stretch.words),
+        };
+        newSegment.overlaps = await this.markOverlaps(newSegment);
+        const conversation = this.conversations.addSegment(newSegment, this.sessionId);
+        newSegment.conversationId = conversation.id;
+
+        console.log(`[Conversation] Created segment:`, {
+            speaker: newSegment.speaker,
+            text: newSegment.text.substring(0, 50) + '...',
+            timestamp: new Date(newSegment.timestamp).toISOString(),
+            duration: newSegment.duration.toFixed(1) + 's'
+        });
+
+        newSegment.alerts = await this.checkAlerts(newSegment);
+
+        this.completedSegments.push(newSegment);
+        this.updateUIs();
+        await this.archive(newSegment);
+        await this.archiveConversation(conversation);
+        await this.recordStats(() => recordSegmentStats(newSegment));
+    }
+
+    /**
+     * Appends a stretch that finishes the previous segment's sentence to that segment. The segment
+     * keeps its ID, so the overlay replaces it and the archive overwrites it.
+     * @param {object} previous - The stream's latest segment.
+     * @param {string} rawText - The stretch's transcription.
+     * @param {object} stretch - The stretch's timing, confidence, upload share, audio window, speech spans and words.
+     */
+    async extendSegment(previous, rawText, stretch) {
+        const originalText = `${previous.originalText || previous.text} ${rawText.trim()}`;
+        const { text, corrections, entities } = await this.annotateTranscription(originalText);
+        const duration = (stretch.timestamp - previous.timestamp) / 1000 + stretch.duration;
+        const talkSeconds = previous.duration + stretch.duration;
+
+        const merged = {
+            ...previous,
+            text,
+            originalText,
+            corrections,
+            entities,
+            tradeCall: detectTradeCall(text, entities, { speaker: previous.speaker, timestamp: previous.timestamp }),
+            duration,
+            confidence: (previous.confidence * previous.duration + stretch.confidence * stretch.duration) / talkSeconds,
+            uploadBytes: (previous.uploadBytes || 0) + stretch.uploadBytes,
+            speech: [...(previous.speech || []), ...stretch.speech],
+            audioWindows: [...(previous.audioWindows || []), stretch.audioWindow],
+            words: alignWords(text, [
+                ...(previous.words || []),
+                ...shiftWords(stretch.words, (stretch.timestamp - previous.timestamp) / 1000),
+            ]),
+        };
+        merged.overlaps = await this.markOverlaps(merged);
+        // Only the new words can match anything new; rules the segment already matched keep their alert
+        const previousAlerts = previous.alerts || [];
+        const newSymbols = entities.symbols.filter(symbol => !previous.entities?.symbols?.includes(symbol));
+        const fragmentText = text.startsWith(previous.text) ? text.slice(previous.text.length).trim() : rawText.trim();
+        const fragmentAlerts = await this.checkAlerts({
+            ...merged,
+            text: fragmentText,
+            entities: { ...entities, symbols: newSymbols },
+        });
+        merged.alerts = [
+            ...previousAlerts,
+            ...fragmentAlerts.filter(alert => !previousAlerts.some(existing => existing.ruleId === alert.ruleId)),
+        ];
+        console.log(`[Conversation] Merged a ${stretch.duration.toFixed(1)}s fragment into ${merged.speaker}'s unfinished sentence`);
+
+        // The merged segment is the stream's newest; it moves to the end so the overlay gets it next
+        this.completedSegments = this.completedSegments.filter(segment => segment.id !== previous.id);
+        this.completedSegments.push(merged);
+        const conversation = this.conversations.extendSegment(merged, stretch.duration);
+
+        this.updateUIs();
+        await this.archive(merged);
+        if (conversation) await this.archiveConversation(conversation);
+
+        const fragment = {
+            speaker: merged.speaker,
+            speakerId: merged.speakerId,
+            tradingDay: merged.tradingDay,
+            timestamp: stretch.timestamp,
+            duration: stretch.duration,
+            entities: { symbols: newSymbols },
+        };
+        await this.recordStats(() => recordSegmentStats(fragment, { continuation: true }));
+    }
+
+    /**
+     * Finds the segments from other streams spoken over a new segment and records the overlap on
+     * them as well. The overlay learns about both sides from the new segment's `overlaps`.
+     * @param {object} segment - The new segment, not yet in completedSegments.
+     * @returns {Promise<Array<object>>} The new segment's overlaps.
+     */
+    async markOverlaps(segment) {
+        const overlaps = findOverlaps(segment, this.completedSegments);
+        for (const overlap of overlaps) {
+            const index = this.completedSegments.findIndex(other => other.id === overlap.segmentId);
+            const updated = addOverlap(this.completedSegments[index], segment, overlap.seconds);
+            this.completedSegments[index] = updated;
+            await this.archive(updated);
+        }
+        if (overlaps.length > 0) {
+            console.log(`[Conversation] ${segment.speaker} overlapped ${overlaps.map(overlap => `${overlap.speaker} (${overlap.seconds}s)`).join(', ')}`);
+        }
+        return overlaps;
+    }
+
+    /**
+     * Transcribes a segment, or a stretch of it, again from its stored audio. Nothing changes until
+     * the result is passed to reviseSegment.
+     * @param {string} segmentId - The segment.
+     * @param {{start?: number, end?: number, provider?: string, model?: string, prompt?: string}} [options] -
+     *   The stretch in seconds from the segment's start (all of it by default), and the provider, model
+     *   and prompt to use instead of the stored settings. Without a prompt, one is built from the
+     *   glossary and what the speaker said before the segment.
+     * @returns {Promise<object>} The candidate: the stretch, its current and new text, confidence, words
+     *   timed from the stretch's start, and the provider, model and prompt that produced it.
+     */
+    async retranscribe(segmentId, options = {}) {
+        const index = this.completedSegments.findIndex(segment => segment.id === segmentId);
+        if (index < 0) {
+            throw new Error('That segment is not in the current session');
+        }
+        const segment = this.completedSegments[index];
+        const range = resolveRange(segment, options.start, options.end);
+        const audio = await loadSegmentAudio(segment, range);
+
+        const prompt = options.prompt ?? await this.buildPromptForStream(segment.streamId, index);
+        const overrides = { prompt };
+        if (options.provider) {
+            // Another provider's default model, unless one was picked
+            overrides.provider = options.provider;
+            overrides.model = options.model || '';
+        } else if (options.model) {
+            overrides.model = options.model;
+        }
+
+        const apiResult = await processAudioChunk(audio, segment.streamId, this.apiKey, overrides);
+        this.recordUpload(apiResult?.upload);
+        // Billed, but not new talk time
+        if (apiResult) {
+            this.sessionCost += apiResult.cost;
+        }
+        await this.recordStats(() => recordTranscriptionAttempt(segment.timestamp, {
+            failed: !apiResult,
+            latencyMs: apiResult?.timing?.totalMs,
+            cost: apiResult ? apiResult.cost : 0,
+        }));
+        if (!apiResult?.transcription?.text) {
+            throw new Error('The provider returned no transcription');
+        }
+
+        const rawText = apiResult.transcription.text;
+        const { text } = await this.annotateTranscription(rawText);
+        console.log(`[Conversation] Re-transcribed ${apiResult.duration.toFixed(1)}s of ${segment.speaker}'s segment via ${apiResult.provider}: "${text.substring(0, 50)}"`);
+        return {
+            segmentId,
+            start: range.start,
+            end: range.end,
+            currentText: textInRange(segment, range),
+            rawText,
+            text,
+            confidence: this.calculateAverageConfidence(apiResult.transcription.segments),
+            words: apiResult.transcription.words,
+            provider: apiResult.provider,
+            model: apiResult.model,
+            prompt,
+        };
+    }
+
+    /**
+     * Replaces a stretch of a segment's text with an accepted re-transcription. The segment keeps
+     * its ID and place; the text it had is kept in its `edits`.
+     * @param {object} candidate - A result of retranscribe.
+     * @returns {Promise<object>} The revised segment.
+     */
+    async reviseSegment(candidate) {
+        const index = this.completedSegments.findIndex(segment => segment.id === candidate?.segmentId);
+        if (index < 0) {
+            throw new Error('That segment is not in the current session');
+        }
+        const segment = this.completedSegments[index];
+        const range = resolveRange(segment, candidate.start, candidate.end);
+        // A merge or an earlier edit since the candidate was made would be overwritten
+        if (textInRange(segment, range) !== candidate.currentText) {
+            throw new Error('The segment changed since it was re-transcribed; run it again');
+        }
+
+        const { rawText, words } = spliceTranscript(segment, range, candidate);
+        const { text, corrections, entities } = await this.annotateTranscription(rawText);
+        const share = (range.end - range.start) / segment.duration;
+        const revised = {
+            ...segment,
+            text,
+            originalText: rawText,
+            corrections,
+            entities,
+            tradeCall: detectTradeCall(text, entities, { speaker: segment.speaker, timestamp: segment.timestamp }),
+            confidence: segment.confidence * (1 - share) + candidate.confidence * share,
+            words: alignWords(text, words),
+            edits: [...(segment.edits || []), createEdit(segment, candidate)],
+        };
+        this.completedSegments[index] = revised;
+        console.log(`[Conversation] Revised ${revised.speaker}'s segment with a ${candidate.provider} re-transcription (edit ${revised.edits.length})`);
+
+        // New symbols join the conversation; its timing is unchanged
+        const conversation = this.conversations.extendSegment(revised, 0);
+        this.notifySegmentRevised(revised);
+        await this.archive(revised);
+        if (conversation) await this.archiveConversation(conversation);
+        return revised;
+    }
+
+    /**
+     * Tells the VTF tabs a segment they may already show has new text.
+     * @param {object} segment - The revised segment.
+     */
+    notifySegmentRevised(segment) {
+        const conversation = this.conversations.get(segment.conversationId);
+        chrome.tabs.query({ url: "*://vtf.t3live.com/*" }, (tabs) => {
+            (tabs || []).forEach(tab => {
+                chrome.tabs.sendMessage(tab.id, { type: 'segmentRevised', segment, conversation }).catch(e => {
+                    console.warn(`[Conversation] Could not send revised segment to tab ${tab.id}:`, e);
+                });
+            });
+        });
+    }
+
+    /**
+     * Runs the correction pipeline over raw transcription text and extracts entities from the result.
+     * @param {string} text - The raw transcription.
+     * @returns {Promise<{text: string, corrections: Array<object>, entities: object}>}
+     */
+    async annotateTranscription(text) {
+        let glossary = { tickers: [] };
+        let corrected = { text, corrections: [] };
+        try {
+            let rules;
+            [rules, glossary] = await Promise.all([getCorrectionRules(), getGlossary()]);
+            corrected = postProcessTranscription(text, rules, glossary.tickers);
+        } catch (error) {
+            console.warn('[Conversation] Could not apply corrections:', error);
+        }
+        return { ...corrected, entities: extractEntities(corrected.text, glossary.tickers) };
+    }
+
+    async archive(segment) {
+        // Without an archive session (the archive could not be opened) segments live in memory only
+        if (!segment.id || !segment.sessionId) return;
+        try {
+            await archiveSegment(segment);
+        } catch (error) {
+            // The in-memory session still has the segment; only the long-term copy is missing
+            console.error('[Conversation] Failed to archive segment:', error);
+        }
+    }
+
+    /**
+     * Keeps a transcribed window's audio: for playback when audio archiving is on, otherwise for
+     * the re-transcription window only.
+     * @param {Float32Array} audio - The window's 16kHz audio.
+     * @param {object} clip - The window's ID, session, stream, start time and duration.
+     * @returns {Promise<boolean>} Whether the audio was stored.
+     */
+    async archiveAudio(audio, clip) {
+        try {
+            const { audioEnabled, audioDailyCapMB, retranscribeHours } = await getArchiveSettings();
+            if (!audioEnabled && !retranscribeHours) return false;
+
+            const encoded = encodeForUpload(audio, 'flac');
+            const data = encoded.data instanceof ArrayBuffer
+                ? encoded.data
+                : encoded.data.buffer.slice(encoded.data.byteOffset, encoded.data.byteOffset + encoded.data.byteLength);
+            const expiresAt = audioEnabled ? null : clip.startTime + retranscribeHours * 60 * 60 * 1000;
+            const stored = await archiveAudio({ ...clip, format: encoded.format, mimeType: encoded.mimeType, data, expiresAt }, audioDailyCapMB * 1024 * 1024);
+            if (!stored) {
+                console.warn(`[Conversation] Daily audio cap of ${audioDailyCapMB}MB reached; window ${clip.windowId} kept as text only`);
+            }
+            return stored;
+        } catch (error) {
+            // Playback and re-transcription are conveniences; the transcript never waits on them
+            console.error('[Conversation] Failed to archive audio:', error);
+            return false;
+        }
+    }
+
+    async archiveConversation(conversation) {
+        if (!conversation.sessionId) return;
+        try {
+            await archiveConversation(conversation);
+        } catch (error) {
+            console.error('[Conversation] Failed to archive conversation:', error);
+        }
+    }
+
+    /**
+     * Relabels the session's segments after a speaker was renamed, merged or found on the roster,
+     * updates the overlay and re-archives the segments that changed.
+     * @param {object} registry - The updated speaker registry.
+     * @returns {Promise<number>} The number of segments relabeled.
+     */
+    async applySpeakerRegistry(registry) {
+        const { segments, changed } = relabelSegments(this.completedSegments, registry);
+        if (changed.length === 0) return 0;
+
+        this.completedSegments = segments;
+        const names = this.notifySpeakerNames(registry);
+        for (const segment of changed) {
+            await this.archive(segment);
+        }
+        for (const conversation of this.conversations.renameParticipants(names)) {
+            await this.archiveConversation(conversation);
+        }
+        return changed.length;
+    }
+
+    /**
+     * Tells the VTF tabs the current name of every speaker in the session, so the overlay can
+     * relabel segments it already shows.
+     * @param {object} registry - The speaker registry.
+     * @returns {Object<string, string>} Speaker ID -> display name, as sent.
+     */
+    notifySpeakerNames(registry) {
+        const names = {};
+        this.completedSegments.forEach(segment => {
+            if (segment.speakerId) names[segment.speakerId] = speakerName(registry, segment.speakerId);
+        });
+        chrome.tabs.query({ url: "*://vtf.t3live.com/*" }, (tabs) => {
+            (tabs || []).forEach(tab => {
+                chrome.tabs.sendMessage(tab.id, { type: 'speakerNamesUpdated', names }).catch(e => {
+                    console.warn(`[Conversation] Could not send speaker names to tab ${tab.id}:`, e);
+                });
+            });
+        });
+        return names;
+    }
+
+    /**
+     * Splits the audio into speaker turns when diarization is enabled.
+     * @returns {Promise<Array<object>|null>} The turns, or null to keep the segment whole.
+     */
+    async diarize(audio, transcriptSegments) {
+        if (audio.length < MIN_DIARIZATION_SECONDS * 16000) return null;
+        try {
+            const { diarization } = await getTranscriptionSettings();
+            return diarization ? diarizeTranscription(audio, transcriptSegments) : null;
+        } catch (error) {
+            console.warn('[Conversation] Diarization failed, keeping segment whole:', error);
+            return null;
+        }
+    }
+
+    async identifyVoice(audio, speakerId) {
+        try {
+            return await identifyVoice(audio, speakerId);
+        } catch (error) {
+            // Re-identification is a suggestion; the segment keeps its roster or default name
+
+            console.warn('[Conversation] Could not compute voiceprint:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Records the user's answer to a proposed voice match on the speaker's segments.
+     * @param {string} speakerId - The speaker the match was proposed for.
+     * @param {'confirmed'|'rejected'} status - The answer.
+     */
+    async setVoiceMatchStatus(speakerId, status) {
+        const changed = [];
+        this.completedSegments = this.completedSegments.map(segment => {
+            if (segment.speakerId !== speakerId || segment.voiceMatch?.status !== 'proposed') return segment;
+            const updated = { ...segment, voiceMatch: { ...segment.voiceMatch, status } };
+            changed.push(updated);
+            return updated;
+        });
+        for (const segment of changed) {
+            await this.archive(segment);
+        }
+        return changed.length;
+    }
+
+    async recordStats(record) {
+        try {
+            await record();
+        } catch (error) {
+            // Analytics are best effort; a missed update never holds up the transcript
+            console.warn('[Conversation] Could not update daily stats:', error);
+        }
+    }
+
+    async checkAlerts(segment) {
+        try {
+            return await checkSegmentAlerts(segment);
+        } catch (error) {
+            console.warn('[Conversation] Could not check watchlist alerts:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Builds the transcription prompt for a stream from the glossary and what its speaker said last.
+     * @param {string} streamId - The stream.
+     * @param {number} [beforeIndex] - Only use segments before this index in completedSegments, e.g.
+     *   to keep a segment being re-transcribed out of its own prompt.
+     * @returns {Promise<string>}
+     */
+    async buildPromptForStream(streamId, beforeIndex = this.completedSegments.length) {
+        try {
+            const glossary = await getGlossary();
+            // Walk back only as far as needed to fill the context window
+            const speakerSegments = [];
+            let collectedChars = 0;
+            for (let i = beforeIndex - 1; i >= 0 && collectedChars < glossary.contextChars; i--) {
+                const segment = this.completedSegments[i];
+                if (segment.streamId === streamId) {
+                    speakerSegments.unshift(segment);
+                    collectedChars += segment.text.length + 1;
+                }
+            }
+            return buildTranscriptionPrompt(glossary, speakerSegments);
+        } catch (error) {
+            console.warn('[Conversation] Could not build transcription prompt:', error);
+            return '';
+        }
+    }
+
     concatenateAudioChunks(chunks) {
         const totalLength = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
         const result = new Float32Array(totalLength);
@@ -262,21 +852,32 @@ export class ConversationProcessor {
     }
 
     calculateAverageConfidence(segments) {
-        if (!segments || segments.length === 0) return 0;
-        const totalConfidence = segments.reduce((sum, s) => sum + Math.exp(s.avg_logprob), 0);
-        return totalConfidence / segments.length;
+        // Some self-hosted backends don't report log probabilities
+        const scored = (segments || []).filter(s => typeof s.avg_logprob === 'number');
+        if (scored.length === 0) return 0;
+        const totalConfidence = scored.reduce((sum, s) => sum + Math.exp(s.avg_logprob), 0);
+        return totalConfidence / scored.length;
+    }
+
+    getStatus() {
+        const conversation = this.conversations.latest();
+        return {
+            isCapturing: true, // If we're processing, we must be capturing
+            transcriptionCount: this.completedSegments.length,
+            activeSpeakers: this.speakerBuffers.size,
+            sessionCost: this.sessionCost,
+            uploadStats: this.uploadStats,
+            conversationCount: this.conversations.conversations.length,
+            conversation,
+            conversationSummary: conversation ? describeConversation(conversation) : null,
+        };
     }
 
     updateUIs() {
         // Send status to popup
         chrome.runtime.sendMessage({
             type: 'statusUpdate',
-            status: {
-                isCapturing: true, // If we're processing, we must be capturing
-                transcriptionCount: this.completedSegments.length,
-                activeSpeakers: this.speakerBuffers.size,
-                sessionCost: this.sessionCost,
-            }
+            status: this.getStatus()
         }).catch(e => {}); // Ignore errors if popup is closed
 
         // Send latest segment to content script for display
@@ -287,7 +888,8 @@ export class ConversationProcessor {
                 if (tabs[0]) {
                     chrome.tabs.sendMessage(tabs[0].id, {
                         type: 'processedTranscription',
-                        segment: latestSegment
+                        segment: latestSegment,
+                        conversation: this.conversations.get(latestSegment.conversationId)
                     }).catch(e => {
                         console.warn('[Conversation] Failed to send segment to content script:', e);
                     });
@@ -298,11 +900,6 @@ export class ConversationProcessor {
         }
     }
 
-    calculateSessionCost() {
-        const costPerMinute = 0.006;
-        const minutesProcessed = this.totalProcessedDuration / 60;
-        return minutesProcessed * costPerMinute;
-    }
 
     // Add cleanup method to prevent memory leaks
     destroy() {
@@ -0,0 +1,217 @@
+/**
+ * @file conversations.js
+ * @path src/conversations.js
+ * @description Groups segments into conversations as they complete. A gap of more than 10 seconds
+ * between one segment's end and the next one's start begins a new conversation. Each conversation
+ * tracks its participants and timing and is classified as a remark, soliloquy, exchange or group
+ * discussion. The overlay, popup, exports and archive all read this one model.
+ * @modified 2026-10-19
+ * @requires speakers.js
+ */
+
+import { subSpeakerName } from './speakers.js';
+
+export const CONVERSATION_GAP_MS = 10000;
+const SOLILOQUY_MIN_SECONDS = 15;
+
+export const CONVERSATION_TYPE_LABELS = {
+    remark: 'Remark',
+    soliloquy: 'Soliloquy',
+    exchange: 'Exchange',
+    group: 'Group Discussion',
+};
+
+function segmentEnd(segment) {
+    return segment.timestamp + Math.round((segment.duration || 0) * 1000);
+}
+
+// Diarized voices of one stream are separate participants
+function participantKey(segment) {
+    const id = segment.speakerId || segment.speaker;
+    return segment.subSpeaker ? `${id}#${segment.subSpeaker}` : id;
+}
+
+/**
+ * Classifies a conversation by who took part: one speaker briefly is a remark, one speaker for
+ * more than 15 seconds a soliloquy, two an exchange and three or more a group discussion.
+ * @param {object} conversation
+ * @returns {'remark'|'soliloquy'|'exchange'|'group'}
+ */
+export function classifyConversation(conversation) {
+    const count = conversation.participants.length;
+    if (count >= 3) return 'group';
+    if (count === 2) return 'exchange';
+    return conversation.talkSeconds > SOLILOQUY_MIN_SECONDS ? 'soliloquy' : 'remark';
+}
+
+/**
+ * One-line description, e.g. "Exchange · Kira, Rick · 1m 05s".
+ * @param {object} conversation
+ * @returns {string}
+ */
+export function describeConversation(conversation) {
+    const seconds = Math.round(conversation.duration);
+    const length = seconds >= 60 ? `${Math.floor(seconds / 60)}m ${String(seconds % 60).padStart(2, '0')}s` : `${seconds}s`;
+    const names = conversation.participants.map(participant => participant.speaker).join(', ');
+    return `${CONVERSATION_TYPE_LABELS[conversation.type] || conversation.type} · ${names} · ${length}`;
+}
+
+export class ConversationAssembler {
+    constructor(initialState) {
+        this.conversations = [];
+        this.nextNumber = 1;
+        if (initialState) {
+            this.setState(initialState);
+        }
+    }
+
+    getState() {
+        return { conversations: this.conversations, nextNumber: this.nextNumber };
+    }
+
+    setState(state) {
+        this.conversations = state.conversations || [];
+        this.nextNumber = state.nextNumber || this.conversations.length + 1;
+    }
+
+    /**
+     * Files a segment under the conversation it belongs to, starting a new one after a gap.
+     * Segments can finish out of order (long buffers, crosstalk), so a late segment joins whichever
+     * conversation it falls within the gap of, not just the latest one.
+     * @param {object} segment - A completed segment with id, timestamp, duration and speaker.
+     * @param {string|null} sessionId - The capture session.
+     * @returns {object} The updated conversation; the caller records its id on the segment.
+     */
+    addSegment(segment, sessionId) {
+        const start = segment.timestamp;
+        const end = segmentEnd(segment);
+
+        let conversation = null;
+        for (let i = this.conversations.length - 1; i >= 0; i--) {
+            const candidate = this.conversations[i];
+            if (start <= candidate.endTime + CONVERSATION_GAP_MS && end >= candidate.startTime - CONVERSATION_GAP_MS) {
+                conversation = candidate;
+                break;
+            }
+        }
+
+        if (!conversation) {
+            conversation = {
+                id: crypto.randomUUID(),
+                number: this.nextNumber++,
+                sessionId,
+                tradingDay: segment.tradingDay,
+                startTime: start,
+                endTime: end,
+                duration: 0,
+                talkSeconds: 0,
+                segmentIds: [],
+                participants: [],
+                symbols: [],
+                type: 'remark',
+            };
+            this.conversations.push(conversation);
+            console.log(`[Conversations] Conversation ${conversation.number} started by ${segment.speaker}`);
+        }
+
+        conversation.startTime = Math.min(conversation.startTime, start);
+        conversation.endTime = Math.max(conversation.endTime, end);
+        conversation.duration = (conversation.endTime - conversation.startTime) / 1000;
+        conversation.talkSeconds += segment.duration || 0;
+        conversation.segmentIds.push(segment.id);
+        conversation.symbols = [...new Set([...conversation.symbols, ...(segment.entities?.symbols || [])])];
+
+        const key = participantKey(segment);
+        let participant = conversation.participants.find(candidate => candidate.key === key);
+        if (!participant) {
+            participant = { key, speakerId: segment.speakerId || null, speaker: segment.speaker, segments: 0, seconds: 0 };
+            conversation.participants.push(participant);
+        }
+        participant.speaker = segment.speaker;
+        participant.segments++;
+        participant.seconds += segment.duration || 0;
+
+        this.reclassify(conversation);
+        return conversation;
+    }
+
+    /**
+     * Accounts for a filed segment that grew, e.g. when the next fragment finished its sentence.
+     * @param {object} segment - The grown segment, carrying the conversationId it was filed under.
+     * @param {number} addedSeconds - The talk time it gained.
+     * @returns {object|null} The updated conversation, or null if the segment was never filed.
+     */
+    extendSegment(segment, addedSeconds) {
+        const conversation = this.get(segment.conversationId);
+        if (!conversation) return null;
+
+        conversation.endTime = Math.max(conversation.endTime, segmentEnd(segment));
+        conversation.duration = (conversation.endTime - conversation.startTime) / 1000;
+        conversation.talkSeconds += addedSeconds;
+        conversation.symbols = [...new Set([...conversation.symbols, ...(segment.entities?.symbols || [])])];
+
+        const participant = conversation.participants.find(candidate => candidate.key === participantKey(segment));
+        if (participant) participant.seconds += addedSeconds;
+
+        this.reclassify(conversation);
+        return conversation;
+    }
+
+    reclassify(conversation) {
+        const type = classifyConversation(conversation);
+        if (type !== conversation.type) {
+            console.log(`[Conversations] Conversation ${conversation.number} is now a ${CONVERSATION_TYPE_LABELS[type].toLowerCase()}`);
+            conversation.type = type;
+        }
+    }
+
+    /**
+     * Renames participants after the speaker registry changed.
+     * @param {Object<string, string>} names - Speaker ID -> current display name.
+     * @returns {Array<object>} The conversations that changed.
+     */
+    renameParticipants(names) {
+        const changed = new Set();
+        this.conversations.forEach(conversation => {
+            conversation.participants.forEach(participant => {
+                const name = participant.speakerId && names[participant.speakerId];
+                if (!name) return;
+                const subSpeaker = participant.key.includes('#') ? participant.key.split('#').pop() : null;
+                const speaker = subSpeaker ? subSpeakerName(name, subSpeaker) : name;
+                if (speaker !== participant.speaker) {
+                    participant.speaker = speaker;
+                    changed.add(conversation);
+                }
+            });
+        });
+        return [...changed];
+    }
+
+    get(conversationId) {
+        return this.conversations.find(conversation => conversation.id === conversationId) || null;
+    }
+
+    latest() {
+        return this.conversations.reduce((latest, conversation) =>
+            !latest || conversation.endTime > latest.endTime ? conversation : latest, null);
+    }
+}
+
+/**
+ * Groups a whole list of segments at once, e.g. a restored backup.
+ * @param {Array<object>} segments - The segments, in any order.
+ * @param {string|null} sessionId - The capture session they are filed under.
+ * @returns {{assembler: ConversationAssembler, segments: Array<object>}} The assembler holding the
+ *   conversations, and copies of the segments (in their original order) carrying their conversationId.
+ */
+export function groupSegments(segments, sessionId) {
+    const assembler = new ConversationAssembler();
+    const conversationIds = new Map();
+    [...segments].sort((a, b) => a.timestamp - b.timestamp).forEach(segment => {
+        conversationIds.set(segment, assembler.addSegment(segment, sessionId).id);
+    });
+    return {
+        assembler,
+        segments: segments.map(segment => ({ ...segment, conversationId: conversationIds.get(segment) })),
+    };
+}
@@ -0,0 +1,224 @@
+/**
+ * @file corrections.js
+ * @path src/corrections.js
+ * @description Post-transcription correction pipeline: phonetic-to-canonical replacements,
+ * spoken price normalization and ticker case normalization. Every change is recorded so the
+ * original text can always be recovered.
+ * @modified 2026-10-19
+ */
+
+export const CORRECTION_RULES_VERSION = 1;
+
+// Tickers that are also everyday words are only upper-cased when written with a "$" prefix
+const COMMON_WORDS = new Set([
+    'A', 'I', 'AM', 'ARE', 'BE', 'BIG', 'DO', 'FOR', 'GO', 'HAS', 'IT', 'KEY', 'LOW', 'NOW',
+    'ON', 'ONE', 'OUT', 'SEE', 'SO', 'ALL', 'ANY', 'CAN', 'FAST', 'LOVE', 'NET', 'OPEN',
+    'PLAY', 'REAL', 'RUN', 'TRUE', 'WELL', 'EAT', 'FUN', 'GOOD', 'HE', 'HOPE', 'NICE', 'OR', 'UP'
+]);
+
+// --- Spoken Numbers ---
+
+const UNITS = { zero: 0, oh: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9 };
+const TEENS = {
+    ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14,
+    fifteen: 15, sixteen: 16, seventeen: 17, eighteen: 18, nineteen: 19
+};
+const TENS = { twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70, eighty: 80, ninety: 90 };
+
+const UNIT_WORDS = 'one|two|three|four|five|six|seven|eight|nine';
+const DIGIT_WORDS = `zero|oh|${UNIT_WORDS}`;
+const TEEN_WORDS = Object.keys(TEENS).join('|');
+const TENS_WORDS = Object.keys(TENS).join('|');
+// A two-digit group: "forty", "forty two", "forty-two", "fifteen"
+const GROUP = `(?:(?:${TENS_WORDS})(?:[-\\s](?:${UNIT_WORDS}))?|${TEEN_WORDS})`;
+// The whole-dollar part, optionally with a hundreds digit: "three ninety", "three hundred ninety"
+const WHOLE = `(?:(?:${UNIT_WORDS})\\s+(?:hundred\\s+(?:and\\s+)?)?)?${GROUP}`;
+// The cents part: another group, or "oh five"
+const CENTS = `(?:${GROUP}|oh[-\\s](?:${UNIT_WORDS}))`;
+
+// "forty two fifty" -> 42.50, "sixty oh five" -> 60.05
+const SPOKEN_PRICE_RE = new RegExp(`\\b(${WHOLE})\\s+(${CENTS})\\b`, 'gi');
+// "three ninety point five" -> 390.5
+const SPOKEN_DECIMAL_RE = new RegExp(`\\b(${WHOLE})\\s+point\\s+((?:${DIGIT_WORDS})(?:\\s+(?:${DIGIT_WORDS}))*)\\b`, 'gi');
+
+// Two number words in a row are only a price after one of these ("stop forty two fifty"), so
+// "fifty fifty" or "fifteen twenty minutes" stay as they were said
+const PRICE_CUES = new Set([
+    'above', 'below', 'over', 'under', 'stop', 'stops', 'target', 'targets',
+    'entry', 'support', 'resistance', 'strike', 'bid', 'ask', 'buy', 'sell', 'bought', 'sold', 'long', 'short'
+]);
+// Allowed between a cue and the price: "stop is forty two fifty", "target of ..."
+const PRICE_FILLERS = new Set(['is', 'was', 'of', 'at', '@', 'to', 'around', 'near']);
+// Also come before clock times ("the Fed speaks at eleven thirty"), so they only lead into a price
+// when a ticker was named shortly before in the same sentence ("AMD is trading at forty two fifty")
+const TIME_CUES = new Set(['at', '@', 'around', 'near', 'by', 'before', 'after', 'until', 'till']);
+const TIME_CUE_TICKER_WORDS = 4;
+
+/**
+ * Converts a spoken number below 1000 ("forty two", "oh five", "three ninety") to a number.
+ * A leading digit followed by a two-digit group is read as hundreds, the way prices are said.
+ * @param {string} words - The spoken number.
+ * @returns {number}
+ */
+function spokenGroupToNumber(words) {
+    const tokens = words.toLowerCase().split(/[-\s]+/).filter(word => word !== 'hundred' && word !== 'and');
+    let hundreds = 0;
+    if (tokens.length > 1 && UNITS[tokens[0]] !== undefined && (TENS[tokens[1]] !== undefined || TEENS[tokens[1]] !== undefined)) {
+        hundreds = UNITS[tokens.shift()] * 100;
+    }
+    return hundreds + tokens.reduce((sum, word) => {
+        return sum + (TENS[word] ?? TEENS[word] ?? UNITS[word] ?? 0);
+    }, 0);
+}
+
+function escapeRegExp(string) {
+    return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Replaces every match of `pattern`, recording one correction per distinct replacement.
+ * @returns {string} The updated text.
+ */
+function replaceAndRecord(text, pattern, type, replacer, corrections) {
+    return text.replace(pattern, (...args) => {
+        const match = args[0];
+        const replacement = replacer(...args);
+        if (replacement !== match) {
+            const existing = corrections.find(c => c.type === type && c.from === match && c.to === replacement);
+            if (existing) {
+                existing.count++;
+            } else {
+                corrections.push({ type, from: match, to: replacement, count: 1 });
+            }
+        }
+        return replacement;
+    });
+}
+
+// --- Pipeline Steps ---
+
+function applyReplacements(text, replacements, corrections) {
+    for (const rule of replacements) {
+        if (!rule.from || typeof rule.to !== 'string') continue;
+        const phrase = escapeRegExp(rule.from.trim()).replace(/\s+/g, '\\s+');
+        const pattern = new RegExp(`(?<![\\w$])${phrase}(?![\\w])`, 'gi');
+        text = replaceAndRecord(text, pattern, 'replacement', () => rule.to, corrections);
+    }
+    return text;
+}
+
+/**
+ * Whether a `$`, a price cue or a known ticker sits right next to a spoken number. Time words
+ * ("at", "around", "by"…) need a ticker a few words earlier, and "am", "pm" or "o'clock" after
+ * the number rule out a price.
+ * @param {string} text - The whole text.
+ * @param {number} offset - Where the number starts.
+ * @param {number} length - The number's length.
+ * @param {Set<string>} known - Upper-cased glossary tickers.
+ * @returns {boolean}
+ */
+function hasPriceContext(text, offset, length, known) {
+    const before = text.slice(0, offset);
+    if (/\$\s*$/.test(before)) return true;
+
+    const after = text.slice(offset + length);
+    if (/^\s*(?:[ap]\.?m\b|o'?clock\b)/i.test(after)) return false;
+
+    // Everyday words that are also tickers ("it", "on") only count with a "$"
+    const isTicker = (word) => {
+        const dollar = word.startsWith('$');
+        const upper = word.replace(/^\$/, '').toUpperCase();
+        return known.has(upper) && (dollar || !COMMON_WORDS.has(upper));
+    };
+    const isCue = (word) => Boolean(word) && (PRICE_CUES.has(word.toLowerCase()) || isTicker(word));
+    const words = before.match(/[\w$@]+/g) || [];
+    const last = words[words.length - 1];
+    if (isCue(last)) return true;
+    if (last && PRICE_FILLERS.has(last.toLowerCase()) && isCue(words[words.length - 2])) return true;
+    if (last && TIME_CUES.has(last.toLowerCase())) {
+        const sentence = before.split(/[.!?]\s/).pop().match(/[\w$@]+/g) || [];
+        if (sentence.slice(-TIME_CUE_TICKER_WORDS - 1, -1).some(isTicker)) return true;
+    }
+
+    const next = after.match(/^\s+(\$?[A-Za-z]+)/);
+    return Boolean(next && isTicker(next[1]));
+}
+
+function applySpokenPrices(text, tickers, corrections) {
+    const known = new Set(tickers.map(t => t.toUpperCase()));
+    text = replaceAndRecord(text, SPOKEN_DECIMAL_RE, 'spoken-price', (match, whole, digits, offset, string) => {
+        if (!hasPriceContext(string, offset, match.length, known)) return match;
+        const decimals = digits.toLowerCase().split(/\s+/).map(d => UNITS[d]).join('');
+        return `${spokenGroupToNumber(whole)}.${decimals}`;
+    }, corrections);
+
+    return replaceAndRecord(text, SPOKEN_PRICE_RE, 'spoken-price', (match, whole, cents, offset, string) => {
+        if (!hasPriceContext(string, offset, match.length, known)) return match;
+        return `${spokenGroupToNumber(whole)}.${String(spokenGroupToNumber(cents)).padStart(2, '0')}`;
+    }, corrections);
+}
+
+function applyTickerCase(text, tickers, corrections) {
+    const known = new Set(tickers.map(t => t.toUpperCase()));
+    if (known.size === 0) return text;
+
+    return replaceAndRecord(text, /(\$?)\b([A-Za-z]{1,5})\b/g, 'ticker-case', (match, dollar, word) => {
+        const upper = word.toUpperCase();
+        if (!known.has(upper) || word === upper) return match;
+        if (!dollar && COMMON_WORDS.has(upper)) return match;
+        return `${dollar}${upper}`;
+    }, corrections);
+}
+
+// --- Public API ---
+
+/**
+ * Runs the configured corrections over a transcription.
+ * @param {string} text - The text to correct.
+ * @param {object} rules - Correction rules (see DEFAULTS.correctionRules in storage.js).
+ * @param {Array<string>} tickers - Known ticker symbols from the glossary.
+ * @returns {{text: string, corrections: Array<{type: string, from: string, to: string, count: number}>}}
+ */
+export function applyCorrections(text, rules, tickers = []) {
+    const corrections = [];
+    if (!text || !rules) return { text, corrections };
+
+    let corrected = applyReplacements(text, rules.replacements || [], corrections);
+    if (rules.spokenPrices) {
+        corrected = applySpokenPrices(corrected, tickers, corrections);
+    }
+    if (rules.normalizeTickers) {
+        corrected = applyTickerCase(corrected, tickers, corrections);
+    }
+
+    return { text: corrected, corrections };
+}
+
+/**
+ * Validates and normalizes a correction rules object, e.g. one imported from a JSON file.
+ * @param {object} rules - The candidate rules.
+ * @returns {object} The normalized rules.
+ * @throws {Error} If the rules are malformed.
+ */
+export function validateCorrectionRules(rules) {
+    if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+        throw new Error('Correction rules must be a JSON object');
+    }
+    if (rules.replacements !== undefined && !Array.isArray(rules.replacements)) {
+        throw new Error('"replacements" must be an array');
+    }
+
+    const replacements = (rules.replacements || []).map((rule, index) => {
+        if (!rule || typeof rule.from !== 'string' || typeof rule.to !== 'string' || !rule.from.trim()) {
+            throw new Error(`Replacement #${index + 1} needs string "from" and "to" fields`);
+        }
+        return { from: rule.from.trim(), to: rule.to.trim() };
+    });
+
+    return {
+        version: CORRECTION_RULES_VERSION,
+        replacements,
+        normalizeTickers: rules.normalizeTickers !== false,
+        spokenPrices: rules.spokenPrices !== false,
+    };
+}
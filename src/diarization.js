@@ -0,0 +1,167 @@
+/**
+ * @file diarization.js
+ * @path src/diarization.js
+ * @description Splits a segment from a shared or mixed stream (a guest on the moderator's mic, a
+ * room feed) into speaker turns. The audio is cut into short overlapping windows, each described by
+ * its median pitch and mean MFCCs; windows are clustered by voice and the clusters are mapped onto
+ * the transcription's own timestamps, so turns always break between Whisper segments.
+ * @modified 2026-10-19
+ * @requires voiceprint.js
+ */
+
+import { computeFrames, selectVoicedFrames, summarizeFrames } from './voiceprint.js';
+
+const SAMPLE_RATE = 16000;
+const WINDOW_SECONDS = 1.5;
+const WINDOW_HOP_SECONDS = 0.75;
+const MIN_WINDOW_FRAMES = 50;        // Voiced 10ms frames a window needs to describe a voice
+const MIN_WINDOW_PITCHED_FRAMES = 20;
+const MFCC_DIMS = 19;                // Only the MFCC means; spreads over 1.5s follow the words, not the voice
+// Pitch is the steadiest cue in a short window; MFCC means move a lot with what is being said, so
+// they only break ties. Distances are in semitones.
+const MFCC_WEIGHT = 0.05;
+const SPLIT_DISTANCE = 3;
+const MIN_SPEAKER_WINDOWS = 3;       // About two seconds; shorter clusters are folded into their nearest neighbour
+
+export const MIN_DIARIZATION_SECONDS = 6;
+
+function describeWindow(frames, start) {
+    const pitches = frames.map(frame => frame.pitch).filter(pitch => pitch > 0).sort((a, b) => a - b);
+    if (frames.length < MIN_WINDOW_FRAMES || pitches.length < MIN_WINDOW_PITCHED_FRAMES) return null;
+    return {
+        center: start + WINDOW_SECONDS / 2,
+        size: 1,
+        pitch: 12 * Math.log2(pitches[Math.floor(pitches.length / 2)]),
+        mfcc: summarizeFrames(frames).slice(0, MFCC_DIMS),
+    };
+}
+
+function voiceDistance(a, b) {
+    let squared = 0;
+    for (let i = 0; i < MFCC_DIMS; i++) squared += (a.mfcc[i] - b.mfcc[i]) ** 2;
+    return Math.abs(a.pitch - b.pitch) + MFCC_WEIGHT * Math.sqrt(squared);
+}
+
+function mergeClusters(a, b) {
+    const size = a.size + b.size;
+    return {
+        windows: [...a.windows, ...b.windows],
+        size,
+        pitch: (a.pitch * a.size + b.pitch * b.size) / size,
+        mfcc: a.mfcc.map((value, i) => (value * a.size + b.mfcc[i] * b.size) / size),
+    };
+}
+
+/**
+ * Average-linkage clustering that stops once the closest two clusters sound like different people.
+ */
+function clusterWindows(windows) {
+    let clusters = windows.map(window => ({ ...window, windows: [window] }));
+
+    while (clusters.length > 1) {
+        let best = null;
+        for (let a = 0; a < clusters.length; a++) {
+            for (let b = a + 1; b < clusters.length; b++) {
+                const distance = voiceDistance(clusters[a], clusters[b]);
+                if (!best || distance < best.distance) best = { a, b, distance };
+            }
+        }
+        if (best.distance > SPLIT_DISTANCE) break;
+        clusters[best.a] = mergeClusters(clusters[best.a], clusters[best.b]);
+        clusters.splice(best.b, 1);
+    }
+
+    // A cluster of one or two windows is a cough, a laugh or a pitch glitch more often than a speaker
+    for (;;) {
+        clusters.sort((a, b) => a.size - b.size);
+        if (clusters.length < 2 || clusters[0].size >= MIN_SPEAKER_WINDOWS) break;
+        const small = clusters.shift();
+        let nearest = 0;
+        clusters.forEach((cluster, i) => {
+            if (voiceDistance(small, cluster) < voiceDistance(small, clusters[nearest])) nearest = i;
+        });
+        clusters[nearest] = mergeClusters(clusters[nearest], small);
+    }
+    return clusters;
+}
+
+/**
+ * Labels the voiced parts of a segment by speaker.
+ * @param {Float32Array} samples - 16kHz mono audio.
+ * @returns {Array<{center: number, speaker: number}>} One entry per usable window, in time order;
+ *   `center` is in seconds from the start of the segment and `speaker` is a cluster index.
+ */
+export function findSpeakerWindows(samples) {
+    const frames = selectVoicedFrames(computeFrames(samples));
+    const duration = samples.length / SAMPLE_RATE;
+
+    const windows = [];
+    let first = 0;
+    for (let start = 0; start + WINDOW_SECONDS <= duration + 0.01; start += WINDOW_HOP_SECONDS) {
+        while (first < frames.length && frames[first].time < start) first++;
+        let last = first;
+        while (last < frames.length && frames[last].time < start + WINDOW_SECONDS) last++;
+        const window = describeWindow(frames.slice(first, last), start);
+        if (window) windows.push(window);
+    }
+
+    const clusters = clusterWindows(windows);
+    const labeled = [];
+    clusters.forEach((cluster, speaker) => {
+        cluster.windows.forEach(window => labeled.push({ center: window.center, speaker }));
+    });
+    return labeled.sort((a, b) => a.center - b.center);
+}
+
+function speakerForSpan(windows, start, end) {
+    const votes = new Map();
+    windows.forEach(window => {
+        if (window.center >= start && window.center <= end) {
+            votes.set(window.speaker, (votes.get(window.speaker) || 0) + 1);
+        }
+    });
+    if (votes.size > 0) {
+        return [...votes.entries()].sort((a, b) => b[1] - a[1])[0][0];
+    }
+    // Too short to contain a window centre: take the closest one
+    const middle = (start + end) / 2;
+    return windows.reduce((closest, window) =>
+        Math.abs(window.center - middle) < Math.abs(closest.center - middle) ? window : closest).speaker;
+}
+
+/**
+ * Splits a transcribed segment into speaker turns.
+ * @param {Float32Array} samples - The segment's 16kHz audio.
+ * @param {Array<{start: number, end: number, text: string}>} transcriptSegments - The transcription's timed
+ *   segments (normalized verbose_json).
+ * @returns {Array<{label: string, start: number, end: number, text: string, segments: Array<object>}>|null}
+ *   The turns in order, labeled "A", "B", ... by first appearance, or null if only one voice was found
+ *   or the segment cannot be split.
+ */
+export function diarizeTranscription(samples, transcriptSegments) {
+    const timed = (transcriptSegments || []).filter(segment => segment.text && segment.end > segment.start);
+    if (timed.length < 2 || samples.length < MIN_DIARIZATION_SECONDS * SAMPLE_RATE) return null;
+
+    const windows = findSpeakerWindows(samples);
+    if (new Set(windows.map(window => window.speaker)).size < 2) return null;
+
+    const labels = new Map();
+    const turns = [];
+    timed.forEach(segment => {
+        const speaker = speakerForSpan(windows, segment.start, segment.end);
+        if (!labels.has(speaker)) labels.set(speaker, String.fromCharCode(65 + labels.size));
+        const label = labels.get(speaker);
+
+        const previous = turns[turns.length - 1];
+        if (previous && previous.label === label) {
+            previous.end = segment.end;
+            previous.text += ' ' + segment.text;
+            previous.segments.push(segment);
+        } else {
+            turns.push({ label, start: segment.start, end: segment.end, text: segment.text, segments: [segment] });
+        }
+    });
+
+    // Every Whisper segment may still have landed on the same voice
+    return labels.size > 1 ? turns : null;
+}
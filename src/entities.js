@@ -0,0 +1,139 @@
+/**
+ * @file entities.js
+ * @path src/entities.js
+ * @description Extracts ticker symbols, price levels, percentages and time references from
+ * corrected transcription text so segments can be scanned and filtered by what was said.
+ * @modified 2026-10-19
+ */
+
+// A bare number only counts as a price level after one of these words ("holding 42", "stop at 118")
+const PRICE_CUES = new Set([
+    'at', 'above', 'below', 'over', 'under', 'to', 'from', 'near', 'around', 'through', 'target',
+    'targets', 'stop', 'support', 'resistance', 'level', 'strike', 'reclaim', 'reclaims', 'break',
+    'breaks', 'hold', 'holds', 'holding', 'lost', 'loses', 'tested', 'tests', 'bid', 'offer'
+]);
+
+const PERCENT_RE = /(?<![\d.])(\d+(?:\.\d+)?)\s?(?:%|percent\b)/gi;
+// "10:30", "10:30am", "3 pm"
+const CLOCK_RE = /\b(?:(?:[01]?\d|2[0-3]):[0-5]\d(?:\s?(?:am|pm|a\.m\.|p\.m\.))?|(?:1[0-2]|[1-9])\s?(?:am|pm|a\.m\.|p\.m\.))(?=\W|$)/gi;
+const SESSION_RE = /\b(?:the open|the close|opening bell|closing bell|the bell|pre-?market|after[- ]hours|power hour|lunch|midday|end of day|EOD)\b/gi;
+const RELATIVE_RE = /\b(?:today|tomorrow|yesterday|tonight|this morning|this afternoon|this week|next week|next month|monday|tuesday|wednesday|thursday|friday)\b/gi;
+// Candidate numbers, skipping the digits of times, percentages and "50-day" style phrases
+const NUMBER_RE = /(?<![\d:.,])(\$)?(\d{1,3}(?:,\d{3})+|\d+)(\.\d{1,2})?(?!\d|[:,]\d|-[a-z]|\.\d|\s?(?:%|percent\b|am\b|pm\b|a\.m\.|p\.m\.))/gi;
+const SYMBOL_RE = /(\$)?\b([A-Za-z]{1,5})\b/g;
+
+function matchAll(text, pattern) {
+    return [...text.matchAll(pattern)];
+}
+
+function extractSymbols(text, knownTickers) {
+    const symbols = [];
+    for (const [, dollar, word] of matchAll(text, SYMBOL_RE)) {
+        const upper = word.toUpperCase();
+        // Corrections already upper-cased tickers; lowercase words only count with a "$"
+        if ((word === upper || dollar) && knownTickers.has(upper) && !symbols.includes(upper)) {
+            symbols.push(upper);
+        }
+    }
+    return symbols;
+}
+
+function extractPrices(text) {
+    const prices = [];
+    for (const match of matchAll(text, NUMBER_RE)) {
+        const [raw, dollar, whole, decimals] = match;
+        const previousWord = text.slice(0, match.index).trim().split(/\s+/).pop()?.toLowerCase().replace(/[^a-z]/g, '');
+        if (!dollar && !decimals && !PRICE_CUES.has(previousWord)) continue;
+
+        const value = parseFloat(`${whole.replace(/,/g, '')}${decimals || ''}`);
+        const label = raw.replace(/^\$/, '');
+        if (!prices.some(price => price.text === label)) {
+            prices.push({ text: label, value });
+        }
+    }
+    return prices;
+}
+
+function extractPercentages(text) {
+    const percentages = [];
+    for (const [raw, number] of matchAll(text, PERCENT_RE)) {
+        if (!percentages.some(p => p.text === raw)) {
+            percentages.push({ text: raw, value: parseFloat(number) });
+        }
+    }
+    return percentages;
+}
+
+function extractTimes(text) {
+    const times = [];
+    const add = (pattern, kind) => {
+        for (const [raw] of matchAll(text, pattern)) {
+            if (!times.some(t => t.text.toLowerCase() === raw.toLowerCase())) {
+                times.push({ text: raw, kind });
+            }
+        }
+    };
+    add(CLOCK_RE, 'clock');
+    add(SESSION_RE, 'session');
+    add(RELATIVE_RE, 'relative');
+    return times;
+}
+
+function createEmptyEntities() {
+    return { symbols: [], prices: [], percentages: [], times: [] };
+}
+
+/**
+ * Extracts the entities mentioned in a segment's text.
+ * @param {string} text - Corrected segment text.
+ * @param {Array<string>} tickers - The user's symbol list; only these are reported as symbols.
+ * @returns {{
+ *   symbols: Array<string>,
+ *   prices: Array<{text: string, value: number}>,
+ *   percentages: Array<{text: string, value: number}>,
+ *   times: Array<{text: string, kind: 'clock'|'session'|'relative'}>
+ * }}
+ */
+export function extractEntities(text, tickers = []) {
+    if (!text) return createEmptyEntities();
+
+    return {
+        symbols: extractSymbols(text, new Set(tickers.map(t => t.toUpperCase()))),
+        prices: extractPrices(text),
+        percentages: extractPercentages(text),
+        times: extractTimes(text),
+    };
+}
+
+/**
+ * Formats a segment's entities as a markdown quote line for exports.
+ * @param {object} entities - The segment's extracted entities.
+ * @returns {string} The line, or an empty string when nothing was recognized.
+ */
+export function formatEntitiesMarkdown(entities) {
+    if (!entities) return '';
+
+    const parts = [];
+    if (entities.symbols?.length) parts.push(`Symbols: ${entities.symbols.join(', ')}`);
+    if (entities.prices?.length) parts.push(`Levels: ${entities.prices.map(p => p.text).join(', ')}`);
+    if (entities.percentages?.length) parts.push(`Moves: ${entities.percentages.map(p => p.text).join(', ')}`);
+    if (entities.times?.length) parts.push(`Times: ${entities.times.map(t => t.text).join(', ')}`);
+    return parts.length > 0 ? `> ${parts.join(' · ')}\n\n` : '';
+}
+
+/**
+ * Counts how many segments mention each symbol, most-mentioned first.
+ * @param {Array<object>} segments - Segments with extracted entities.
+ * @returns {Array<{symbol: string, count: number}>}
+ */
+export function countSymbolMentions(segments) {
+    const counts = new Map();
+    for (const segment of segments) {
+        for (const symbol of segment.entities?.symbols || []) {
+            counts.set(symbol, (counts.get(symbol) || 0) + 1);
+        }
+    }
+    return [...counts.entries()]
+        .map(([symbol, count]) => ({ symbol, count }))
+        .sort((a, b) => b.count - a.count || a.symbol.localeCompare(b.symbol));
+}
@@ -0,0 +1,509 @@
+/**
+ * @file export.js
+ * @path src/export.js
+ * @description Transcript export engine. Every download and copy in the popup, overlay and options
+ * page goes through exportTranscript, which gathers the segments of the live session or a range of
+ * archived trading days, applies the shared options (speakers, confidence, entities) and renders
+ * them with one of the registered formats. The daily report reads a whole trading day back from the
+ * archive, so it covers every capture session of that day.
+ * @modified 2026-10-19
+ * @requires archive.js
+ * @requires entities.js
+ * @requires trade-calls.js
+ * @requires overlap.js
+ * @requires conversations.js
+ * @requires subtitles.js
+ * @requires html-report.js
+ */
+
+import * as archive from './archive.js';
+import { formatEntitiesMarkdown, countSymbolMentions } from './entities.js';
+import { formatTradeCall, queryTradeCalls } from './trade-calls.js';
+import { overlapNote } from './overlap.js';
+import { describeConversation } from './conversations.js';
+import { formatSubtitles } from './subtitles.js';
+import { formatHtmlReport } from './html-report.js';
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_RANGE_DAYS = 366;
+
+const MARKET_PHASE_LABELS = {
+    premarket: 'Pre-Market (before 9:30 ET)',
+    regular: 'Regular Session (9:30-16:00 ET)',
+    afterhours: 'After Hours (after 16:00 ET)',
+};
+
+// --- Shared Helpers ---
+
+function formatTime(timestamp) {
+    return new Date(timestamp).toLocaleTimeString();
+}
+
+function formatDuration(seconds) {
+    const total = Math.round(seconds);
+    const pad = (value) => String(value).padStart(2, '0');
+    if (total >= 3600) return `${Math.floor(total / 3600)}h ${pad(Math.floor(total / 60) % 60)}m`;
+    return total >= 60 ? `${Math.floor(total / 60)}m ${pad(total % 60)}s` : `${total}s`;
+}
+
+function plural(count, noun) {
+    return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
+
+function formatConfidence(segment) {
+    return `${Math.round((segment.confidence || 0) * 100)}%`;
+}
+
+/**
+ * Formats a time as ISO 8601: in UTC ("Z"), or in the browser's timezone with its offset.
+ * @param {number} timestamp - Milliseconds since the epoch.
+ * @param {'utc'|'local'} [timeZone]
+ * @returns {string}
+ */
+function isoTime(timestamp, timeZone = 'utc') {
+    if (timeZone !== 'local') return new Date(timestamp).toISOString();
+    const offset = -new Date(timestamp).getTimezoneOffset();
+    const pad = (value) => String(Math.floor(value)).padStart(2, '0');
+    const local = new Date(timestamp + offset * 60000).toISOString().slice(0, -1);
+    return `${local}${offset < 0 ? '-' : '+'}${pad(Math.abs(offset) / 60)}:${pad(Math.abs(offset) % 60)}`;
+}
+
+// RFC 4180: fields holding a comma, quote or line break are quoted, with quotes doubled
+function csvField(value) {
+    const text = String(value ?? '');
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Sorts segments under the conversations they belong to, oldest first. Segments no conversation
+ * claims (recorded before conversations were tracked, or restored from an older backup) come last.
+ * @returns {{groups: Array<{conversation: object, segments: Array<object>}>, others: Array<object>}}
+ */
+function groupByConversation(segments, conversations) {
+    const grouped = new Set();
+    const groups = [...conversations]
+        .sort((a, b) => a.startTime - b.startTime)
+        .map(conversation => {
+            const members = segments.filter(segment => segment.conversationId === conversation.id);
+            members.forEach(segment => grouped.add(segment));
+            return { conversation, segments: members };
+        })
+        .filter(group => group.segments.length > 0);
+    return { groups, others: segments.filter(segment => !grouped.has(segment)) };
+}
+
+// --- Formats ---
+
+function markdownSegment(segment, options) {
+    const confidence = options.includeConfidence ? `, ${formatConfidence(segment)}` : '';
+    return `**${segment.speaker}** *(${formatTime(segment.timestamp)}${overlapNote(segment)}${confidence})*: ${segment.text}\n\n`
+        + (options.includeEntities ? formatEntitiesMarkdown(segment.entities) : '');
+}
+
+function markdownCalls(segments) {
+    const calls = queryTradeCalls(segments);
+    if (calls.length === 0) return '';
+    return `## Calls\n\n`
+        + calls.map(call => `- **${formatTime(call.time)}** ${call.speaker}: ${formatTradeCall(call)}\n`).join('')
+        + `\n---\n\n`;
+}
+
+function markdownSymbols(segments) {
+    const mentions = countSymbolMentions(segments);
+    return mentions.length > 0
+        ? `**Symbols Mentioned:** ${mentions.map(m => `${m.symbol} (${m.count})`).join(', ')}\n`
+        : '';
+}
+
+function renderMarkdown({ title, segments, conversations, options }) {
+    let markdown = `# ${title}\n\n`;
+    markdown += `**Exported:** ${new Date().toLocaleString()}\n`;
+    markdown += `**Total Segments:** ${segments.length}\n`;
+    markdown += markdownSymbols(segments);
+    markdown += `\n---\n\n`;
+    markdown += markdownCalls(segments);
+
+    const { groups, others } = groupByConversation(segments, conversations);
+    groups.forEach(({ conversation, segments: members }, index) => {
+        markdown += `## Conversation ${index + 1} (${formatTime(conversation.startTime)})\n\n`;
+        markdown += `*${describeConversation(conversation)}*\n\n`;
+        if (options.includeEntities && conversation.symbols?.length > 0) {
+            markdown += `**Symbols:** ${conversation.symbols.join(', ')}\n\n`;
+        }
+        members.forEach(segment => { markdown += markdownSegment(segment, options); });
+        markdown += `---\n\n`;
+    });
+
+    if (others.length > 0) {
+        if (groups.length > 0) markdown += `## Other Segments\n\n`;
+        others.forEach(segment => { markdown += markdownSegment(segment, options); });
+    }
+    return markdown;
+}
+
+/**
+ * The end-of-day report: totals and cost, a talk-time table per speaker, the calls, then the
+ * conversations of the pre-market, regular session and after hours in turn.
+ */
+function renderReport({ title, segments, conversations, sessions, dailyStats, options }) {
+    const talkSeconds = segments.reduce((sum, segment) => sum + (segment.duration || 0), 0);
+    const { groups, others } = groupByConversation(segments, conversations);
+    const stats = dailyStats[0];
+
+    let markdown = `# ${title}\n\n`;
+    markdown += `**Generated:** ${new Date().toLocaleString()}\n`;
+    markdown += `**Segments:** ${segments.length} · **Talk Time:** ${formatDuration(talkSeconds)} · **Conversations:** ${groups.length}`
+        + ` · **Capture Sessions:** ${sessions.length}\n`;
+    if (stats) {
+        const failed = stats.errors ? ` (${stats.errors} failed)` : '';
+        markdown += `**Transcription Cost:** $${stats.cost.toFixed(2)} · **Requests:** ${stats.requests}${failed}\n`;
+    }
+    markdown += markdownSymbols(segments);
+    markdown += `\n---\n\n`;
+
+    const speakers = new Map();
+    segments.forEach(segment => {
+        const speaker = speakers.get(segment.speaker) || { segments: 0, seconds: 0 };
+        speaker.segments++;
+        speaker.seconds += segment.duration || 0;
+        speakers.set(segment.speaker, speaker);
+    });
+    markdown += `## Speakers\n\n| Speaker | Segments | Talk Time | Share |\n| --- | ---: | ---: | ---: |\n`;
+    [...speakers.entries()]
+        .sort((a, b) => b[1].seconds - a[1].seconds)
+        .forEach(([name, speaker]) => {
+            const share = talkSeconds > 0 ? Math.round(speaker.seconds / talkSeconds * 100) : 0;
+            markdown += `| ${name.replace(/\|/g, '\\|')} | ${speaker.segments} | ${formatDuration(speaker.seconds)} | ${share}% |\n`;
+        });
+    markdown += `\n---\n\n`;
+    markdown += markdownCalls(segments);
+
+    Object.entries(MARKET_PHASE_LABELS).forEach(([phase, label]) => {
+        const phaseGroups = groups.filter(group => archive.getMarketPhase(group.conversation.startTime) === phase);
+        const phaseOthers = others.filter(segment => archive.getMarketPhase(segment.timestamp) === phase);
+        const phaseSegments = [...phaseGroups.flatMap(group => group.segments), ...phaseOthers];
+
+        markdown += `## ${label}\n\n`;
+        if (phaseSegments.length === 0) {
+            markdown += `*Nothing recorded.*\n\n`;
+            return;
+        }
+        const phaseSeconds = phaseSegments.reduce((sum, segment) => sum + (segment.duration || 0), 0);
+        markdown += `*${plural(phaseSegments.length, 'segment')} · ${formatDuration(phaseSeconds)} of talk`
+            + ` · ${plural(phaseGroups.length, 'conversation')}*\n\n`;
+
+        phaseGroups.forEach(({ conversation, segments: members }) => {
+            markdown += `### ${formatTime(conversation.startTime)} · ${describeConversation(conversation)}\n\n`;
+            const participants = conversation.participants
+                .map(participant => `${participant.speaker} (${formatDuration(participant.seconds)})`)
+                .join(', ');
+            markdown += `**Participants:** ${participants}\n\n`;
+            if (options.includeEntities && conversation.symbols?.length > 0) {
+                markdown += `**Symbols:** ${conversation.symbols.join(', ')}\n\n`;
+            }
+            members.forEach(segment => { markdown += markdownSegment(segment, options); });
+        });
+        if (phaseOthers.length > 0) {
+            markdown += `### Other Segments\n\n`;
+            phaseOthers.forEach(segment => { markdown += markdownSegment(segment, options); });
+        }
+        markdown += `---\n\n`;
+    });
+    return markdown;
+}
+
+function renderText({ segments, options }) {
+    return segments
+        .map(segment => {
+            const confidence = options.includeConfidence ? ` (${formatConfidence(segment)})` : '';
+            return `[${formatTime(segment.timestamp)}] ${segment.speaker || 'Speaker'}${confidence}: ${segment.text}`;
+        })
+        .join('\n');
+}
+
+function renderJson({ title, segments, conversations, options }) {
+    return JSON.stringify({
+        title,
+        exportedAt: new Date().toISOString(),
+        fromDay: options.fromDay || null,
+        toDay: options.toDay || null,
+        segments: segments.map(segment => ({
+            id: segment.id,
+            sessionId: segment.sessionId || null,
+            conversationId: segment.conversationId || null,
+            timestamp: isoTime(segment.timestamp, options.timeZone),
+            duration: segment.duration,
+            speakerId: segment.speakerId || null,
+            speaker: segment.speaker,
+            text: segment.text,
+            overlapping: Boolean(segment.overlaps?.length),
+            tradeCall: segment.tradeCall || null,
+            ...(options.includeConfidence ? { confidence: segment.confidence } : {}),
+            ...(options.includeEntities ? { entities: segment.entities || null } : {}),
+        })),
+        conversations: conversations
+            .filter(conversation => segments.some(segment => segment.conversationId === conversation.id))
+            .map(conversation => ({
+                id: conversation.id,
+                type: conversation.type,
+                startTime: isoTime(conversation.startTime, options.timeZone),
+                endTime: isoTime(conversation.endTime, options.timeZone),
+                participants: conversation.participants.map(participant => participant.speaker),
+                symbols: conversation.symbols || [],
+            })),
+    }, null, 2);
+}
+
+/**
+ * The columns of the CSV and JSON Lines exports, in order. The set and order are fixed so downstream
+ * tools can rely on them; entities left out by the options are empty, not a missing column.
+ * Confidence is always filled, since a fixed column that is empty by default is no use to those tools.
+ * Lists are arrays in JSON Lines and space-separated in CSV.
+ */
+const RECORD_COLUMNS = [
+    { name: 'segment_id', value: segment => segment.id },
+    { name: 'session_id', value: segment => segment.sessionId || null },
+    { name: 'conversation_id', value: segment => segment.conversationId || null },
+    { name: 'trading_day', value: segment => segment.tradingDay || archive.getTradingDay(segment.timestamp) },
+    { name: 'start_time', value: (segment, options) => isoTime(segment.timestamp, options.timeZone) },
+    { name: 'end_time', value: (segment, options) => isoTime(segment.timestamp + Math.round((segment.duration || 0) * 1000), options.timeZone) },
+    { name: 'duration_seconds', value: segment => segment.duration ?? null },
+    { name: 'speaker_id', value: segment => segment.speakerId || null },
+    { name: 'speaker_name', value: segment => segment.speaker },
+    { name: 'text', value: segment => segment.text },
+    { name: 'confidence', value: segment => segment.confidence ?? null },
+    { name: 'overlapping', value: segment => Boolean(segment.overlaps?.length) },
+    { name: 'symbols', value: (segment, options) => entityList(segment, options, 'symbols', symbol => symbol) },
+    { name: 'prices', value: (segment, options) => entityList(segment, options, 'prices', price => price.text) },
+    { name: 'percentages', value: (segment, options) => entityList(segment, options, 'percentages', percentage => percentage.text) },
+    { name: 'times', value: (segment, options) => entityList(segment, options, 'times', time => time.text) },
+    { name: 'call_action', value: segment => segment.tradeCall?.action ?? null },
+    { name: 'call_side', value: segment => segment.tradeCall?.side ?? null },
+    { name: 'call_symbol', value: segment => segment.tradeCall?.symbol ?? null },
+    { name: 'call_price', value: segment => segment.tradeCall?.price ?? null },
+    { name: 'call_stop', value: segment => segment.tradeCall?.stop ?? null },
+    { name: 'call_target', value: segment => segment.tradeCall?.target ?? null },
+];
+
+function entityList(segment, options, kind, text) {
+    return options.includeEntities ? (segment.entities?.[kind] || []).map(text) : [];
+}
+
+function toRecord(segment, options) {
+    return Object.fromEntries(RECORD_COLUMNS.map(column => [column.name, column.value(segment, options)]));
+}
+
+function renderCsv({ segments, options }) {
+    const rows = segments.map(segment => RECORD_COLUMNS.map(column => {
+        const value = column.value(segment, options);
+        return Array.isArray(value) ? value.join(' ') : value;
+    }));
+    return [RECORD_COLUMNS.map(column => column.name), ...rows]
+        .map(row => row.map(csvField).join(','))
+        .join('\r\n') + '\r\n';
+}
+
+function renderJsonLines({ segments, options }) {
+    return segments.map(segment => JSON.stringify(toRecord(segment, options))).join('\n') + '\n';
+}
+
+function renderHtml({ title, segments, conversations, options }) {
+    return formatHtmlReport({ title, segments, ...groupByConversation(segments, conversations), options });
+}
+
+function renderSubtitles(format) {
+    return ({ title, segments, sessions, options }) => {
+        // Relative times count from the start of the first capture session the segments came from
+        const starts = sessions
+            .filter(session => segments.some(segment => segment.sessionId === session.id))
+            .map(session => session.startedAt);
+        return formatSubtitles(segments, {
+            format,
+            timing: options.timing,
+            cues: options.cues,
+            sessionStart: starts.length > 0 ? Math.min(...starts) : undefined,
+            title,
+        });
+    };
+}
+
+const FORMATS = {
+    markdown: { label: 'Markdown (.md)', extension: 'md', mimeType: 'text/markdown', render: renderMarkdown },
+    // Always read from the archive, one trading day at a time
+    report: { label: 'Daily report (.md)', extension: 'md', mimeType: 'text/markdown', render: renderReport, daily: true },
+    text: { label: 'Plain text (.txt)', extension: 'txt', mimeType: 'text/plain', render: renderText },
+    json: { label: 'JSON (.json)', extension: 'json', mimeType: 'application/json', render: renderJson },
+    csv: { label: 'CSV (.csv)', extension: 'csv', mimeType: 'text/csv', render: renderCsv },
+    jsonl: { label: 'JSON Lines (.jsonl)', extension: 'jsonl', mimeType: 'application/x-ndjson', render: renderJsonLines },
+    html: { label: 'HTML report (.html)', extension: 'html', mimeType: 'text/html', render: renderHtml },
+    srt: { label: 'SubRip subtitles (.srt)', extension: 'srt', mimeType: 'application/x-subrip', render: renderSubtitles('srt') },
+    vtt: { label: 'WebVTT subtitles (.vtt)', extension: 'vtt', mimeType: 'text/vtt', render: renderSubtitles('vtt') },
+};
+
+/**
+ * Looks up an export format.
+ * @param {string} formatId
+ * @returns {object|null}
+ */
+export function getExportFormat(formatId) {
+    return FORMATS[formatId] || null;
+}
+
+/**
+ * Lists the registered export formats for UI selection.
+ * @returns {Array<{id: string, label: string, extension: string, mimeType: string}>}
+ */
+export function listExportFormats() {
+    return Object.entries(FORMATS).map(([id, format]) => ({
+        id,
+        label: format.label,
+        extension: format.extension,
+        mimeType: format.mimeType,
+    }));
+}
+
+// --- Sources ---
+
+/**
+ * Lists the trading days from one day to another, inclusive.
+ * @param {string} fromDay - YYYY-MM-DD.
+ * @param {string} toDay - YYYY-MM-DD.
+ * @returns {Array<string>}
+ */
+function tradingDaysBetween(fromDay, toDay) {
+    if (!DAY_PATTERN.test(fromDay || '') || !DAY_PATTERN.test(toDay || '')) {
+        throw new Error('A trading day (YYYY-MM-DD) is required');
+    }
+    const days = [];
+    // Noon UTC keeps the calendar date stable while stepping a day at a time
+    for (let day = new Date(`${fromDay}T12:00:00Z`); day <= new Date(`${toDay}T12:00:00Z`); day.setUTCDate(day.getUTCDate() + 1)) {
+        days.push(day.toISOString().slice(0, 10));
+        if (days.length > MAX_RANGE_DAYS) {
+            throw new Error(`Export at most ${MAX_RANGE_DAYS} days at a time`);
+        }
+    }
+    if (days.length === 0) {
+        throw new Error('The last day comes before the first');
+    }
+    return days;
+}
+
+function formatDay(tradingDay) {
+    const day = new Date(`${tradingDay}T12:00:00Z`);
+    return day.toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' });
+}
+
+/**
+ * Reads archived trading days.
+ * @returns {Promise<{segments: Array<object>, conversations: Array<object>, sessions: Array<object>, dailyStats: Array<object>}>}
+ */
+async function loadArchiveDays(days) {
+    const segments = [];
+    const conversations = [];
+    const sessions = [];
+    for (const tradingDay of days) {
+        const [daySegments, dayConversations, daySessions] = await Promise.all([
+            archive.querySegments({ tradingDay }),
+            archive.queryConversations({ tradingDay }),
+            archive.listSessions({ tradingDay }),
+        ]);
+        segments.push(...daySegments);
+        conversations.push(...dayConversations);
+        sessions.push(...daySessions);
+    }
+    const dailyStats = await archive.getDailyStats({ fromDay: days[0], toDay: days[days.length - 1] });
+    return { segments, conversations, sessions, dailyStats };
+}
+
+function matchesSpeakers(segment, speakers) {
+    if (speakers.length === 0) return true;
+    const names = [segment.speaker, segment.speakerId].filter(Boolean).map(name => name.toLowerCase());
+    return speakers.some(speaker => names.includes(speaker));
+}
+
+/**
+ * Resolves the shared export options against their defaults.
+ * @param {object} [options]
+ * @returns {object}
+ */
+function resolveOptions(options = {}) {
+    const speakers = Array.isArray(options.speakers)
+        ? options.speakers
+        : String(options.speakers || '').split(',');
+    return {
+        ...options,
+        toDay: options.toDay || options.fromDay,
+        speakers: speakers.map(speaker => speaker.trim().toLowerCase()).filter(Boolean),
+        includeConfidence: Boolean(options.includeConfidence),
+        includeEntities: options.includeEntities !== false,
+        timeZone: options.timeZone === 'local' ? 'local' : 'utc',
+    };
+}
+
+/**
+ * Exports a transcript in one of the registered formats.
+ * @param {{format: string, source?: 'session'|'archive', options?: object}} request - `session` (the
+ *   default) exports the live capture; `archive` exports the trading days from `options.fromDay` to
+ *   `options.toDay` (YYYY-MM-DD, the same day by default). The shared options are `speakers` (names or
+ *   speaker IDs, an array or comma-separated), `includeConfidence` (off by default; CSV and JSON Lines
+ *   always include it) and `includeEntities` (on by default); JSON, JSON Lines and CSV times are UTC
+ *   unless `timeZone` is `local`, and the subtitle formats also take `timing` and `cues`. The daily
+ *   report always reads one archived trading day, today's unless `options.fromDay` names another.
+ * @param {{segments: Array<object>, conversations: Array<object>, sessionId: string|null}} liveSession -
+ *   The running capture, for session exports.
+ * @returns {Promise<{content: string|null, mimeType: string, extension: string, fileName: string, count: number}>}
+ *   `content` is null when nothing matched.
+ */
+export async function exportTranscript({ format, source = 'session', options } = {}, liveSession) {
+    const exportFormat = getExportFormat(format);
+    if (!exportFormat) {
+        throw new Error(`Unknown export format: ${format}`);
+    }
+    const resolved = resolveOptions(options);
+    if (exportFormat.daily) {
+        // Every session of the day, not just the one in memory
+        source = 'archive';
+        resolved.fromDay = resolved.fromDay || archive.getTradingDay(Date.now());
+        resolved.toDay = resolved.toDay || resolved.fromDay;
+        if (resolved.toDay !== resolved.fromDay) {
+            throw new Error('A daily report covers one trading day');
+        }
+    }
+
+    let data;
+    let title;
+    let label;
+    if (source === 'archive') {
+        const days = tradingDaysBetween(resolved.fromDay, resolved.toDay);
+        data = await loadArchiveDays(days);
+        const range = days.length === 1 ? formatDay(days[0]) : `${formatDay(days[0])} to ${formatDay(days[days.length - 1])}`;
+        title = `VTF Trading Room ${exportFormat.daily ? 'Daily Report' : 'Archive'} - ${range}`;
+        label = days.length === 1 ? days[0] : `${days[0]}-to-${days[days.length - 1]}`;
+        if (exportFormat.daily) label = `report-${label}`;
+    } else {
+        const session = liveSession?.sessionId ? await archive.getSession(liveSession.sessionId) : null;
+        data = {
+            segments: liveSession?.segments || [],
+            conversations: liveSession?.conversations || [],
+            sessions: session ? [session] : [],
+            dailyStats: [],
+        };
+        title = 'VTF Trading Room Transcript';
+        label = archive.getTradingDay(Date.now());
+    }
+
+    const segments = data.segments
+        .filter(segment => matchesSpeakers(segment, resolved.speakers))
+        .sort((a, b) => a.timestamp - b.timestamp);
+    const content = segments.length > 0
+        ? exportFormat.render({ ...data, title, segments, options: resolved })
+        : null;
+
+    return {
+        content,
+        mimeType: exportFormat.mimeType,
+        extension: exportFormat.extension,
+        fileName: `vtf-trading-room-${label}.${exportFormat.extension}`,
+        count: segments.length,
+    };
+}
@@ -0,0 +1,180 @@
+/**
+ * @file html-report.js
+ * @path src/html-report.js
+ * @description The HTML transcript report: one file with its styles inline and no scripts or external
+ * assets, so it opens anywhere and passes a strict Content Security Policy. A table of contents
+ * indexed by time and a symbol index link into the transcript; each speaker keeps one color;
+ * conversations collapse with plain <details> elements; print styles make it save cleanly as PDF.
+ * @modified 2026-10-19
+ * @requires entities.js
+ * @requires trade-calls.js
+ * @requires overlap.js
+ * @requires conversations.js
+ */
+
+import { countSymbolMentions } from './entities.js';
+import { formatTradeCall, queryTradeCalls } from './trade-calls.js';
+import { overlapNote } from './overlap.js';
+import { describeConversation } from './conversations.js';
+
+// Readable on white and distinct in grayscale print; speakers past the tenth reuse them in order
+const SPEAKER_COLORS = [
+    '#1f6feb', '#c2410c', '#15803d', '#9333ea', '#be123c',
+    '#0e7490', '#a16207', '#4338ca', '#b91c1c', '#047857',
+];
+
+const STYLES = `
+body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; max-width: 860px; margin: 2em auto; padding: 0 1em; color: #222; line-height: 1.5; }
+h1 { margin-bottom: 0.2em; }
+a { color: inherit; }
+.meta, time { color: #666; font-size: 0.9em; }
+nav, .calls, .symbols-index { border: 1px solid #ddd; border-radius: 6px; padding: 0.5em 1em; margin: 1em 0; }
+nav ol, .calls ul, .symbols-index ul { margin: 0.3em 0; padding-left: 1.4em; }
+.legend span { display: inline-block; margin-right: 1em; font-weight: 600; }
+details { border-top: 1px solid #ddd; padding: 0.4em 0; }
+summary { cursor: pointer; font-weight: 600; }
+summary .meta { font-weight: normal; }
+.segment { border-left: 4px solid #999; padding: 0.2em 0 0.2em 0.8em; margin: 0.6em 0; }
+.speaker { font-weight: 600; }
+.entities { color: #555; font-size: 0.85em; }
+.symbol { background: #eef2ff; border-radius: 3px; padding: 0 0.2em; }
+@media print {
+  body { max-width: none; margin: 0; font-size: 11pt; }
+  nav, .symbols-index { break-after: page; }
+  details { break-inside: auto; }
+  summary { list-style: none; }
+  summary::-webkit-details-marker { display: none; }
+  .segment { break-inside: avoid; }
+  a { text-decoration: none; }
+}
+`;
+
+function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function formatTime(timestamp) {
+    return new Date(timestamp).toLocaleTimeString();
+}
+
+function segmentAnchor(segment) {
+    return `segment-${escapeHtml(segment.id)}`;
+}
+
+/**
+ * Assigns each speaker a color class in order of first appearance.
+ * @returns {Map<string, number>} Speaker name -> palette index.
+ */
+function assignSpeakerColors(segments) {
+    const colors = new Map();
+    segments.forEach(segment => {
+        if (!colors.has(segment.speaker)) colors.set(segment.speaker, colors.size % SPEAKER_COLORS.length);
+    });
+    return colors;
+}
+
+function renderEntities(entities) {
+    if (!entities) return '';
+    const parts = [];
+    if (entities.symbols?.length) parts.push(`Symbols: ${entities.symbols.map(symbol => `<span class="symbol">${escapeHtml(symbol)}</span>`).join(' ')}`);
+    if (entities.prices?.length) parts.push(`Levels: ${escapeHtml(entities.prices.map(p => p.text).join(', '))}`);
+    if (entities.percentages?.length) parts.push(`Moves: ${escapeHtml(entities.percentages.map(p => p.text).join(', '))}`);
+    if (entities.times?.length) parts.push(`Times: ${escapeHtml(entities.times.map(t => t.text).join(', '))}`);
+    return parts.length > 0 ? `<div class="entities">${parts.join(' · ')}</div>` : '';
+}
+
+function renderSegment(segment, colors, options) {
+    const confidence = options.includeConfidence ? ` · ${Math.round((segment.confidence || 0) * 100)}%` : '';
+    return `<div class="segment speaker-${colors.get(segment.speaker)}" id="${segmentAnchor(segment)}">`
+        + `<span class="speaker">${escapeHtml(segment.speaker)}</span> `
+        + `<time>${escapeHtml(formatTime(segment.timestamp) + overlapNote(segment) + confidence)}</time>`
+        + `<div>${escapeHtml(segment.text)}</div>`
+        + (options.includeEntities ? renderEntities(segment.entities) : '')
+        + `</div>`;
+}
+
+/**
+ * Renders segments as a self-contained HTML report.
+ * @param {{title: string, segments: Array<object>, groups: Array<{conversation: object, segments: Array<object>}>, others: Array<object>, options: {includeConfidence: boolean, includeEntities: boolean}}} report -
+ *   The segments in time order, grouped under their conversations; `others` belong to none.
+ * @returns {string} The HTML document.
+ */
+export function formatHtmlReport({ title, segments, groups, others, options }) {
+    const colors = assignSpeakerColors(segments);
+    const speakerStyles = [...new Set(colors.values())]
+        .map(index => `.speaker-${index} { border-left-color: ${SPEAKER_COLORS[index]}; }\n.speaker-${index} .speaker, .legend .speaker-${index} { color: ${SPEAKER_COLORS[index]}; }`)
+        .join('\n');
+    const legend = [...colors.entries()]
+        .map(([speaker, index]) => `<span class="speaker-${index}">${escapeHtml(speaker)}</span>`)
+        .join('');
+
+    const sections = groups.map(({ conversation, segments: members }, index) => ({
+        anchor: `conversation-${index + 1}`,
+        time: conversation.startTime,
+        heading: `Conversation ${index + 1}`,
+        description: describeConversation(conversation),
+        segments: members,
+    }));
+    if (others.length > 0) {
+        sections.push({ anchor: 'other-segments', time: others[0].timestamp, heading: 'Other Segments', description: others.length === 1 ? '1 segment' : `${others.length} segments`, segments: others });
+    }
+
+    const contents = sections
+        .map(section => `<li><a href="#${section.anchor}"><time>${escapeHtml(formatTime(section.time))}</time> ${escapeHtml(section.heading)}</a> <span class="meta">${escapeHtml(section.description)}</span></li>`)
+        .join('\n');
+
+    const calls = queryTradeCalls(segments);
+    const callList = calls.length > 0
+        ? `<section class="calls"><h2>Calls</h2><ul>${calls.map(call => {
+            const segment = segments.find(candidate => candidate.tradeCall === call);
+            return `<li><a href="#${segmentAnchor(segment)}"><time>${escapeHtml(formatTime(call.time))}</time></a> ${escapeHtml(call.speaker)}: ${escapeHtml(formatTradeCall(call))}</li>`;
+        }).join('\n')}</ul></section>`
+        : '';
+
+    // Every mention links back to its segment
+    const mentions = countSymbolMentions(segments);
+    const symbolIndex = mentions.length > 0
+        ? `<section class="symbols-index"><h2>Symbols</h2><ul>${mentions.map(({ symbol, count }) => {
+            const links = segments
+                .filter(segment => segment.entities?.symbols?.includes(symbol))
+                .map(segment => `<a href="#${segmentAnchor(segment)}">${escapeHtml(formatTime(segment.timestamp))}</a>`)
+                .join(', ');
+            return `<li id="symbol-${escapeHtml(symbol)}"><span class="symbol">${escapeHtml(symbol)}</span> (${count}): ${links}</li>`;
+        }).join('\n')}</ul></section>`
+        : '';
+
+    // Open by default so printing shows everything; collapse in the browser as needed
+    const body = sections.map(section => `<details open id="${section.anchor}">
+<summary>${escapeHtml(section.heading)} · <time>${escapeHtml(formatTime(section.time))}</time> <span class="meta">${escapeHtml(section.description)}</span></summary>
+${section.segments.map(segment => renderSegment(segment, colors, options)).join('\n')}
+</details>`).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${STYLES}${speakerStyles}
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p class="meta">${segments.length} segments · exported ${escapeHtml(new Date().toLocaleString())}</p>
+<p class="legend">${legend}</p>
+<nav><h2>Contents</h2><ol>
+${contents}
+</ol></nav>
+${symbolIndex}
+${callList}
+<main>
+${body}
+</main>
+</body>
+</html>
+`;
+}
@@ -1,8 +1,9 @@
 /**
  * @file inject.js
  * @path src/inject.js
- * @description Direct audio stream capture from VTF platform with enhanced Voice Activity Detection
- * @modified 2025-06-18
+ * @description Direct audio stream capture from VTF platform with enhanced Voice Activity Detection,
+ * tagging each stream with the participant the VTF roster shows for it
+ * @modified 2026-10-19
  */
 
 // QA FIXES IMPLEMENTED:
@@ -23,6 +24,14 @@
   let producerChannels = new Map(); // Map producer IDs to channel info
   let cleanupTimeouts = new Map(); // Debounced cleanup for stream switches
   
+  // Roster names can change mid-session (late joins, renames), so lookups are repeated
+  const PARTICIPANT_REFRESH_MS = 10000;
+  const MAX_ROSTER_TEXT_LENGTH = 60;
+  const TILE_SELECTOR = '[data-producer-id], [data-user-id], [class*="participant" i], [class*="tile" i], [class*="user" i]';
+  const NAME_SELECTOR = '[data-display-name], [class*="display-name" i], [class*="displayname" i], [class*="user-name" i], [class*="username" i], [class*="name" i]';
+  const AVATAR_SELECTOR = '[class*="avatar" i], [class*="initials" i]';
+  const ROLE_SELECTOR = '[data-role], [class*="role" i], [class*="badge" i]';
+  
   // Proper cleanup on page unload
   window.addEventListener('beforeunload', () => {
     console.log('[VTF Inject] Page unloading, cleaning up audio resources');
@@ -168,6 +177,67 @@
     }
   }
 
+  // --- Roster Lookup ---
+  
+  function rosterText(element) {
+    if (!element) return null;
+    const text = element.getAttribute('data-display-name') || element.getAttribute('title')
+      || element.getAttribute('alt') || element.textContent || '';
+    return text.replace(/\s+/g, ' ').trim().slice(0, MAX_ROSTER_TEXT_LENGTH) || null;
+  }
+  
+  /**
+   * Finds the roster tile for a producer: the tile around its audio element, or any element
+   * that carries its ID. A container holding several audio elements is the whole roster, not a tile.
+   */
+  function findParticipantTile(audioElement, producerId) {
+    const userId = producerId.split('-')[0];
+    const isSingleTile = (element) => element && element !== document.body
+      && element.querySelectorAll('audio[id^="msRemAudio-"]').length <= 1;
+    
+    const ancestor = audioElement.parentElement && audioElement.parentElement.closest(TILE_SELECTOR);
+    if (isSingleTile(ancestor)) return ancestor;
+    
+    for (const id of [producerId, userId]) {
+      const escaped = CSS.escape(id);
+      const element = document.querySelector(
+        `[data-producer-id="${escaped}"], [data-user-id="${escaped}"], [data-id="${escaped}"], [id*="${escaped}"]:not(audio)`
+      );
+      // The match may be a video or label inside the tile rather than the tile itself
+      const tile = element && element.closest(TILE_SELECTOR);
+      if (isSingleTile(tile)) return tile;
+      if (isSingleTile(element)) return element;
+    }
+    return null;
+  }
+  
+  /**
+   * Reads what the room shows for a producer: display name, avatar label and role.
+   * @returns {{displayName: string, avatarLabel: string|null, role: string|null}|null}
+   */
+  function lookupParticipant(audioElement, producerId) {
+    try {
+      const tile = findParticipantTile(audioElement, producerId);
+      if (!tile) return null;
+      
+      const avatar = tile.querySelector(AVATAR_SELECTOR);
+      const nameElement = Array.from(tile.querySelectorAll(NAME_SELECTOR))
+        .find(element => !element.matches(AVATAR_SELECTOR) && rosterText(element));
+      const displayName = tile.getAttribute('data-display-name') || rosterText(nameElement)
+        || rosterText(tile.querySelector('img[alt]'));
+      if (!displayName) return null;
+      
+      return {
+        displayName: displayName,
+        avatarLabel: rosterText(avatar),
+        role: tile.getAttribute('data-role') || rosterText(tile.querySelector(ROLE_SELECTOR))
+      };
+    } catch (error) {
+      console.warn(`[VTF Inject] Roster lookup failed for ${producerId}:`, error);
+      return null;
+    }
+  }
+  
   // Simplified capture function using element ID as primary key
   async function captureAudioElement(audioElement) {
     const elementId = audioElement.id;
@@ -226,8 +296,13 @@
         trackId: trackId,
         trackLabel: audioTrack.label || `Producer ${producerId.substring(0, 8)}`,
         mediaStreamId: mediaStream.id,
-        startTime: Date.now()
+        startTime: Date.now(),
+        participant: lookupParticipant(audioElement, producerId),
+        participantCheckedAt: Date.now()
       };
+      if (channelInfo.participant) {
+        console.log(`[VTF Inject] Roster shows ${producerId} as "${channelInfo.participant.displayName}"`);
+      }
       
       // Store producer channel mapping
       producerChannels.set(producerId, channelInfo);
@@ -266,6 +341,11 @@
             
           // Assess audio quality before sending
           const qualityMetrics = assessAudioQuality(audioData);
+          
+          if (Date.now() - channelInfo.participantCheckedAt > PARTICIPANT_REFRESH_MS) {
+            channelInfo.participant = lookupParticipant(audioElement, producerId) || channelInfo.participant;
+            channelInfo.participantCheckedAt = Date.now();
+          }
 
           window.postMessage({
             type: 'VTF_AUDIO_DATA',
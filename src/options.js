@@ -2,7 +2,7 @@
  * @file options.js
  * @path src/options.js
  * @description Configuration management for API keys, session backup/restore, and extension settings
- * @modified 2025-06-18
+ * @modified 2026-10-19
  */
 
 // options.js - Fixed for your original HTML
@@ -22,6 +22,73 @@ document.addEventListener('DOMContentLoaded', () => {
   const currentSpeakers = document.getElementById('currentSpeakers');
   const sessionDuration = document.getElementById('sessionDuration');
   
+  // Transcription provider elements
+  const providerSelect = document.getElementById('providerSelect');
+  const providerBaseUrlGroup = document.getElementById('providerBaseUrlGroup');
+  const providerBaseUrl = document.getElementById('providerBaseUrl');
+  const providerServerKeyGroup = document.getElementById('providerServerKeyGroup');
+  const providerServerKey = document.getElementById('providerServerKey');
+  const providerModel = document.getElementById('providerModel');
+  const uploadFormat = document.getElementById('uploadFormat');
+  const diarization = document.getElementById('diarization');
+  const saveProviderBtn = document.getElementById('saveProvider');
+  const providerStatus = document.getElementById('providerStatus');
+  let providers = [];
+  
+  // Glossary elements
+  const glossaryTickers = document.getElementById('glossaryTickers');
+  const glossaryTerms = document.getElementById('glossaryTerms');
+  const glossaryContextChars = document.getElementById('glossaryContextChars');
+  const saveGlossaryBtn = document.getElementById('saveGlossary');
+  const glossaryStatus = document.getElementById('glossaryStatus');
+  
+  // Correction rule elements
+  const correctionReplacements = document.getElementById('correctionReplacements');
+  const correctionSpokenPrices = document.getElementById('correctionSpokenPrices');
+  const correctionNormalizeTickers = document.getElementById('correctionNormalizeTickers');
+  const saveCorrectionsBtn = document.getElementById('saveCorrections');
+  const exportCorrectionsBtn = document.getElementById('exportCorrections');
+  const importCorrectionsBtn = document.getElementById('importCorrections');
+  const correctionFileInput = document.getElementById('correctionFileInput');
+  const correctionStatus = document.getElementById('correctionStatus');
+  
+  // Speaker elements
+  const speakerList = document.getElementById('speakerList');
+  const speakerStatus = document.getElementById('speakerStatus');
+  
+  // Watchlist elements
+  const watchSymbols = document.getElementById('watchSymbols');
+  const watchPhrases = document.getElementById('watchPhrases');
+  const watchSpeakers = document.getElementById('watchSpeakers');
+  const watchCooldown = document.getElementById('watchCooldown');
+  const watchSound = document.getElementById('watchSound');
+  const saveWatchlistBtn = document.getElementById('saveWatchlist');
+  const watchlistStatus = document.getElementById('watchlistStatus');
+  const alertSearch = document.getElementById('alertSearch');
+  const clearAlertsBtn = document.getElementById('clearAlerts');
+  const alertHistory = document.getElementById('alertHistory');
+  
+  // Archive elements
+  const archiveStats = document.getElementById('archiveStats');
+  const archiveRetention = document.getElementById('archiveRetention');
+  const archiveAudio = document.getElementById('archiveAudio');
+  const audioDailyCap = document.getElementById('audioDailyCap');
+  const audioRetention = document.getElementById('audioRetention');
+  const retranscribeHours = document.getElementById('retranscribeHours');
+  const saveArchiveBtn = document.getElementById('saveArchive');
+  const exportFromDay = document.getElementById('exportFromDay');
+  const exportToDay = document.getElementById('exportToDay');
+  const exportFormat = document.getElementById('exportFormat');
+  const exportSpeakers = document.getElementById('exportSpeakers');
+  const exportConfidence = document.getElementById('exportConfidence');
+  const exportEntities = document.getElementById('exportEntities');
+  const exportTimeZone = document.getElementById('exportTimeZone');
+  const subtitleOptions = document.getElementById('subtitleOptions');
+  const subtitleTiming = document.getElementById('subtitleTiming');
+  const subtitleCues = document.getElementById('subtitleCues');
+  const exportArchiveBtn = document.getElementById('exportArchive');
+  const archiveStatus = document.getElementById('archiveStatus');
+  
   console.log('[Options] DOM loaded, elements found:', {
     apiKeyInput: !!apiKeyInput,
     saveBtn: !!saveBtn,
@@ -43,6 +110,26 @@ document.addEventListener('DOMContentLoaded', () => {
   // Load session statistics
   updateSessionStats();
   
+  // Load transcription provider settings
+  loadProviderSettings();
+  
+  // Load glossary
+  loadGlossary();
+  
+  // Load correction rules
+  loadCorrectionRules();
+  
+  // Load speaker registry
+  loadSpeakers();
+  
+  // Load watchlist and alert history
+  loadWatchlist();
+  loadAlertHistory();
+  
+  // Load archive settings and statistics
+  loadArchiveSettings();
+  loadExportFormats();
+  
   // Save settings
   if (saveBtn) {
     saveBtn.addEventListener('click', () => {
@@ -145,6 +232,624 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   }
   
+  // Transcription Provider Functions
+  function loadProviderSettings() {
+    chrome.runtime.sendMessage({type: 'getTranscriptionSettings'}, (response) => {
+      if (chrome.runtime.lastError || !response || !response.settings) {
+        console.warn('[Options] Could not load transcription settings:', chrome.runtime.lastError);
+        return;
+      }
+      
+      providers = response.providers || [];
+      providerSelect.innerHTML = '';
+      providers.forEach(provider => {
+        const option = document.createElement('option');
+        option.value = provider.id;
+        option.textContent = provider.label;
+        providerSelect.appendChild(option);
+      });
+      
+      providerSelect.value = response.settings.provider;
+      providerBaseUrl.value = response.settings.baseUrl || '';
+      providerServerKey.value = response.settings.serverApiKey || '';
+      providerModel.value = response.settings.model || '';
+      uploadFormat.value = response.settings.uploadFormat || 'flac';
+      diarization.checked = !!response.settings.diarization;
+      updateProviderFields();
+    });
+  }
+  
+  function updateProviderFields() {
+    const provider = providers.find(p => p.id === providerSelect.value);
+    if (!provider) return;
+    
+    providerBaseUrlGroup.classList.toggle('vtf-hidden', !provider.requiresBaseUrl);
+    providerServerKeyGroup.classList.toggle('vtf-hidden', !provider.acceptsServerApiKey);
+    providerModel.placeholder = provider.defaultModel || 'Server default';
+  }
+  
+  if (providerSelect) {
+    providerSelect.addEventListener('change', updateProviderFields);
+  }
+  
+  if (saveProviderBtn) {
+    saveProviderBtn.addEventListener('click', () => {
+      const provider = providers.find(p => p.id === providerSelect.value);
+      if (!provider) {
+        showProviderStatus('Unknown provider', 'error');
+        return;
+      }
+      
+      const settings = {
+        provider: provider.id,
+        baseUrl: providerBaseUrl.value.trim(),
+        serverApiKey: provider.acceptsServerApiKey ? providerServerKey.value.trim() : '',
+        model: providerModel.value.trim(),
+        uploadFormat: uploadFormat.value,
+        diarization: diarization.checked
+      };
+      
+      if (!provider.requiresBaseUrl) {
+        saveProviderSettings(settings);
+        return;
+      }
+      
+      let origin;
+      try {
+        origin = new URL(settings.baseUrl).origin;
+      } catch (error) {
+        showProviderStatus('Please enter a valid server URL (e.g. http://10.0.0.5:8000)', 'error');
+        return;
+      }
+      
+      // Self-hosted servers need a host permission granted at runtime; this
+      // must be requested directly from the click handler (user gesture).
+      chrome.permissions.request({ origins: [`${origin}/*`] }, (granted) => {
+        if (!granted) {
+          showProviderStatus(`Permission to reach ${origin} was denied`, 'error');
+          return;
+        }
+        saveProviderSettings(settings);
+      });
+    });
+  }
+  
+  function saveProviderSettings(settings) {
+    chrome.runtime.sendMessage({type: 'setTranscriptionSettings', settings: settings}, (response) => {
+      if (chrome.runtime.lastError || !response || response.status !== 'updated') {
+        const reason = chrome.runtime.lastError ? chrome.runtime.lastError.message : response?.message;
+        showProviderStatus('Failed to save provider: ' + (reason || 'unknown error'), 'error');
+        return;
+      }
+      showProviderStatus('Transcription provider saved', 'success');
+    });
+  }
+  
+  function showProviderStatus(message, type) {
+    showSectionStatus(providerStatus, message, type);
+  }
+  
+  function showSectionStatus(element, message, type) {
+    console.log(`[Options] ${element.id}:`, type, message);
+    
+    element.textContent = message;
+    element.className = 'vtf-message vtf-message-' + type;
+    element.classList.remove('vtf-hidden');
+    
+    setTimeout(() => {
+      element.classList.add('vtf-hidden');
+    }, 4000);
+  }
+  
+  // Glossary Functions
+  function loadGlossary() {
+    chrome.runtime.sendMessage({type: 'getGlossary'}, (response) => {
+      if (chrome.runtime.lastError || !response || !response.glossary) {
+        console.warn('[Options] Could not load glossary:', chrome.runtime.lastError);
+        return;
+      }
+      
+      glossaryTickers.value = response.glossary.tickers.join(', ');
+      glossaryTerms.value = response.glossary.terms.join('\n');
+      glossaryContextChars.value = response.glossary.contextChars;
+    });
+  }
+  
+  if (saveGlossaryBtn) {
+    saveGlossaryBtn.addEventListener('click', () => {
+      const glossary = {
+        tickers: glossaryTickers.value.split(/[\s,]+/),
+        terms: glossaryTerms.value.split('\n'),
+        contextChars: glossaryContextChars.value
+      };
+      
+      chrome.runtime.sendMessage({type: 'setGlossary', glossary: glossary}, (response) => {
+        if (chrome.runtime.lastError || !response || response.status !== 'updated') {
+          const reason = chrome.runtime.lastError ? chrome.runtime.lastError.message : response?.message;
+          showSectionStatus(glossaryStatus, 'Failed to save glossary: ' + (reason || 'unknown error'), 'error');
+          return;
+        }
+        
+        // Show the normalized lists back to the user
+        glossaryTickers.value = response.glossary.tickers.join(', ');
+        glossaryTerms.value = response.glossary.terms.join('\n');
+        showSectionStatus(glossaryStatus, `Glossary saved (${response.glossary.tickers.length} tickers, ${response.glossary.terms.length} terms)`, 'success');
+      });
+    });
+  }
+  
+  // Correction Rule Functions
+  function renderCorrectionRules(rules) {
+    correctionReplacements.value = rules.replacements.map(rule => `${rule.from} => ${rule.to}`).join('\n');
+    correctionSpokenPrices.checked = rules.spokenPrices;
+    correctionNormalizeTickers.checked = rules.normalizeTickers;
+  }
+  
+  function readCorrectionRules() {
+    const replacements = correctionReplacements.value.split('\n')
+      .map(line => line.split('=>'))
+      .filter(parts => parts.length === 2 && parts[0].trim())
+      .map(([from, to]) => ({ from: from.trim(), to: to.trim() }));
+    
+    return {
+      replacements,
+      spokenPrices: correctionSpokenPrices.checked,
+      normalizeTickers: correctionNormalizeTickers.checked
+    };
+  }
+  
+  function loadCorrectionRules() {
+    chrome.runtime.sendMessage({type: 'getCorrectionRules'}, (response) => {
+      if (chrome.runtime.lastError || !response || !response.rules) {
+        console.warn('[Options] Could not load correction rules:', chrome.runtime.lastError);
+        return;
+      }
+      renderCorrectionRules(response.rules);
+    });
+  }
+  
+  function saveCorrectionRules(rules, successMessage) {
+    chrome.runtime.sendMessage({type: 'setCorrectionRules', rules: rules}, (response) => {
+      if (chrome.runtime.lastError || !response || response.status !== 'updated') {
+        const reason = chrome.runtime.lastError ? chrome.runtime.lastError.message : response?.message;
+        showSectionStatus(correctionStatus, 'Failed to save corrections: ' + (reason || 'unknown error'), 'error');
+        return;
+      }
+      
+      renderCorrectionRules(response.rules);
+      showSectionStatus(correctionStatus, successMessage(response.rules), 'success');
+    });
+  }
+  
+  if (saveCorrectionsBtn) {
+    saveCorrectionsBtn.addEventListener('click', () => {
+      saveCorrectionRules(readCorrectionRules(), rules => `Corrections saved (${rules.replacements.length} replacements)`);
+    });
+  }
+  
+  if (exportCorrectionsBtn) {
+    exportCorrectionsBtn.addEventListener('click', () => {
+      chrome.runtime.sendMessage({type: 'getCorrectionRules'}, (response) => {
+        if (chrome.runtime.lastError || !response || !response.rules) {
+          showSectionStatus(correctionStatus, 'Failed to export corrections', 'error');
+          return;
+        }
+        
+        const blob = new Blob([JSON.stringify(response.rules, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = 'vtf-correction-rules.json';
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+      });
+    });
+  }
+  
+  if (importCorrectionsBtn) {
+    importCorrectionsBtn.addEventListener('click', () => {
+      correctionFileInput.click();
+    });
+  }
+  
+  if (correctionFileInput) {
+    correctionFileInput.addEventListener('change', (event) => {
+      const file = event.target.files[0];
+      if (!file) return;
+      
+      const reader = new FileReader();
+      reader.onload = (e) => {
+        try {
+          // The background validates the structure before anything is stored
+          const rules = JSON.parse(e.target.result);
+          saveCorrectionRules(rules, saved => `Imported ${saved.replacements.length} replacements from ${file.name}`);
+        } catch (error) {
+          showSectionStatus(correctionStatus, 'Error reading rules file: ' + error.message, 'error');
+        }
+      };
+      reader.readAsText(file);
+      
+      // Clear the input for next use
+      event.target.value = '';
+    });
+  }
+  
+  // Speaker Functions
+  function loadSpeakers() {
+    chrome.runtime.sendMessage({type: 'getSpeakers'}, (response) => {
+      if (chrome.runtime.lastError || !response || !response.speakers) {
+        console.warn('[Options] Could not load speakers:', chrome.runtime.lastError);
+        return;
+      }
+      renderSpeakers(response.speakers);
+    });
+  }
+  
+  function renderSpeakers(speakers) {
+    speakerList.replaceChildren();
+    
+    if (speakers.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'vtf-result-item vtf-text-muted';
+      empty.textContent = 'No speakers yet. They appear here once the room has been transcribed.';
+      speakerList.appendChild(empty);
+      return;
+    }
+    
+    speakers.forEach(speaker => {
+      const item = document.createElement('div');
+      item.className = 'vtf-result-item';
+      
+      const meta = document.createElement('div');
+      meta.className = 'vtf-result-meta';
+      const merged = speaker.mergedIds.length > 0 ? ` · also ${speaker.mergedIds.join(', ')}` : '';
+      const roster = speaker.roster
+        ? ` · room shows "${speaker.roster.displayName}"${speaker.roster.role ? ` (${speaker.roster.role})` : ''}`
+        : '';
+      meta.textContent = `ID ${speaker.id} · ${speaker.segments} segments this session${roster}${merged}`;
+      
+      const controls = document.createElement('div');
+      controls.className = 'vtf-grid vtf-grid-4';
+      
+      const nameInput = document.createElement('input');
+      nameInput.type = 'text';
+      nameInput.className = 'vtf-input';
+      nameInput.value = speaker.named ? speaker.name : '';
+      nameInput.placeholder = speaker.name;
+      
+      const renameBtn = document.createElement('button');
+      renameBtn.type = 'button';
+      renameBtn.className = 'vtf-btn vtf-btn-primary';
+      renameBtn.textContent = 'Rename';
+      renameBtn.addEventListener('click', () => {
+        updateSpeakers({type: 'renameSpeaker', speakerId: speaker.id, name: nameInput.value},
+          nameInput.value.trim() ? `Renamed to ${nameInput.value.trim()}` : 'Name reset');
+      });
+      
+      const mergeSelect = document.createElement('select');
+      mergeSelect.className = 'vtf-input';
+      const placeholder = document.createElement('option');
+      placeholder.value = '';
+      placeholder.textContent = 'Same person as…';
+      mergeSelect.appendChild(placeholder);
+      speakers.filter(other => other.id !== speaker.id).forEach(other => {
+        const option = document.createElement('option');
+        option.value = other.id;
+        option.textContent = other.name;
+        mergeSelect.appendChild(option);
+      });
+      
+      const mergeBtn = document.createElement('button');
+      mergeBtn.type = 'button';
+      mergeBtn.className = 'vtf-btn vtf-btn-secondary';
+      mergeBtn.textContent = 'Merge';
+      mergeBtn.addEventListener('click', () => {
+        if (!mergeSelect.value) return;
+        const target = mergeSelect.options[mergeSelect.selectedIndex].textContent;
+        if (!confirm(`Merge ${speaker.name} into ${target}? Their segments will be labelled ${target}.`)) return;
+        updateSpeakers({type: 'mergeSpeakers', fromId: speaker.id, intoId: mergeSelect.value}, `Merged ${speaker.name} into ${target}`);
+      });
+      
+      controls.appendChild(nameInput);
+      controls.appendChild(renameBtn);
+      controls.appendChild(mergeSelect);
+      controls.appendChild(mergeBtn);
+      item.appendChild(meta);
+      item.appendChild(controls);
+      if (speaker.voiceMatch) {
+        item.appendChild(createVoiceMatchRow(speaker));
+      }
+      speakerList.appendChild(item);
+    });
+  }
+  
+  function createVoiceMatchRow(speaker) {
+    const { profileId, name, confidence } = speaker.voiceMatch;
+    const row = document.createElement('div');
+    row.className = 'vtf-grid vtf-grid-3 vtf-mt-2';
+    
+    const label = document.createElement('div');
+    label.className = 'vtf-result-meta';
+    label.textContent = `Voice sounds like ${name} (${Math.round(confidence * 100)}% match)`;
+    
+    const confirmBtn = document.createElement('button');
+    confirmBtn.type = 'button';
+    confirmBtn.className = 'vtf-btn vtf-btn-primary';
+    confirmBtn.textContent = 'Same person';
+    confirmBtn.addEventListener('click', () => {
+      updateSpeakers({type: 'confirmVoiceMatch', speakerId: speaker.id, profileId}, `Merged ${speaker.name} into ${name}`);
+    });
+    
+    const rejectBtn = document.createElement('button');
+    rejectBtn.type = 'button';
+    rejectBtn.className = 'vtf-btn vtf-btn-secondary';
+    rejectBtn.textContent = 'Different person';
+    rejectBtn.addEventListener('click', () => {
+      updateSpeakers({type: 'rejectVoiceMatch', speakerId: speaker.id, profileId}, `Kept ${speaker.name} apart from ${name}`);
+    });
+    
+    row.appendChild(label);
+    row.appendChild(confirmBtn);
+    row.appendChild(rejectBtn);
+    return row;
+  }
+  
+  function updateSpeakers(message, successMessage) {
+    chrome.runtime.sendMessage(message, (response) => {
+      if (chrome.runtime.lastError || !response || response.status !== 'updated') {
+        const reason = chrome.runtime.lastError ? chrome.runtime.lastError.message : response?.message;
+        showSectionStatus(speakerStatus, 'Failed to update speakers: ' + (reason || 'unknown error'), 'error');
+        return;
+      }
+      
+      renderSpeakers(response.speakers);
+      const relabeled = response.relabeled > 0 ? ` (${response.relabeled} segments relabeled)` : '';
+      showSectionStatus(speakerStatus, successMessage + relabeled, 'success');
+      updateSessionStats();
+    });
+  }
+  
+  // Watchlist Functions
+  function renderWatchlist(watchlist) {
+    watchSymbols.value = watchlist.symbols.join(', ');
+    watchPhrases.value = watchlist.phrases.join('\n');
+    watchSpeakers.value = watchlist.speakers.join('\n');
+    watchCooldown.value = watchlist.cooldownSeconds;
+    watchSound.checked = watchlist.sound;
+  }
+  
+  function loadWatchlist() {
+    chrome.runtime.sendMessage({type: 'getWatchlist'}, (response) => {
+      if (chrome.runtime.lastError || !response || !response.watchlist) {
+        console.warn('[Options] Could not load watchlist:', chrome.runtime.lastError);
+        return;
+      }
+      renderWatchlist(response.watchlist);
+    });
+  }
+  
+  if (saveWatchlistBtn) {
+    saveWatchlistBtn.addEventListener('click', () => {
+      const watchlist = {
+        symbols: watchSymbols.value.split(/[\s,]+/),
+        phrases: watchPhrases.value.split('\n'),
+        speakers: watchSpeakers.value.split('\n'),
+        cooldownSeconds: watchCooldown.value,
+        sound: watchSound.checked
+      };
+      
+      chrome.runtime.sendMessage({type: 'setWatchlist', watchlist: watchlist}, (response) => {
+        if (chrome.runtime.lastError || !response || response.status !== 'updated') {
+          const reason = chrome.runtime.lastError ? chrome.runtime.lastError.message : response?.message;
+          showSectionStatus(watchlistStatus, 'Failed to save watchlist: ' + (reason || 'unknown error'), 'error');
+          return;
+        }
+        
+        renderWatchlist(response.watchlist);
+        const ruleCount = response.watchlist.symbols.length + response.watchlist.phrases.length + response.watchlist.speakers.length;
+        showSectionStatus(watchlistStatus, `Watchlist saved (${ruleCount} rules)`, 'success');
+      });
+    });
+  }
+  
+  function loadAlertHistory() {
+    chrome.runtime.sendMessage({type: 'getAlertHistory', query: alertSearch.value}, (response) => {
+      if (chrome.runtime.lastError || !response || !response.alerts) {
+        console.warn('[Options] Could not load alert history:', chrome.runtime.lastError);
+        return;
+      }
+      renderAlertHistory(response.alerts);
+    });
+  }
+  
+  function renderAlertHistory(alerts) {
+    alertHistory.replaceChildren();
+    
+    if (alerts.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'vtf-result-item vtf-text-muted';
+      empty.textContent = alertSearch.value ? 'No alerts match your search' : 'No alerts yet';
+      alertHistory.appendChild(empty);
+      return;
+    }
+    
+    alerts.forEach(alert => {
+      const item = document.createElement('div');
+      item.className = 'vtf-result-item';
+      
+      const meta = document.createElement('div');
+      meta.className = 'vtf-result-meta';
+      meta.textContent = `${new Date(alert.firedAt).toLocaleString()} · ${alert.speaker} · ${alert.kind}: ${alert.value}`;
+      
+      const snippet = document.createElement('div');
+      snippet.textContent = alert.snippet;
+      
+      item.appendChild(meta);
+      item.appendChild(snippet);
+      alertHistory.appendChild(item);
+    });
+  }
+  
+  if (alertSearch) {
+    let searchTimer = null;
+    alertSearch.addEventListener('input', () => {
+      clearTimeout(searchTimer);
+      searchTimer = setTimeout(loadAlertHistory, 250);
+    });
+  }
+  
+  if (clearAlertsBtn) {
+    clearAlertsBtn.addEventListener('click', () => {
+      if (!confirm('Clear the entire alert history?')) return;
+      chrome.runtime.sendMessage({type: 'clearAlertHistory'}, () => {
+        loadAlertHistory();
+      });
+    });
+  }
+  
+  // Archive Functions
+  function renderArchiveStats(stats) {
+    if (stats.segments === 0) {
+      archiveStats.textContent = 'The archive is empty.';
+      return;
+    }
+    const range = stats.oldestDay === stats.newestDay ? stats.oldestDay : `${stats.oldestDay} to ${stats.newestDay}`;
+    const audio = stats.audioClips ? `, ${stats.audioClips} audio clips` : '';
+    archiveStats.textContent = `${stats.segments} segments in ${stats.sessions} sessions, ${range}${audio}`;
+  }
+  
+  function renderArchiveSettings(settings) {
+    archiveRetention.value = settings.retentionDays;
+    archiveAudio.checked = settings.audioEnabled;
+    audioDailyCap.value = settings.audioDailyCapMB;
+    audioRetention.value = settings.audioRetentionDays;
+    retranscribeHours.value = settings.retranscribeHours;
+  }
+  
+  function loadArchiveSettings() {
+    chrome.runtime.sendMessage({type: 'getArchiveSettings'}, (response) => {
+      if (chrome.runtime.lastError || !response || !response.settings) {
+        console.warn('[Options] Could not load archive settings:', chrome.runtime.lastError);
+        archiveStats.textContent = 'Archive statistics unavailable';
+        return;
+      }
+      renderArchiveSettings(response.settings);
+      renderArchiveStats(response.stats);
+      if (!exportFromDay.value && response.stats.newestDay) {
+        exportFromDay.value = response.stats.newestDay;
+      }
+    });
+  }
+  
+  if (saveArchiveBtn) {
+    saveArchiveBtn.addEventListener('click', () => {
+      const settings = {
+        retentionDays: archiveRetention.value,
+        audioEnabled: archiveAudio.checked,
+        audioDailyCapMB: audioDailyCap.value,
+        audioRetentionDays: audioRetention.value,
+        retranscribeHours: retranscribeHours.value
+      };
+      chrome.runtime.sendMessage({type: 'setArchiveSettings', settings}, (response) => {
+        if (chrome.runtime.lastError || !response || response.status !== 'updated') {
+          const reason = chrome.runtime.lastError ? chrome.runtime.lastError.message : response?.message;
+          showSectionStatus(archiveStatus, 'Failed to save archive settings: ' + (reason || 'unknown error'), 'error');
+          return;
+        }
+        
+        renderArchiveSettings(response.settings);
+        renderArchiveStats(response.stats);
+        const policy = response.settings.retentionDays ? `${response.settings.retentionDays} days` : 'forever';
+        const removed = response.removed ? ` (${response.removed} old segments removed)` : '';
+        const audioPolicy = response.settings.audioEnabled
+          ? `, audio ${response.settings.audioRetentionDays ? `${response.settings.audioRetentionDays} days` : 'as long'}`
+          : (response.settings.retranscribeHours ? `, audio ${response.settings.retranscribeHours} hours for re-transcription` : '');
+        showSectionStatus(archiveStatus, `Transcripts are kept ${policy}${audioPolicy}${removed}`, 'success');
+      });
+    });
+  }
+  
+  function loadExportFormats() {
+    chrome.runtime.sendMessage({type: 'getExportFormats'}, (response) => {
+      if (chrome.runtime.lastError || !response || !response.formats) {
+        console.warn('[Options] Could not load export formats:', chrome.runtime.lastError);
+        return;
+      }
+      
+      exportFormat.innerHTML = '';
+      response.formats.forEach(format => {
+        const option = document.createElement('option');
+        option.value = format.id;
+        option.textContent = format.label;
+        exportFormat.appendChild(option);
+      });
+      updateExportFields();
+    });
+  }
+  
+  function updateExportFields() {
+    subtitleOptions.classList.toggle('vtf-hidden', !['srt', 'vtt'].includes(exportFormat.value));
+    exportTimeZone.classList.toggle('vtf-hidden', !['json', 'jsonl', 'csv'].includes(exportFormat.value));
+  }
+  
+  if (exportFormat) {
+    exportFormat.addEventListener('change', updateExportFields);
+  }
+  
+  if (exportArchiveBtn) {
+    exportArchiveBtn.addEventListener('click', () => {
+      if (!exportFromDay.value) {
+        showSectionStatus(archiveStatus, 'Pick a trading day to export', 'error');
+        return;
+      }
+      
+      const request = {
+        type: 'exportTranscript',
+        format: exportFormat.value,
+        source: 'archive',
+        options: {
+          fromDay: exportFromDay.value,
+          toDay: exportToDay.value || exportFromDay.value,
+          speakers: exportSpeakers.value,
+          includeConfidence: exportConfidence.checked,
+          includeEntities: exportEntities.checked,
+          timeZone: exportTimeZone.value,
+          timing: subtitleTiming.value,
+          cues: subtitleCues.value
+        }
+      };
+      const range = request.options.toDay === request.options.fromDay
+        ? request.options.fromDay
+        : `${request.options.fromDay} to ${request.options.toDay}`;
+      
+      chrome.runtime.sendMessage(request, (response) => {
+        if (chrome.runtime.lastError || !response || response.status !== 'ok') {
+          const reason = chrome.runtime.lastError ? chrome.runtime.lastError.message : response?.message;
+          showSectionStatus(archiveStatus, 'Export failed: ' + (reason || 'unknown error'), 'error');
+          return;
+        }
+        if (!response.content) {
+          showSectionStatus(archiveStatus, `Nothing archived for ${range}`, 'error');
+          return;
+        }
+        
+        const blob = new Blob([response.content], { type: response.mimeType });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = response.fileName;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+        
+        showSectionStatus(archiveStatus, `Exported ${response.count} segments from ${range}`, 'success');
+      });
+    });
+  }
+  
   // Session Management Functions
   if (backupBtn) {
     backupBtn.addEventListener('click', () => {
@@ -211,6 +916,7 @@ document.addEventListener('DOMContentLoaded', () => {
             
             showSessionStatus(`Session restored successfully (${sessionData.transcriptions.length} transcripts)`, 'success');
             updateSessionStats(); // Refresh stats after restore
+            loadSpeakers(); // The backup may have brought speaker names
           });
           
         } catch (error) {
@@ -0,0 +1,98 @@
+/**
+ * @file overlap.js
+ * @path src/overlap.js
+ * @description Crosstalk detection. Each stream is buffered on its own, so two people talking over
+ * each other come out as separate segments in whatever order they finish. While a segment is
+ * buffered, the worklet's VAD decisions are kept as speech spans (wall-clock ms); segments from
+ * different streams whose spans intersect are marked as overlapping.
+ * @modified 2026-10-19
+ */
+
+const SAMPLE_RATE = 16000;
+const SPEECH_GAP_MS = 300;     // Pauses shorter than this stay inside one span
+const MIN_OVERLAP_MS = 500;    // Less than this is a backchannel ("yeah", "right"), not crosstalk
+
+/**
+ * Adds a chunk the VAD judged to be speech to a stream's speech spans.
+ * @param {Array<[number, number]>} spans - The stream's spans so far, in time order; updated in place.
+ * @param {number} timestamp - When the worklet posted the chunk, i.e. the end of its audio.
+ * @param {number} sampleCount - The chunk's length in 16kHz samples.
+ * @returns {Array<[number, number]>} The spans.
+ */
+export function addSpeechActivity(spans, timestamp, sampleCount) {
+    const end = Math.round(timestamp);
+    const start = Math.round(timestamp - (sampleCount / SAMPLE_RATE) * 1000);
+    const last = spans[spans.length - 1];
+    if (last && start - last[1] <= SPEECH_GAP_MS) {
+        last[1] = Math.max(last[1], end);
+    } else {
+        spans.push([start, end]);
+    }
+    return spans;
+}
+
+/**
+ * Keeps the parts of the spans that fall between two times, e.g. for one turn of a diarized segment.
+ * @param {Array<[number, number]>} spans
+ * @param {number} start
+ * @param {number} end
+ * @returns {Array<[number, number]>}
+ */
+export function clipSpans(spans, start, end) {
+    return spans
+        .filter(([spanStart, spanEnd]) => spanEnd > start && spanStart < end)
+        .map(([spanStart, spanEnd]) => [Math.max(spanStart, start), Math.min(spanEnd, end)]);
+}
+
+function overlapMs(a, b) {
+    let total = 0;
+    a.forEach(([aStart, aEnd]) => {
+        b.forEach(([bStart, bEnd]) => {
+            total += Math.max(0, Math.min(aEnd, bEnd) - Math.max(aStart, bStart));
+        });
+    });
+    return total;
+}
+
+/**
+ * Finds the segments from other streams that were spoken over the given one. Segments without
+ * speech spans (captured before VAD data was kept) never overlap.
+ * @param {object} segment - The new segment, with `speech` spans.
+ * @param {Array<object>} segments - Earlier segments.
+ * @returns {Array<{segmentId: string, speakerId: string|null, speaker: string, seconds: number}>}
+ */
+export function findOverlaps(segment, segments) {
+    if (!segment.speech?.length) return [];
+    return segments
+        .filter(other => other.id !== segment.id && other.streamId !== segment.streamId && other.speech?.length)
+        .map(other => ({ other, ms: overlapMs(segment.speech, other.speech) }))
+        .filter(({ ms }) => ms >= MIN_OVERLAP_MS)
+        .map(({ other, ms }) => ({
+            segmentId: other.id,
+            speakerId: other.speakerId || null,
+            speaker: other.speaker,
+            seconds: Math.round(ms / 100) / 10,
+        }));
+}
+
+/**
+ * Records an overlap on the earlier segment too, so both sides know about it.
+ * @param {object} segment - The earlier segment.
+ * @param {object} newer - The segment that was found to overlap it.
+ * @param {number} seconds - How long they overlapped.
+ * @returns {object} The updated copy of the earlier segment.
+ */
+export function addOverlap(segment, newer, seconds) {
+    const overlaps = (segment.overlaps || []).filter(overlap => overlap.segmentId !== newer.id);
+    overlaps.push({ segmentId: newer.id, speakerId: newer.speakerId || null, speaker: newer.speaker, seconds });
+    return { ...segment, overlaps };
+}
+
+/**
+ * The annotation exports put after an overlapping segment's time.
+ * @param {object} segment
+ * @returns {string} " (overlapping)" or an empty string.
+ */
+export function overlapNote(segment) {
+    return segment.overlaps?.length ? ' (overlapping)' : '';
+}
@@ -2,7 +2,7 @@
  * @file popup.js
  * @path src/popup.js
  * @description Handles the logic for the extension's popup UI, including button clicks, status updates, and communication with the background script.
- * @modified 2025-06-20
+ * @modified 2026-10-19
  */
 
 document.addEventListener('DOMContentLoaded', () => {
@@ -27,6 +27,7 @@ document.addEventListener('DOMContentLoaded', () => {
     const speakersEl = document.querySelector('.metric-item:nth-child(1) .metric-value');
     const transcriptionCountEl = document.querySelector('.metric-item:nth-child(2) .metric-value');
     const sessionCostEl = document.querySelector('.metric-item:nth-child(3) .metric-value');
+    const uploadedEl = document.querySelector('.metric-item:nth-child(4) .metric-value');
     
     // Visualizer elements
     const visualizerStatus = document.querySelector('.visualizer-status');
@@ -36,6 +37,7 @@ document.addEventListener('DOMContentLoaded', () => {
     const transcriptContent = document.querySelector('.transcript-content');
     const transcriptMeta = document.querySelector('.transcript-meta');
     const liveBadge = document.querySelector('.badge');
+    const conversationSummaryEl = document.getElementById('conversationSummary');
     
     // Quick action buttons - fix selectors to match actual HTML structure
     const actionButtons = document.querySelectorAll('.action-btn');
@@ -43,6 +45,7 @@ document.addEventListener('DOMContentLoaded', () => {
     const exportBtn = actionButtons[1]; // "💾 Export Session"  
     const analyticsBtn = actionButtons[2]; // "📊 View Analytics"
     const settingsBtn = actionButtons[3]; // "⚙️ Settings"
+    const searchBtn = actionButtons[4]; // "🔎 Search"
     const optionsLink = document.getElementById('optionsLink');
     const versionInfo = document.getElementById('versionInfo');
 
@@ -55,8 +58,11 @@ document.addEventListener('DOMContentLoaded', () => {
       speakersEl.textContent = '0';
       transcriptionCountEl.textContent = '0';
       sessionCostEl.textContent = '$0.00';
+      uploadedEl.textContent = '0 KB';
+      uploadedEl.title = '';
       transcriptContent.textContent = 'No transcriptions yet. Start a recording to begin.';
       transcriptMeta.innerHTML = '';
+      conversationSummaryEl.hidden = true;
       visualizerStatus.textContent = 'Inactive';
     }
 
@@ -102,18 +108,25 @@ document.addEventListener('DOMContentLoaded', () => {
     // --- Event Handlers ---
     startBtn?.addEventListener('click', () => {
         chrome.storage.local.get(['openaiApiKey'], (result) => {
-            if (!result.openaiApiKey) {
-                showNotification('API Key not set. Please configure in settings.', 'error');
-                return;
-            }
-            chrome.runtime.sendMessage({ type: 'startCapture', apiKey: result.openaiApiKey }, (response) => {
-                if (chrome.runtime.lastError) {
-                    console.warn('[Popup] Background script communication error:', chrome.runtime.lastError);
-                    // Still show as started since the API key is valid
-                    startCapturing();
-                } else if (response && response.status === 'capturing') {
-                    startCapturing();
+            // Each provider needs different settings (API key, server URL, model); the registry knows which
+            chrome.runtime.sendMessage({ type: 'checkTranscriptionSettings', apiKey: result.openaiApiKey }, (check) => {
+                if (chrome.runtime.lastError || !check || check.status === 'error') {
+                    showNotification('Could not check the transcription settings. Please try again.', 'error');
+                    return;
+                }
+                if (!check.ready) {
+                    showNotification(`${check.provider} needs ${check.missing.join(' and ')}. Please configure in settings.`, 'error');
+                    return;
                 }
+                chrome.runtime.sendMessage({ type: 'startCapture', apiKey: result.openaiApiKey }, (response) => {
+                    if (chrome.runtime.lastError) {
+                        console.warn('[Popup] Background script communication error:', chrome.runtime.lastError);
+                        // Still show as started since the settings are valid
+                        startCapturing();
+                    } else if (response && response.status === 'capturing') {
+                        startCapturing();
+                    }
+                });
             });
         });
     });
@@ -139,14 +152,17 @@ document.addEventListener('DOMContentLoaded', () => {
     });
 
     analyticsBtn?.addEventListener('click', () => {
-        // Show analytics info since analytics.html doesn't exist
-        showNotification('Analytics feature coming soon!', 'info');
+        chrome.tabs.create({ url: chrome.runtime.getURL('analytics.html') });
     });
 
     settingsBtn?.addEventListener('click', () => {
         chrome.runtime.openOptionsPage();
     });
 
+    searchBtn?.addEventListener('click', () => {
+        chrome.tabs.create({ url: chrome.runtime.getURL('search.html') });
+    });
+
     optionsLink?.addEventListener('click', (e) => {
         e.preventDefault();
         chrome.runtime.openOptionsPage();
@@ -217,6 +233,15 @@ document.addEventListener('DOMContentLoaded', () => {
             metrics.sessionCost = status.sessionCost;
         }
 
+        if (status.uploadStats) {
+            updateUploadStats(status.uploadStats);
+        }
+
+        if (status.conversation) {
+            conversationSummaryEl.textContent = `Conversation ${status.conversation.number} of ${status.conversationCount}: ${status.conversationSummary}`;
+            conversationSummaryEl.hidden = false;
+        }
+
         // Update processing status
         if (status.isProcessing) {
             statusBadge.classList.add('processing');
@@ -225,6 +250,22 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
 
+    function updateUploadStats(uploadStats) {
+        uploadedEl.textContent = formatBytes(uploadStats.bytes);
+        
+        if (uploadStats.uploads > 0) {
+            const ratio = uploadStats.wavBytes > 0 ? Math.round((uploadStats.bytes / uploadStats.wavBytes) * 100) : 100;
+            uploadedEl.title = `${uploadStats.uploads} uploads, ${ratio}% of WAV size\n` +
+                `Last upload: ${formatBytes(uploadStats.lastUploadBytes)} (${(uploadStats.lastFormat || 'wav').toUpperCase()})`;
+        }
+    }
+
+    function formatBytes(bytes) {
+        if (!bytes) return '0 KB';
+        if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+
     function updateTranscriptionDisplay(transcriptions) {
         this.transcriptions = transcriptions;
         
@@ -330,13 +371,9 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // --- Helper Functions ---
     function handleCopyTranscripts() {
-        chrome.runtime.sendMessage({ type: 'getTranscriptions' }, response => {
-            if (response && response.transcriptions && response.transcriptions.length > 0) {
-                const text = response.transcriptions
-                    .map(t => `[${new Date(t.timestamp).toLocaleTimeString()}] ${t.speaker || 'Speaker'}: ${t.text}`)
-                    .join('\n');
-                
-                navigator.clipboard.writeText(text).then(() => {
+        chrome.runtime.sendMessage({ type: 'exportTranscript', format: 'text' }, response => {
+            if (response && response.status === 'ok' && response.content) {
+                navigator.clipboard.writeText(response.content).then(() => {
                     showNotification('Transcripts copied to clipboard!', 'success');
                     animateButton(copyBtn);
                 }, () => {
@@ -353,10 +390,9 @@ document.addEventListener('DOMContentLoaded', () => {
         const originalText = exportBtn.innerHTML;
         exportBtn.innerHTML = '<span>⏳</span> Exporting...';
 
-        chrome.runtime.sendMessage({ type: 'getMarkdown', scope: scope }, response => {
-            if (response && response.markdown) {
-                const fileName = `vtf-${scope}-${new Date().toISOString().split('T')[0]}.md`;
-                downloadFile(response.markdown, fileName, 'text/markdown');
+        chrome.runtime.sendMessage({ type: 'exportTranscript', format: 'markdown', source: scope }, response => {
+            if (response && response.status === 'ok' && response.content) {
+                downloadFile(response.content, response.fileName, response.mimeType);
                 showNotification(`${scope.charAt(0).toUpperCase() + scope.slice(1)} exported successfully!`, 'success');
                 animateButton(exportBtn);
             } else {
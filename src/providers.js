@@ -0,0 +1,273 @@
+/**
+ * @file providers.js
+ * @path src/providers.js
+ * @description Transcription provider registry. Each provider builds its own HTTP request and
+ * normalizes the backend's response into the Whisper verbose_json shape used by the rest of the extension,
+ * plus word timestamps where the backend provides them.
+ * @modified 2026-10-19
+ */
+
+const OPENAI_BASE_URL = 'https://api.openai.com/v1';
+// OpenAI's Whisper price per minute of uploaded audio, for session and daily cost accounting
+const OPENAI_COST_PER_MINUTE = 0.006;
+
+/**
+ * Normalizes a Whisper-style segment list. All supported backends emit OpenAI's
+ * verbose_json segment fields, but some omit optional ones.
+ * @param {Array<object>} segments - Raw segments from the backend.
+ * @returns {Array<object>}
+ */
+function normalizeSegments(segments) {
+    if (!Array.isArray(segments)) return [];
+    return segments.map((segment, index) => ({
+        id: segment.id ?? index,
+        start: Number(segment.start) || 0,
+        end: Number(segment.end) || 0,
+        text: (segment.text || '').trim(),
+        avg_logprob: typeof segment.avg_logprob === 'number' ? segment.avg_logprob : null,
+        no_speech_prob: typeof segment.no_speech_prob === 'number' ? segment.no_speech_prob : null,
+    }));
+}
+
+/**
+ * Normalizes word timestamps. OpenAI returns them at the top level; whisper.cpp and faster-whisper
+ * nest them in each segment. Backends without word timing return none.
+ * @param {object} result - The parsed JSON response.
+ * @returns {Array<{word: string, start: number, end: number}>}
+ */
+function normalizeWords(result) {
+    const words = Array.isArray(result.words)
+        ? result.words
+        : (Array.isArray(result.segments) ? result.segments.flatMap(segment => segment.words || []) : []);
+    return words
+        .map(word => ({
+            word: String(word.word ?? word.text ?? '').trim(),
+            start: Number(word.start) || 0,
+            end: Number(word.end) || 0,
+        }))
+        .filter(word => word.word);
+}
+
+/**
+ * Builds the normalized transcription result every provider returns.
+ * @param {object} result - The parsed JSON response.
+ * @returns {{text: string, language: string|null, duration: number|null, segments: Array<object>, words: Array<object>}}
+ */
+function normalizeVerboseJson(result) {
+    const segments = normalizeSegments(result.segments);
+    const lastSegment = segments[segments.length - 1];
+    return {
+        text: (result.text || '').trim(),
+        language: result.language || null,
+        duration: typeof result.duration === 'number' ? result.duration : (lastSegment ? lastSegment.end : null),
+        segments,
+        words: normalizeWords(result),
+    };
+}
+
+function trimBaseUrl(baseUrl) {
+    return (baseUrl || '').trim().replace(/\/+$/, '');
+}
+
+/**
+ * Builds an OpenAI-style multipart request for the /audio/transcriptions endpoint.
+ * `apiKey` is sent as a bearer token, so callers pass only the key meant for `endpoint`'s host.
+ */
+function buildOpenAiRequest(endpoint, audio, settings, apiKey) {
+    const formData = new FormData();
+    formData.append('file', audio.blob, audio.fileName);
+    formData.append('model', settings.model);
+    formData.append('language', settings.language);
+    formData.append('response_format', 'verbose_json');
+    // Asking for words alone drops the segments, which confidence and diarization need
+    formData.append('timestamp_granularities[]', 'segment');
+    formData.append('timestamp_granularities[]', 'word');
+    if (settings.prompt) {
+        formData.append('prompt', settings.prompt);
+    }
+
+    const headers = {};
+    if (apiKey) {
+        headers['Authorization'] = `Bearer ${apiKey}`;
+    }
+
+    return { url: endpoint, init: { method: 'POST', headers, body: formData } };
+}
+
+const PROVIDERS = {
+    'openai': {
+        label: 'OpenAI Whisper',
+        requiresApiKey: true,
+        requiresBaseUrl: false,
+        requiresModel: true,
+        acceptsServerApiKey: false,
+        costPerMinute: OPENAI_COST_PER_MINUTE,
+        defaultModel: 'whisper-1',
+        buildRequest(audio, settings, apiKey) {
+            return buildOpenAiRequest(`${OPENAI_BASE_URL}/audio/transcriptions`, audio, settings, apiKey);
+        },
+        normalize: normalizeVerboseJson,
+    },
+
+    // Any server that implements OpenAI's /v1/audio/transcriptions route
+    // (LocalAI, vLLM, speaches/faster-whisper-server, etc.). The base URL
+    // includes the version prefix, e.g. "http://10.0.0.5:8000/v1".
+    'openai-compatible': {
+        label: 'OpenAI-compatible server',
+        requiresApiKey: false,
+        requiresBaseUrl: true,
+        requiresModel: true,
+        acceptsServerApiKey: true,
+        costPerMinute: 0,
+        defaultModel: 'whisper-1',
+        buildRequest(audio, settings) {
+            // The server gets its own optional key, never the OpenAI one
+            return buildOpenAiRequest(`${trimBaseUrl(settings.baseUrl)}/audio/transcriptions`, audio, settings, settings.serverApiKey);
+        },
+        normalize: normalizeVerboseJson,
+    },
+
+    // whisper.cpp's bundled HTTP server (examples/server), e.g. "http://10.0.0.5:8080".
+    'whisper-cpp': {
+        label: 'whisper.cpp server',
+        requiresApiKey: false,
+        requiresBaseUrl: true,
+        requiresModel: false,
+        acceptsServerApiKey: false,
+        costPerMinute: 0,
+        defaultModel: '',
+        buildRequest(audio, settings) {
+            const formData = new FormData();
+            formData.append('file', audio.blob, audio.fileName);
+            formData.append('language', settings.language);
+            formData.append('temperature', '0.0');
+            formData.append('response_format', 'verbose_json');
+            if (settings.prompt) {
+                formData.append('prompt', settings.prompt);
+            }
+            return {
+                url: `${trimBaseUrl(settings.baseUrl)}/inference`,
+                init: { method: 'POST', body: formData }
+            };
+        },
+        normalize: normalizeVerboseJson,
+    },
+
+    // whisper-asr-webservice running the faster_whisper engine, e.g. "http://10.0.0.5:9000".
+    'faster-whisper': {
+        label: 'faster-whisper (whisper-asr-webservice)',
+        requiresApiKey: false,
+        requiresBaseUrl: true,
+        requiresModel: false,
+        acceptsServerApiKey: false,
+        costPerMinute: 0,
+        defaultModel: '',
+        buildRequest(audio, settings) {
+            const formData = new FormData();
+            formData.append('audio_file', audio.blob, audio.fileName);
+            const params = new URLSearchParams({
+                task: 'transcribe',
+                language: settings.language,
+                output: 'json',
+                encode: 'true',
+                word_timestamps: 'true'
+            });
+            if (settings.prompt) {
+                params.set('initial_prompt', settings.prompt);
+            }
+            return {
+                url: `${trimBaseUrl(settings.baseUrl)}/asr?${params.toString()}`,
+                init: { method: 'POST', body: formData }
+            };
+        },
+        normalize: normalizeVerboseJson,
+    },
+};
+
+export const DEFAULT_PROVIDER_ID = 'openai';
+
+/**
+ * Looks up a provider, falling back to OpenAI for unknown IDs.
+ * @param {string} providerId - The provider ID from settings.
+ * @returns {object} The provider definition.
+ */
+export function getProvider(providerId) {
+    return PROVIDERS[providerId] || PROVIDERS[DEFAULT_PROVIDER_ID];
+}
+
+/**
+ * Lists the registered providers for settings UIs.
+ * @returns {Array<{id: string, label: string, requiresApiKey: boolean, requiresBaseUrl: boolean, requiresModel: boolean, acceptsServerApiKey: boolean, defaultModel: string}>}
+ */
+export function listProviders() {
+    return Object.entries(PROVIDERS).map(([id, provider]) => ({
+        id,
+        label: provider.label,
+        requiresApiKey: provider.requiresApiKey,
+        requiresBaseUrl: provider.requiresBaseUrl,
+        requiresModel: provider.requiresModel,
+        acceptsServerApiKey: provider.acceptsServerApiKey,
+        defaultModel: provider.defaultModel,
+    }));
+}
+
+/**
+ * Resolves stored settings against a provider's defaults.
+ * @param {object} settings - The stored transcription settings.
+ * @returns {{providerId: string, provider: object, settings: object}}
+ */
+export function resolveProviderSettings(settings) {
+    settings = settings || {};
+    const providerId = PROVIDERS[settings.provider] ? settings.provider : DEFAULT_PROVIDER_ID;
+    const provider = PROVIDERS[providerId];
+    return {
+        providerId,
+        provider,
+        settings: {
+            baseUrl: settings.baseUrl || '',
+            serverApiKey: (settings.serverApiKey || '').trim(),
+            model: settings.model || provider.defaultModel,
+            language: settings.language || 'en',
+            uploadFormat: settings.uploadFormat === 'wav' ? 'wav' : 'flac',
+            prompt: settings.prompt || '',
+        }
+    };
+}
+
+function isHttpUrl(value) {
+    try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Lists what the selected provider still needs before it can transcribe: an API key, a server URL
+ * or a model, per the provider's definition.
+ * @param {object} settings - The stored transcription settings.
+ * @param {string|null} apiKey - The stored API key.
+ * @returns {Array<string>} Descriptions of the missing settings, e.g. "a server URL"; empty when ready.
+ */
+export function missingProviderSettings(settings, apiKey) {
+    const { provider, settings: resolved } = resolveProviderSettings(settings);
+    const missing = [];
+    if (provider.requiresApiKey && !apiKey) missing.push('an API key');
+    if (provider.requiresBaseUrl && !resolved.baseUrl) {
+        missing.push('a server URL');
+    } else if (provider.requiresBaseUrl && !isHttpUrl(trimBaseUrl(resolved.baseUrl))) {
+        missing.push('a valid http(s) server URL');
+    }
+    if (provider.requiresModel && !resolved.model) missing.push('a model');
+    return missing;
+}
+
+/**
+ * Whether a provider can run with the credentials currently available.
+ * @param {object} settings - The stored transcription settings.
+ * @param {string|null} apiKey - The stored API key.
+ * @returns {boolean}
+ */
+export function hasProviderCredentials(settings, apiKey) {
+    return missingProviderSettings(settings, apiKey).length === 0;
+}
@@ -0,0 +1,154 @@
+/**
+ * @file retranscribe.js
+ * @path src/retranscribe.js
+ * @description On-demand re-transcription. A segment's audio is read back from the windows it was
+ * cut from, for the whole segment or a stretch of it, so it can be sent again with another provider,
+ * model or prompt. An accepted result replaces the text of that stretch; word timings say which words
+ * the stretch covers. Every replacement is recorded in the segment's `edits`.
+ * @modified 2026-10-19
+ * @requires archive.js
+ * @requires audio-codec.js
+ */
+
+import { getAudio } from './archive.js';
+import { decodeUpload } from './audio-codec.js';
+
+const SAMPLE_RATE = 16000;
+
+function middle(word) {
+    return (word.start + word.end) / 2;
+}
+
+/**
+ * Checks a stretch of a segment against its length. Only the whole segment can be replaced without
+ * word timings, since nothing else says which words a stretch covers.
+ * @param {object} segment - The segment.
+ * @param {number} [start] - Seconds from the segment's start; the beginning by default.
+ * @param {number} [end] - Seconds from the segment's start; the end by default.
+ * @returns {{start: number, end: number, whole: boolean}}
+ */
+export function resolveRange(segment, start, end) {
+    const duration = segment.duration || 0;
+    const from = Math.max(0, Number.isFinite(start) ? start : 0);
+    const to = Math.min(duration, Number.isFinite(end) ? end : duration);
+    if (to <= from) {
+        throw new Error('The time range is empty');
+    }
+    const whole = from === 0 && to === duration;
+    if (!whole && !segment.words?.length) {
+        throw new Error('This segment has no word timings; only all of it can be re-transcribed');
+    }
+    return { start: from, end: to, whole };
+}
+
+/**
+ * The text a stretch of a segment currently reads: its words whose middle falls inside the stretch.
+ * @param {object} segment - The segment.
+ * @param {{start: number, end: number, whole: boolean}} range - From resolveRange.
+ * @returns {string}
+ */
+export function textInRange(segment, range) {
+    if (range.whole) return segment.text;
+    return segment.words
+        .filter(word => middle(word) >= range.start && middle(word) < range.end)
+        .map(word => word.word)
+        .join(' ');
+}
+
+/**
+ * Finds a stretch of a segment in the audio windows it was cut from.
+ * @param {object} segment - The segment, with `audioWindows`.
+ * @param {{start: number, end: number}} range - Seconds from the segment's start.
+ * @returns {Array<{audioWindow: object, from: number, to: number}>} Each window's part, in seconds
+ *   from the start of that window's audio.
+ */
+export function audioSpans(segment, range) {
+    return (segment.audioWindows || [])
+        .map(audioWindow => {
+            // Where the window's stretch starts on the segment's clock
+            const offset = (audioWindow.startTime + audioWindow.start * 1000 - segment.timestamp) / 1000;
+            const length = audioWindow.end - audioWindow.start;
+            return {
+                audioWindow,
+                from: audioWindow.start + Math.max(range.start, offset) - offset,
+                to: audioWindow.start + Math.min(range.end, offset + length) - offset,
+            };
+        })
+        .filter(span => span.to > span.from);
+}
+
+/**
+ * Reads a stretch of a segment's audio back from storage. When a merged segment spans two windows,
+ * the pause between them was never captured; the parts are joined back to back.
+ * @param {object} segment - The segment.
+ * @param {{start: number, end: number}} range - Seconds from the segment's start.
+ * @returns {Promise<Float32Array>} 16kHz mono samples.
+ */
+export async function loadSegmentAudio(segment, range) {
+    const spans = audioSpans(segment, range);
+    if (spans.length === 0) {
+        throw new Error('No audio covers that part of the segment');
+    }
+
+    const parts = [];
+    for (const { audioWindow, from, to } of spans) {
+        const clip = audioWindow.archived ? await getAudio(audioWindow.windowId) : null;
+        if (!clip) {
+            throw new Error('The audio for this segment is no longer stored');
+        }
+        const { samples } = decodeUpload(clip.data, clip.format);
+        parts.push(samples.subarray(Math.round(from * SAMPLE_RATE), Math.round(to * SAMPLE_RATE)));
+    }
+
+    const audio = new Float32Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+        audio.set(part, offset);
+        offset += part.length;
+    }
+    return audio;
+}
+
+/**
+ * Splices a re-transcribed stretch into a segment's text. The words around the stretch keep the
+ * segment's current (corrected) text and timing; the new words are moved onto the segment's clock.
+ * @param {object} segment - The segment.
+ * @param {{start: number, end: number, whole: boolean}} range - The re-transcribed stretch.
+ * @param {{rawText: string, words: Array<object>}} candidate - The new transcription, its words timed
+ *   from the start of the stretch.
+ * @returns {{rawText: string, words: Array<{word: string, start: number, end: number}>}} The segment's
+ *   new raw text and the timed words to align it with.
+ */
+export function spliceTranscript(segment, range, candidate) {
+    const words = (candidate.words || []).map(word => ({ ...word, start: word.start + range.start, end: word.end + range.start }));
+    if (range.whole) {
+        return { rawText: candidate.rawText, words };
+    }
+
+    const before = segment.words.filter(word => middle(word) < range.start);
+    const after = segment.words.filter(word => middle(word) >= range.end);
+    const rawText = [...before.map(word => word.word), candidate.rawText.trim(), ...after.map(word => word.word)]
+        .filter(Boolean)
+        .join(' ');
+    return { rawText, words: [...before, ...words, ...after] };
+}
+
+/**
+ * The history entry recorded when a re-transcription is accepted.
+ * @param {object} segment - The segment before the edit.
+ * @param {object} candidate - The accepted re-transcription.
+ * @returns {{editedAt: number, start: number, end: number, previousText: string, replacedText: string, newText: string, provider: string, model: string, prompt: string}}
+ */
+export function createEdit(segment, candidate) {
+    return {
+        editedAt: Date.now(),
+        start: candidate.start,
+        end: candidate.end,
+        previousText: segment.text,
+        replacedText: candidate.currentText,
+        newText: candidate.text,
+        provider: candidate.provider,
+        model: candidate.model,
+        prompt: candidate.prompt,
+    };
+}
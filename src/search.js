@@ -0,0 +1,253 @@
+/**
+ * @file search.js
+ * @path src/search.js
+ * @description Full-text transcript search page: queries the background's archive index,
+ * highlights hits and shows the surrounding conversation for a selected result. Segments with
+ * archived audio can be played back.
+ * @modified 2026-10-19
+ */
+
+document.addEventListener('DOMContentLoaded', () => {
+  const searchQuery = document.getElementById('searchQuery');
+  const filterFrom = document.getElementById('filterFrom');
+  const filterTo = document.getElementById('filterTo');
+  const filterConfidence = document.getElementById('filterConfidence');
+  const filterSpeaker = document.getElementById('filterSpeaker');
+  const filterSymbol = document.getElementById('filterSymbol');
+  const searchSummary = document.getElementById('searchSummary');
+  const searchResults = document.getElementById('searchResults');
+  const contextSection = document.getElementById('contextSection');
+  const contextTitle = document.getElementById('contextTitle');
+  const contextSegments = document.getElementById('contextSegments');
+
+  let searchTimer = null;
+  let searchGeneration = 0; // Drops responses that arrive after a newer search was sent
+
+  // Prefill from the URL, e.g. search.html?q=nvda&symbol=NVDA
+  const params = new URLSearchParams(location.search);
+  searchQuery.value = params.get('q') || '';
+
+  loadFacets(params.get('speaker'), params.get('symbol'));
+
+  [filterFrom, filterTo, filterConfidence, filterSpeaker, filterSymbol].forEach(element => {
+    element.addEventListener('change', runSearch);
+  });
+
+  searchQuery.addEventListener('input', () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(runSearch, 200);
+  });
+
+  function loadFacets(initialSpeaker, initialSymbol) {
+    chrome.runtime.sendMessage({type: 'getArchiveFacets'}, (response) => {
+      if (chrome.runtime.lastError || !response || response.status === 'error') {
+        console.warn('[Search] Could not load filters:', chrome.runtime.lastError || response?.message);
+      } else {
+        fillSelect(filterSpeaker, response.speakers);
+        fillSelect(filterSymbol, response.symbols);
+        if (initialSpeaker) filterSpeaker.value = initialSpeaker;
+        if (initialSymbol) filterSymbol.value = initialSymbol.toUpperCase();
+      }
+      runSearch();
+    });
+  }
+
+  function fillSelect(select, values) {
+    values.forEach(value => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = value;
+      select.appendChild(option);
+    });
+  }
+
+  function runSearch() {
+    const generation = ++searchGeneration;
+    const filters = {
+      fromDay: filterFrom.value || undefined,
+      toDay: filterTo.value || undefined,
+      speaker: filterSpeaker.value || undefined,
+      symbol: filterSymbol.value || undefined,
+      minConfidence: parseFloat(filterConfidence.value) || undefined
+    };
+    const startedAt = performance.now();
+
+    chrome.runtime.sendMessage({type: 'searchArchive', query: searchQuery.value, filters: filters}, (response) => {
+      if (generation !== searchGeneration) return;
+
+      if (chrome.runtime.lastError || !response || response.status === 'error') {
+        const reason = chrome.runtime.lastError ? chrome.runtime.lastError.message : response?.message;
+        searchSummary.textContent = 'Search failed: ' + (reason || 'unknown error');
+        searchResults.replaceChildren();
+        return;
+      }
+
+      const elapsed = Math.round(performance.now() - startedAt);
+      // A search without words stops counting once it has a page of results
+      const total = response.total ?? `More than ${response.segments.length}`;
+      const shown = response.total === null || response.segments.length < response.total ? ` (showing newest ${response.segments.length})` : '';
+      searchSummary.textContent = `${total} segments${shown} · ${elapsed} ms`;
+      renderResults(response.segments, response.terms);
+    });
+  }
+
+  function renderResults(segments, terms) {
+    searchResults.replaceChildren();
+
+    if (segments.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'vtf-result-item vtf-text-muted';
+      empty.textContent = 'No matching segments';
+      searchResults.appendChild(empty);
+      return;
+    }
+
+    segments.forEach(segment => {
+      const item = createSegmentItem(segment, terms);
+      item.classList.add('vtf-result-clickable');
+      item.addEventListener('click', () => showContext(segment, terms));
+      searchResults.appendChild(item);
+    });
+  }
+
+  function createSegmentItem(segment, terms) {
+    const item = document.createElement('div');
+    item.className = 'vtf-result-item';
+
+    const meta = document.createElement('div');
+    meta.className = 'vtf-result-meta';
+    const confidence = typeof segment.confidence === 'number' ? ` · ${Math.round(segment.confidence * 100)}%` : '';
+    meta.textContent = `${new Date(segment.timestamp).toLocaleString()} · ${segment.speaker}${confidence}`;
+
+    if (segment.audioWindows?.some(audioWindow => audioWindow.archived)) {
+      const playButton = document.createElement('button');
+      playButton.type = 'button';
+      playButton.className = 'vtf-btn vtf-btn-secondary vtf-btn-sm';
+      playButton.textContent = '▶ Play';
+      playButton.addEventListener('click', (event) => {
+        event.stopPropagation(); // Not a click on the result
+        playSegmentAudio(segment, playButton);
+      });
+      meta.appendChild(playButton);
+    }
+
+    const text = document.createElement('div');
+    appendHighlightedText(text, segment.text, terms);
+
+    item.appendChild(meta);
+    item.appendChild(text);
+    return item;
+  }
+
+  /**
+   * Appends text, wrapping words that match a search term in <mark>. The last term matches
+   * as a prefix, the same way the archive index matched it.
+   */
+  function appendHighlightedText(element, text, terms) {
+    const lastTerm = terms[terms.length - 1];
+    const parts = text.split(/([A-Za-z0-9]+(?:[.'][A-Za-z0-9]+)*)/);
+
+    parts.forEach((part, index) => {
+      const word = part.toLowerCase();
+      const isHit = index % 2 === 1 && (terms.includes(word) || (lastTerm && word.startsWith(lastTerm)));
+      if (isHit) {
+        const mark = document.createElement('mark');
+        mark.className = 'vtf-hit';
+        mark.textContent = part;
+        element.appendChild(mark);
+      } else if (part) {
+        element.appendChild(document.createTextNode(part));
+      }
+    });
+  }
+
+  let audioContext = null;
+  let playback = null; // { button, sources } of the segment being played
+
+  function loadAudioWindow(windowId) {
+    return new Promise((resolve, reject) => {
+      chrome.runtime.sendMessage({type: 'getAudioWindow', windowId}, (response) => {
+        if (chrome.runtime.lastError || !response || response.status !== 'ok') {
+          reject(new Error(chrome.runtime.lastError?.message || response?.message || 'unknown error'));
+          return;
+        }
+        const bytes = Uint8Array.from(atob(response.data), char => char.charCodeAt(0));
+        audioContext.decodeAudioData(bytes.buffer).then(resolve, reject);
+      });
+    });
+  }
+
+  function stopPlayback() {
+    if (!playback) return;
+    playback.sources.forEach(source => {
+      try {
+        source.stop();
+      } catch (e) {
+        // Never started
+      }
+    });
+    playback.button.textContent = '▶ Play';
+    playback = null;
+  }
+
+  /**
+   * Plays a segment's archived audio, the same way the overlay does: its stretch of each
+   * window it was cut from, back to back. A second click stops it.
+   */
+  async function playSegmentAudio(segment, button) {
+    const wasPlaying = playback?.button === button;
+    stopPlayback();
+    if (wasPlaying) return;
+
+    const current = { button, sources: [] };
+    playback = current;
+    button.textContent = '■ Stop';
+    try {
+      audioContext = audioContext || new AudioContext();
+      let at = audioContext.currentTime;
+      for (const audioWindow of segment.audioWindows.filter(candidate => candidate.archived)) {
+        const buffer = await loadAudioWindow(audioWindow.windowId);
+        if (playback !== current) return; // Stopped while loading
+
+        const duration = Math.max(0, audioWindow.end - audioWindow.start);
+        const source = audioContext.createBufferSource();
+        source.buffer = buffer;
+        source.connect(audioContext.destination);
+        at = Math.max(at, audioContext.currentTime);
+        source.start(at, audioWindow.start, duration);
+        at += duration;
+        current.sources.push(source);
+      }
+      current.sources[current.sources.length - 1].onended = () => {
+        if (playback === current) stopPlayback();
+      };
+    } catch (error) {
+      if (playback === current) stopPlayback();
+      console.warn('[Search] Could not play audio:', error);
+      button.textContent = 'Audio unavailable';
+      button.disabled = true;
+    }
+  }
+
+  function showContext(segment, terms) {
+    chrome.runtime.sendMessage({type: 'getSegmentContext', segmentId: segment.id, radius: 5}, (response) => {
+      if (chrome.runtime.lastError || !response || response.status === 'error') {
+        console.warn('[Search] Could not load context:', chrome.runtime.lastError || response?.message);
+        return;
+      }
+
+      contextTitle.textContent = `Conversation Context · ${new Date(segment.timestamp).toLocaleDateString()}`;
+      contextSegments.replaceChildren();
+      response.segments.forEach((neighbour, index) => {
+        const item = createSegmentItem(neighbour, index === response.index ? terms : []);
+        if (index === response.index) {
+          item.classList.add('vtf-result-current');
+        }
+        contextSegments.appendChild(item);
+      });
+
+      contextSection.classList.remove('vtf-hidden');
+      contextSection.scrollIntoView({ behavior: 'smooth' });
+    });
+  }
+});
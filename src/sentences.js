@@ -0,0 +1,126 @@
+/**
+ * @file sentences.js
+ * @path src/sentences.js
+ * @description Sentence-level post-processing. Buffers are cut by timing, not by meaning, so a long
+ * block is split at the sentence boundaries Whisper's timed segments and punctuation give, and a
+ * fragment that finishes the speaker's previous sentence is merged back into it. Every resulting
+ * segment keeps the audio windows (transcribed buffers) it came from in `audioWindows`.
+ * @modified 2026-10-19
+ * @requires words.js
+ */
+
+import { alignWords, wordsBetween } from './words.js';
+
+const SENTENCE_END = /[.?!…]["')\]]*$/;
+// A boundary inside one Whisper segment: end punctuation followed by a new word
+const SENTENCE_BREAK = /(?<=[.?!…]["')\]]*)\s+(?=["'(\[]?[A-Z0-9$])/;
+const MIN_SPLIT_SECONDS = 12;      // Shorter blocks stay whole
+const MIN_SENTENCE_SECONDS = 2;    // "Yeah." or "Okay." joins the sentence after it
+const MAX_MERGED_SECONDS = 60;
+
+export const MERGE_GAP_MS = 3000;
+
+/**
+ * Whether text ends a sentence, ignoring trailing quotes and brackets.
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function endsSentence(text) {
+    return SENTENCE_END.test((text || '').trim());
+}
+
+/**
+ * Cuts one Whisper segment at the sentence breaks inside it. With word timestamps each sentence
+ * starts and ends on its own words; without them, the segment's time is shared out by length.
+ */
+function sentencePieces(segment, words) {
+    const texts = segment.text.trim().split(SENTENCE_BREAK).filter(Boolean);
+    const aligned = alignWords(segment.text, wordsBetween(words, segment.start, segment.end));
+    const totalChars = texts.reduce((sum, text) => sum + text.length, 0);
+    const span = segment.end - segment.start;
+
+    let start = segment.start;
+    let wordIndex = 0;
+    return texts.map((text, index) => {
+        let end = index === texts.length - 1 ? segment.end : start + span * (text.length / totalChars);
+        if (aligned.length > 0) {
+            // The sentences split the segment's text at whitespace, so they share out its words exactly
+            const sentenceWords = aligned.slice(wordIndex, wordIndex + text.split(/\s+/).length);
+            wordIndex += sentenceWords.length;
+            if (sentenceWords.length > 0) {
+                start = index === 0 ? segment.start : sentenceWords[0].start;
+                end = index === texts.length - 1 ? segment.end : sentenceWords[sentenceWords.length - 1].end;
+            }
+        }
+        const piece = { start, end, text, source: segment };
+        start = end;
+        return piece;
+    });
+}
+
+function closePart(part) {
+    return { ...part, text: part.text.trim() };
+}
+
+/**
+ * Splits a long transcribed stretch into sentence-sized parts. Parts break only after a sentence
+ * ends, so a part is never cut mid-sentence, and short sentences ride along with the next one.
+ * @param {{label: string|null, start: number, end: number, text: string, segments: Array<object>, words?: Array<object>}} part -
+ *   A transcribed stretch with its timed Whisper segments and, if the provider gave them, timed words;
+ *   times in seconds from the start of the audio.
+ * @returns {Array<object>} Parts of the same shape, in order; the part itself when it is short,
+ *   untimed or a single sentence.
+ */
+export function splitIntoSentences(part) {
+    const timed = (part.segments || []).filter(segment => segment.text?.trim() && segment.end > segment.start);
+    if (part.end - part.start < MIN_SPLIT_SECONDS || timed.length === 0) return [part];
+
+    const parts = [];
+    let current = null;
+    timed.flatMap(segment => sentencePieces(segment, part.words)).forEach(piece => {
+        if (!current) {
+            current = { label: part.label, start: piece.start, end: piece.end, text: '', segments: [], words: part.words };
+        }
+        current.end = piece.end;
+        current.text += ' ' + piece.text;
+        if (!current.segments.includes(piece.source)) current.segments.push(piece.source);
+
+        if (endsSentence(piece.text) && current.end - current.start >= MIN_SENTENCE_SECONDS) {
+            parts.push(closePart(current));
+            current = null;
+        }
+    });
+
+    if (current) {
+        const previous = parts[parts.length - 1];
+        // A short unfinished tail stays with the sentence before it
+        if (previous && current.end - current.start < MIN_SENTENCE_SECONDS) {
+            previous.end = current.end;
+            previous.text += ' ' + current.text.trim();
+            current.segments.forEach(segment => {
+                if (!previous.segments.includes(segment)) previous.segments.push(segment);
+            });
+        } else {
+            parts.push(closePart(current));
+        }
+    }
+    return parts.length > 1 ? parts : [part];
+}
+
+/**
+ * Whether a new stretch continues the previous segment's unfinished sentence: same stream, a
+ * single voice on both sides, a short gap and a combined length that still reads as one segment.
+ * @param {object|null} previous - The stream's latest segment.
+ * @param {{streamId: string, subSpeaker: string|null, timestamp: number, duration: number}} next - The new stretch.
+ * @returns {boolean}
+ */
+export function continuesSegment(previous, next) {
+    if (!previous || previous.streamId !== next.streamId) return false;
+    // Diarization labels are per buffer; "voice A" in one buffer need not be "voice A" in the next
+    if (previous.subSpeaker || next.subSpeaker) return false;
+    if (endsSentence(previous.text)) return false;
+
+    const previousEnd = previous.timestamp + previous.duration * 1000;
+    const gap = next.timestamp - previousEnd;
+    return gap <= MERGE_GAP_MS && (next.timestamp + next.duration * 1000 - previous.timestamp) / 1000 <= MAX_MERGED_SECONDS;
+}
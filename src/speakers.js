@@ -0,0 +1,270 @@
+/**
+ * @file speakers.js
+ * @path src/speakers.js
+ * @description Persistent speaker registry: maps VTF producer IDs to display names, merges IDs
+ * that belong to the same person and relabels existing segments. Names the user sets win over names
+ * read from the VTF roster, which win over the default label. All speaker naming goes through here.
+ * @modified 2026-10-19
+ * @requires storage.js
+ */
+
+import { getSpeakerRegistry, setSpeakerRegistry } from './storage.js';
+
+const LOCAL_STREAM_ID = 'local-stream';
+const VTF_STREAM_PREFIX = 'msRemAudio-';
+const MAX_ROSTER_FIELD_LENGTH = 60;
+
+/**
+ * Derives the stable speaker ID from a stream ID. VTF streams look like
+ * "msRemAudio-<producerId>-<sessionPart>"; the producer ID survives reconnects.
+ * @param {string} streamId - The stream ID.
+ * @returns {string|null}
+ */
+export function getSpeakerId(streamId) {
+    if (!streamId) return null;
+    if (streamId.startsWith(VTF_STREAM_PREFIX)) {
+        return streamId.slice(VTF_STREAM_PREFIX.length).split('-')[0] || streamId;
+    }
+    return streamId;
+}
+
+/**
+ * The name shown until the user picks one, e.g. "Speaker kB13kh".
+ * @param {string|null} speakerId
+ * @returns {string}
+ */
+export function defaultSpeakerName(speakerId) {
+    if (!speakerId) return 'Unknown Speaker';
+    if (speakerId === LOCAL_STREAM_ID) return 'Me';
+    return `Speaker ${speakerId.substring(0, 6)}`;
+}
+
+/**
+ * Follows merges to the ID a speaker is now filed under.
+ * @param {object} registry - The speaker registry.
+ * @param {string} speakerId
+ * @returns {string}
+ */
+export function canonicalSpeakerId(registry, speakerId) {
+    const seen = new Set();
+    let id = speakerId;
+    // A cycle can only come from a hand-edited registry; stop rather than loop
+    while (registry.merges[id] && !seen.has(id)) {
+        seen.add(id);
+        id = registry.merges[id];
+    }
+    return id;
+}
+
+/**
+ * Looks up the display name for a speaker ID: the user's name for the speaker, else the name
+ * the VTF roster showed for it (or for the ID itself, if it was merged), else the default.
+ * @param {object} registry - The speaker registry.
+ * @param {string|null} speakerId
+ * @returns {string}
+ */
+export function speakerName(registry, speakerId) {
+    if (!speakerId) return defaultSpeakerName(null);
+    const id = canonicalSpeakerId(registry, speakerId);
+    return registry.names[id]
+        || registry.discovered[id]?.displayName
+        || registry.discovered[speakerId]?.displayName
+        || defaultSpeakerName(id);
+}
+
+/**
+ * The name for one voice in a segment split by diarization, e.g. "Kira · voice B".
+ * content.js formats overlay labels the same way.
+ * @param {string} name - The stream's speaker name.
+ * @param {string} label - The voice's label within the segment.
+ * @returns {string}
+ */
+export function subSpeakerName(name, label) {
+    return `${name} · voice ${label}`;
+}
+
+/**
+ * Cleans roster metadata sent up from the page. Page text is untrusted and unbounded.
+ * @param {object} participant - { displayName, avatarLabel, role } from inject.js.
+ * @returns {{displayName: string, avatarLabel: string|null, role: string|null}|null} Null without a display name.
+ */
+export function normalizeParticipant(participant) {
+    if (!participant || typeof participant !== 'object') return null;
+    const clean = (value) => typeof value === 'string'
+        ? value.replace(/\s+/g, ' ').trim().slice(0, MAX_ROSTER_FIELD_LENGTH) || null
+        : null;
+
+    const displayName = clean(participant.displayName);
+    if (!displayName) return null;
+    return { displayName, avatarLabel: clean(participant.avatarLabel), role: clean(participant.role) };
+}
+
+/**
+ * Resolves the speaker ID and display name for a stream, remembering what the VTF roster
+ * currently shows for it. The registry is only written when the roster entry changed.
+ * @param {string} streamId - The stream ID.
+ * @param {object} [participant] - Roster metadata for the stream, if the page had any.
+ * @returns {Promise<{speakerId: string|null, speaker: string, registry: object, discovered: boolean}>}
+ *   `discovered` is true when the roster entry was new or changed, so earlier segments may need relabeling.
+ */
+export async function resolveSpeaker(streamId, participant) {
+    const speakerId = getSpeakerId(streamId);
+    let registry = await getSpeakerRegistry();
+
+    const roster = speakerId ? normalizeParticipant(participant) : null;
+    const known = speakerId ? registry.discovered[speakerId] : null;
+    const discovered = Boolean(roster) && (!known
+        || known.displayName !== roster.displayName
+        || known.avatarLabel !== roster.avatarLabel
+        || known.role !== roster.role);
+
+    if (discovered) {
+        registry = await setSpeakerRegistry({
+            ...registry,
+            discovered: { ...registry.discovered, [speakerId]: { ...roster, seenAt: Date.now() } },
+        });
+        console.log(`[Speakers] Roster shows ${speakerId} as "${roster.displayName}"`);
+    }
+
+    return { speakerId, speaker: speakerName(registry, speakerId), registry, discovered };
+}
+
+/**
+ * Names a speaker, overriding the roster. A blank name goes back to the roster name or the default.
+ * @param {string} speakerId - The speaker to rename; merged IDs rename the speaker they were merged into.
+ * @param {string} name - The new display name.
+ * @returns {Promise<object>} The saved registry.
+ */
+export async function renameSpeaker(speakerId, name) {
+    if (!speakerId) {
+        throw new Error('A speaker ID is required');
+    }
+    const registry = await getSpeakerRegistry();
+    const id = canonicalSpeakerId(registry, speakerId);
+    return setSpeakerRegistry({ ...registry, names: { ...registry.names, [id]: name || '' } });
+}
+
+/**
+ * Files one speaker ID under another, e.g. when the same person reconnects with a new producer ID.
+ * The merged speaker takes the target's name.
+ * @param {string} fromId - The speaker ID to merge away.
+ * @param {string} intoId - The speaker ID to keep.
+ * @returns {Promise<object>} The saved registry.
+ */
+export async function mergeSpeakers(fromId, intoId) {
+    if (!fromId || !intoId) {
+        throw new Error('Both speaker IDs are required to merge');
+    }
+    const registry = await getSpeakerRegistry();
+    const from = canonicalSpeakerId(registry, fromId);
+    const into = canonicalSpeakerId(registry, intoId);
+    if (from === into) {
+        throw new Error('Those speakers are already the same person');
+    }
+
+    const names = { ...registry.names };
+    // Keep the only name there is, whichever side it was on
+    if (!names[into] && names[from]) names[into] = names[from];
+    delete names[from];
+
+    return setSpeakerRegistry({ ...registry, names, merges: { ...registry.merges, [from]: into } });
+}
+
+/**
+ * Adds names from another registry (e.g. a session backup) without overwriting local choices.
+ * @param {object} incoming - The registry to merge in.
+ * @returns {Promise<object>} The saved registry.
+ */
+export async function importSpeakerRegistry(incoming) {
+    const registry = await getSpeakerRegistry();
+    return setSpeakerRegistry({
+        names: { ...(incoming?.names || {}), ...registry.names },
+        merges: { ...(incoming?.merges || {}), ...registry.merges },
+        discovered: { ...(incoming?.discovered || {}), ...registry.discovered },
+    });
+}
+
+/**
+ * Applies the registry to existing segments. Segments from before the registry carry no
+ * speakerId; it is derived from their stream ID.
+ * @param {Array<object>} segments - The segments to relabel.
+ * @param {object} registry - The speaker registry.
+ * @returns {{segments: Array<object>, changed: Array<object>}} All segments, and the ones whose speaker changed.
+ */
+export function relabelSegments(segments, registry) {
+    const changed = [];
+    const relabeled = segments.map(segment => {
+        const speakerId = segment.speakerId || getSpeakerId(segment.streamId);
+        if (!speakerId) return segment;
+
+        const name = speakerName(registry, speakerId);
+        const speaker = segment.subSpeaker ? subSpeakerName(name, segment.subSpeaker) : name;
+        if (speaker === segment.speaker && speakerId === segment.speakerId) return segment;
+
+        const updated = {
+            ...segment,
+            speakerId,
+            speaker,
+            tradeCall: segment.tradeCall ? { ...segment.tradeCall, speaker } : segment.tradeCall,
+        };
+        changed.push(updated);
+        return updated;
+    });
+    return { segments: relabeled, changed };
+}
+
+/**
+ * Lists every known speaker: those heard in the given segments plus those named, merged or
+ * seen on the roster in the registry.
+ * @param {object} registry - The speaker registry.
+ * @param {Array<object>} [segments] - Segments of the current session.
+ * @returns {Array<{id: string, name: string, named: boolean, roster: object|null, mergedIds: Array<string>, segments: number}>} Busiest first.
+ */
+export function listSpeakers(registry, segments = []) {
+    const speakers = new Map();
+    const entry = (id) => {
+        if (!speakers.has(id)) {
+            speakers.set(id, {
+                id,
+                name: speakerName(registry, id),
+                named: Boolean(registry.names[id]),
+                roster: registry.discovered[id] || null,
+                mergedIds: [],
+                segments: 0,
+            });
+        }
+        return speakers.get(id);
+    };
+
+    Object.keys(registry.names).forEach(id => entry(canonicalSpeakerId(registry, id)));
+    Object.keys(registry.discovered).forEach(id => {
+        const speaker = entry(canonicalSpeakerId(registry, id));
+        speaker.roster = speaker.roster || registry.discovered[id];
+    });
+    Object.keys(registry.merges).forEach(id => entry(canonicalSpeakerId(registry, id)).mergedIds.push(id));
+    segments.forEach(segment => {
+        const speakerId = segment.speakerId || getSpeakerId(segment.streamId);
+        if (speakerId) entry(canonicalSpeakerId(registry, speakerId)).segments++;
+    });
+
+    return [...speakers.values()].sort((a, b) => b.segments - a.segments || a.name.localeCompare(b.name));
+}
+
+/**
+ * Names a day's per-speaker totals, which are kept by speaker ID. IDs merged into one speaker
+ * are added together; entries recorded without an ID keep the name they were recorded under.
+ * @param {object} registry - The speaker registry.
+ * @param {object} speakerStats - Speaker ID (or name) -> { speakerId, segments, seconds }.
+ * @returns {object} Display name -> { segments, seconds }.
+ */
+export function nameSpeakerStats(registry, speakerStats = {}) {
+    const named = {};
+    Object.entries(speakerStats).forEach(([key, totals]) => {
+        const name = totals.speakerId ? speakerName(registry, totals.speakerId) : key;
+        const entry = named[name] || { segments: 0, seconds: 0 };
+        entry.segments += totals.segments;
+        entry.seconds += totals.seconds;
+        named[name] = entry;
+    });
+    return named;
+}
@@ -2,7 +2,7 @@
  * @file storage.js
  * @path src/storage.js
  * @description Manages all interactions with chrome.storage for state persistence.
- * @modified 2024-07-26
+ * @modified 2026-10-19
  */
 
 const DEFAULTS = {
@@ -10,6 +10,60 @@ const DEFAULTS = {
   speakerBuffers: {}, // Storing as object as Map is not serializable
   isCapturing: false,
   apiKey: null,
+  transcriptionSettings: {
+    provider: 'openai',
+    baseUrl: '',
+    serverApiKey: '', // Optional key for an OpenAI-compatible server; the OpenAI key never goes there
+    model: '',
+    language: 'en',
+    uploadFormat: 'flac', // 'flac' (compressed) or 'wav'
+    diarization: false, // Split segments from shared or mixed streams into speaker turns
+  },
+  glossary: {
+    // Symbols the room trades; also used to validate tickers elsewhere
+    tickers: ['SPY', 'QQQ', 'IWM', 'DIA', 'VIX', 'NVDA', 'AMD', 'AAPL', 'MSFT', 'TSLA', 'META', 'AMZN', 'GOOGL'],
+    // Room vocabulary and jargon, one phrase per entry
+    terms: ['FLAT', 'the 50-day', 'the 200-day', 'VWAP', 'premarket', 'after hours'],
+    contextChars: 200, // Characters of the speaker's previous text sent as context
+  },
+  correctionRules: {
+    version: 1,
+    // Phonetic misses -> canonical form, matched case-insensitively on word boundaries
+    replacements: [
+      { from: 'cues', to: 'QQQ' },
+      { from: 'queues', to: 'QQQ' },
+      { from: 'triple q', to: 'QQQ' },
+      { from: 'spy', to: 'SPY' },
+      { from: 'spiders', to: 'SPY' },
+      { from: 'vee wap', to: 'VWAP' },
+    ],
+    normalizeTickers: true, // Upper-case glossary tickers ("nvda" -> "NVDA")
+    spokenPrices: true, // "forty two fifty" -> "42.50"
+  },
+  watchlist: {
+    symbols: [], // Matched against each segment's extracted symbols
+    phrases: [], // Matched case-insensitively on word boundaries
+    speakers: [], // Matched against the segment's speaker name
+    cooldownSeconds: 60, // Minimum time between two alerts from the same rule
+    sound: true, // Play a chime in the VTF tab when an alert fires
+  },
+  alertHistory: [],
+  archiveSettings: {
+    retentionDays: 0, // Days of transcripts to keep in the archive; 0 keeps everything
+    audioEnabled: false, // Keep each transcribed window's compressed audio for playback
+    audioDailyCapMB: 200, // Audio stored per trading day; later windows that day are not kept
+    audioRetentionDays: 7, // Days of audio to keep; 0 keeps it as long as the transcripts
+    retranscribeHours: 24, // Hours each window's audio is kept for re-transcription when not archived; 0 keeps none
+  },
+  speakerRegistry: {
+    names: {}, // Speaker ID (VTF producer ID) -> display name chosen by the user
+    merges: {}, // Speaker ID -> the speaker ID it was merged into
+    discovered: {}, // Speaker ID -> { displayName, avatarLabel, role, seenAt } read from the VTF roster
+  },
+  voiceProfiles: {
+    profiles: {}, // Speaker ID -> { vector, count, rejected: [speaker IDs], updatedAt }
+    proposals: {}, // Speaker ID -> { profileId, confidence, proposedAt } awaiting the user's answer
+  },
   // Add other state defaults here
   sessionState: {
     silenceTimers: {},
@@ -43,64 +97,237 @@ const setSession = (items) => chrome.storage.session.set(items);
  * @returns {Promise<object>} - The combined state from local and session storage.
  */
 export async function initState() {
-  const localState = await getLocal(['apiKey', 'isCapturing', 'transcriptions']);
+  const localState = await getLocal(['apiKey', 'isCapturing', 'transcriptions', 'transcriptionSettings']);
   const sessionState = await getSession(['speakerBuffers', 'sessionState', 'conversationProcessorState']);
 
   return {
     apiKey: localState.apiKey || DEFAULTS.apiKey,
     isCapturing: localState.isCapturing || DEFAULTS.isCapturing,
     transcriptions: localState.transcriptions || DEFAULTS.transcriptions,
+    transcriptionSettings: { ...DEFAULTS.transcriptionSettings, ...localState.transcriptionSettings },
     speakerBuffers: sessionState.speakerBuffers || DEFAULTS.speakerBuffers,
     sessionState: sessionState.sessionState || DEFAULTS.sessionState,
     conversationProcessorState: sessionState.conversationProcessorState || DEFAULTS.conversationProcessorState,
   };
 }
 
-// --- Transcription Management with Size Limits ---
+// --- API Key Management ---
+export const getApiKey = async () => (await getLocal('apiKey')).apiKey;
+export const setApiKey = (apiKey) => setLocal({ apiKey });
+
+
+// --- Transcription Provider Settings ---
+
+/**
+ * Gets the transcription provider settings, filled in with defaults.
+ * @returns {Promise<{provider: string, baseUrl: string, serverApiKey: string, model: string, language: string, uploadFormat: string}>}
+ */
+export async function getTranscriptionSettings() {
+    const { transcriptionSettings } = await getLocal('transcriptionSettings');
+    return { ...DEFAULTS.transcriptionSettings, ...transcriptionSettings };
+}
+
+/**
+ * Updates parts of the transcription provider settings.
+ * @param {object} newSettings - The partial settings to update.
+ * @returns {Promise<object>} The merged settings that were saved.
+ */
+export async function setTranscriptionSettings(newSettings) {
+    const transcriptionSettings = { ...(await getTranscriptionSettings()), ...newSettings };
+    await setLocal({ transcriptionSettings });
+    return transcriptionSettings;
+}
+
+
+// --- Glossary ---
+
+// Context that still fits in the ~800-character transcription prompt after a full glossary (see conversation.js)
+export const MAX_CONTEXT_CHARS = 350;
+
+/**
+ * Gets the user-maintained glossary of tickers and room vocabulary.
+ * @returns {Promise<{tickers: Array<string>, terms: Array<string>, contextChars: number}>}
+ */
+export async function getGlossary() {
+    const { glossary } = await getLocal('glossary');
+    return { ...DEFAULTS.glossary, ...glossary };
+}
+
+/**
+ * Replaces the glossary. Tickers are upper-cased and de-duplicated, and the context length is
+ * capped at MAX_CONTEXT_CHARS.
+ * @param {object} glossary - The glossary to store.
+ * @returns {Promise<object>} The glossary that was saved.
+ */
+export async function setGlossary(glossary) {
+    const clean = (list) => [...new Set((list || []).map(item => String(item).trim()).filter(Boolean))];
+    const saved = {
+        tickers: clean((glossary.tickers || []).map(ticker => String(ticker).toUpperCase())),
+        terms: clean(glossary.terms),
+        contextChars: Math.min(MAX_CONTEXT_CHARS, Math.max(0, parseInt(glossary.contextChars, 10) || 0)),
+    };
+    await setLocal({ glossary: saved });
+    return saved;
+}
+
+
+// --- Correction Rules ---
+
+/**
+ * Gets the post-transcription correction rules.
+ * @returns {Promise<object>}
+ */
+export async function getCorrectionRules() {
+    const { correctionRules } = await getLocal('correctionRules');
+    return { ...DEFAULTS.correctionRules, ...correctionRules };
+}
+
+/**
+ * Replaces the correction rules. Callers validate with validateCorrectionRules() first.
+ * @param {object} correctionRules - The rules to store.
+ */
+export const setCorrectionRules = (correctionRules) => setLocal({ correctionRules });
+
+
+// --- Watchlist & Alert History ---
+
+const MAX_ALERT_HISTORY = 500;
 
-const MAX_TRANSCRIPTIONS = 500; // Reduced from 1000 to prevent memory issues
-const MAX_STORAGE_SIZE_MB = 50; // Chrome extension quota limit consideration
+/**
+ * Gets the alert watchlist.
+ * @returns {Promise<{symbols: Array<string>, phrases: Array<string>, speakers: Array<string>, cooldownSeconds: number, sound: boolean}>}
+ */
+export async function getWatchlist() {
+    const { watchlist } = await getLocal('watchlist');
+    return { ...DEFAULTS.watchlist, ...watchlist };
+}
 
 /**
- * Adds a single transcription to the stored array with size management.
- * @param {object} transcription - The transcription object to add.
+ * Replaces the watchlist. Lists are trimmed and de-duplicated; symbols are upper-cased.
+ * @param {object} watchlist - The watchlist to store.
+ * @returns {Promise<object>} The watchlist that was saved.
  */
-export async function addTranscription(transcription) {
-    const { transcriptions } = await getLocal({ transcriptions: [] });
-    transcriptions.push(transcription);
-    
-    // Implement rotation to prevent unbounded growth
-    if (transcriptions.length > MAX_TRANSCRIPTIONS) {
-        // Remove oldest 20% when limit exceeded (increased from 10%)
-        const removeCount = Math.floor(MAX_TRANSCRIPTIONS * 0.2);
-        transcriptions.splice(0, removeCount);
-        console.log(`[Storage] Rotated ${removeCount} old transcriptions to manage storage`);
-    }
-    
-    await setLocal({ transcriptions });
+export async function setWatchlist(watchlist) {
+    const clean = (list) => [...new Set((list || []).map(item => String(item).trim()).filter(Boolean))];
+    const saved = {
+        symbols: clean(watchlist.symbols).map(symbol => symbol.replace(/^\$/, '').toUpperCase()),
+        phrases: clean(watchlist.phrases),
+        speakers: clean(watchlist.speakers),
+        cooldownSeconds: Math.max(0, parseInt(watchlist.cooldownSeconds, 10) || 0),
+        sound: watchlist.sound !== false,
+    };
+    await setLocal({ watchlist: saved });
+    return saved;
 }
 
 /**
- * Retrieves all transcriptions.
+ * Retrieves the alert history, newest first.
  * @returns {Promise<Array<object>>}
  */
-export async function getTranscriptions() {
-    const { transcriptions } = await getLocal({ transcriptions: [] });
-    return transcriptions;
+export async function getAlertHistory() {
+    const { alertHistory } = await getLocal({ alertHistory: [] });
+    return alertHistory;
 }
 
 /**
- * Clears all stored transcriptions.
+ * Prepends fired alerts to the history, dropping the oldest beyond the cap.
+ * @param {Array<object>} alerts - The alerts to record.
  */
-export async function clearTranscriptions() {
-    await setLocal({ transcriptions: [] });
+export async function addAlertHistory(alerts) {
+    const { alertHistory } = await getLocal({ alertHistory: [] });
+    await setLocal({ alertHistory: [...alerts, ...alertHistory].slice(0, MAX_ALERT_HISTORY) });
 }
 
+/**
+ * Clears the alert history.
+ */
+export const clearAlertHistory = () => setLocal({ alertHistory: [] });
 
-// --- API Key Management ---
-export const getApiKey = async () => (await getLocal('apiKey')).apiKey;
-export const setApiKey = (apiKey) => setLocal({ apiKey });
 
+// --- Archive Settings ---
+
+/**
+ * Gets the transcript archive settings.
+ * @returns {Promise<{retentionDays: number, audioEnabled: boolean, audioDailyCapMB: number, audioRetentionDays: number, retranscribeHours: number}>}
+ */
+export async function getArchiveSettings() {
+    const { archiveSettings } = await getLocal('archiveSettings');
+    return { ...DEFAULTS.archiveSettings, ...archiveSettings };
+}
+
+/**
+ * Updates the transcript archive settings. Fields left out keep their current value.
+ * @param {object} settings - The settings to store.
+ * @returns {Promise<object>} The settings that were saved.
+ */
+export async function setArchiveSettings(settings) {
+    const current = await getArchiveSettings();
+    const wholeNumber = (value, fallback) => value === undefined ? fallback : Math.max(0, parseInt(value, 10) || 0);
+    const saved = {
+        retentionDays: wholeNumber(settings.retentionDays, current.retentionDays),
+        audioEnabled: settings.audioEnabled === undefined ? current.audioEnabled : Boolean(settings.audioEnabled),
+        audioDailyCapMB: wholeNumber(settings.audioDailyCapMB, current.audioDailyCapMB),
+        audioRetentionDays: wholeNumber(settings.audioRetentionDays, current.audioRetentionDays),
+        retranscribeHours: wholeNumber(settings.retranscribeHours, current.retranscribeHours),
+    };
+    await setLocal({ archiveSettings: saved });
+    return saved;
+}
+
+// The active archive session survives service worker restarts for as long as the browser session
+export const getActiveArchiveSessionId = async () => (await getSession('archiveSessionId')).archiveSessionId || null;
+export const setActiveArchiveSessionId = (archiveSessionId) => setSession({ archiveSessionId });
+
+
+// --- Speaker Registry ---
+
+/**
+ * Gets the speaker registry.
+ * @returns {Promise<{names: Object<string, string>, merges: Object<string, string>, discovered: Object<string, object>}>}
+ */
+export async function getSpeakerRegistry() {
+    const { speakerRegistry } = await getLocal('speakerRegistry');
+    return { ...DEFAULTS.speakerRegistry, ...speakerRegistry };
+}
+
+/**
+ * Replaces the speaker registry. Blank names, self-merges and roster entries without a name are dropped.
+ * @param {object} registry - The registry to store.
+ * @returns {Promise<object>} The registry that was saved.
+ */
+export async function setSpeakerRegistry(registry) {
+    const names = {};
+    Object.entries(registry.names || {}).forEach(([id, name]) => {
+        const trimmed = String(name).trim();
+        if (trimmed) names[id] = trimmed;
+    });
+    const merges = {};
+    Object.entries(registry.merges || {}).forEach(([id, target]) => {
+        if (target && target !== id) merges[id] = target;
+    });
+
+    const discovered = {};
+    Object.entries(registry.discovered || {}).forEach(([id, participant]) => {
+        if (participant && participant.displayName) discovered[id] = participant;
+    });
+
+    const saved = { names, merges, discovered };
+    await setLocal({ speakerRegistry: saved });
+    return saved;
+}
+
+// --- Voice Profiles ---
+
+/**
+ * Gets the stored voice profiles and open match proposals.
+ * @returns {Promise<{profiles: Object<string, object>, proposals: Object<string, object>}>}
+ */
+export async function getVoiceProfiles() {
+    const { voiceProfiles } = await getLocal('voiceProfiles');
+    return { ...DEFAULTS.voiceProfiles, ...voiceProfiles };
+}
+
+export const setVoiceProfiles = (voiceProfiles) => setLocal({ voiceProfiles });
 
 // --- Capturing State ---
 export const getCapturingState = async () => (await getLocal('isCapturing')).isCapturing || false;
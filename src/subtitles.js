@@ -0,0 +1,125 @@
+/**
+ * @file subtitles.js
+ * @path src/subtitles.js
+ * @description SRT and WebVTT subtitle export. Each segment becomes a cue, or each of its sentences
+ * when word timestamps say where they start and end. Cue times count from the capture session's
+ * start, so the subtitles line up with a screen recording started alongside it, or show the
+ * wall-clock time of day. WebVTT cues carry the speaker as a voice tag; SRT cues prefix the name.
+ * @modified 2026-10-19
+ * @requires sentences.js
+ */
+
+import { endsSentence } from './sentences.js';
+
+const MIN_CUE_MS = 500; // Players drop or flash zero-length cues
+
+export const SUBTITLE_FORMATS = {
+    srt: { label: 'SubRip (.srt)', extension: 'srt', mimeType: 'application/x-subrip' },
+    vtt: { label: 'WebVTT (.vtt)', extension: 'vtt', mimeType: 'text/vtt' },
+};
+
+/**
+ * Splits a segment into one cue per sentence using its word timings.
+ */
+function sentenceCues(segment) {
+    const cues = [];
+    let current = null;
+    segment.words.forEach(word => {
+        if (!current) {
+            current = { start: word.start, end: word.end, words: [] };
+            cues.push(current);
+        }
+        current.words.push(word.word);
+        current.end = word.end;
+        if (endsSentence(word.word)) current = null;
+    });
+    return cues.map(cue => ({
+        start: segment.timestamp + Math.round(cue.start * 1000),
+        end: segment.timestamp + Math.round(cue.end * 1000),
+        speaker: segment.speaker,
+        text: cue.words.join(' '),
+    }));
+}
+
+/**
+ * Turns segments into timed cues, in time order.
+ * @param {Array<object>} segments - The segments, in any order.
+ * @param {{cues?: 'segment'|'sentence'}} [options] - One cue per segment (default), or per sentence
+ *   for segments with word timestamps.
+ * @returns {Array<{start: number, end: number, speaker: string, text: string}>} Wall-clock ms.
+ */
+export function buildCues(segments, { cues = 'segment' } = {}) {
+    return [...segments]
+        .sort((a, b) => a.timestamp - b.timestamp)
+        .flatMap(segment => {
+            if (cues === 'sentence' && segment.words?.length) return sentenceCues(segment);
+            return [{
+                start: segment.timestamp,
+                end: segment.timestamp + Math.round((segment.duration || 0) * 1000),
+                speaker: segment.speaker,
+                text: segment.text,
+            }];
+        })
+        .filter(cue => cue.text?.trim())
+        .map(cue => ({ ...cue, end: Math.max(cue.end, cue.start + MIN_CUE_MS) }));
+}
+
+/**
+ * Local midnight of the day a timestamp falls on.
+ */
+function startOfLocalDay(ms) {
+    const date = new Date(ms);
+    date.setHours(0, 0, 0, 0);
+    return date.getTime();
+}
+
+/**
+ * Formats a time for a cue as the time since the origin.
+ */
+function cueTime(ms, origin, separator) {
+    const offset = Math.max(0, ms - origin);
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    const hours = Math.floor(offset / 3600000);
+    const minutes = Math.floor(offset / 60000) % 60;
+    const seconds = Math.floor(offset / 1000) % 60;
+    return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(offset % 1000, 3)}`;
+}
+
+function escapeVtt(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Formats segments as SRT or WebVTT.
+ * @param {Array<object>} segments - The segments to export.
+ * @param {{format: 'srt'|'vtt', timing?: 'relative'|'absolute', cues?: 'segment'|'sentence', sessionStart?: number, title?: string}} options -
+ *   `relative` timing (the default) counts from `sessionStart`, or from the first cue without one;
+ *   `absolute` timing uses the local time of day, counted from midnight of the day the session
+ *   started so cues past midnight run on to 24:00:00 and later instead of wrapping. `title` is written as a WebVTT note.
+ * @returns {string} The subtitle file.
+ */
+export function formatSubtitles(segments, { format, timing = 'relative', cues: cueMode = 'segment', sessionStart, title } = {}) {
+    if (!SUBTITLE_FORMATS[format]) {
+        throw new Error(`Unknown subtitle format: ${format}`);
+    }
+    const cues = buildCues(segments, { cues: cueMode });
+    const start = sessionStart ?? (cues[0]?.start || 0);
+    const origin = timing === 'absolute' ? startOfLocalDay(start) : start;
+
+    if (format === 'srt') {
+        return cues.map((cue, index) => [
+            index + 1,
+            `${cueTime(cue.start, origin, ',')} --> ${cueTime(cue.end, origin, ',')}`,
+            `${cue.speaker}: ${cue.text}`,
+        ].join('\n')).join('\n\n') + '\n';
+    }
+
+    const header = title ? `WEBVTT\n\nNOTE ${title.replace(/-->/g, '→')}` : 'WEBVTT';
+    const body = cues.map((cue, index) => [
+        index + 1,
+        `${cueTime(cue.start, origin, '.')} --> ${cueTime(cue.end, origin, '.')}`,
+        // The voice tag's annotation ends at the first '>', so the name is escaped too
+        `<v ${escapeVtt(cue.speaker)}>${escapeVtt(cue.text)}`,
+    ].join('\n'));
+    return [header, ...body].join('\n\n') + '\n';
+}
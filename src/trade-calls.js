@@ -0,0 +1,158 @@
+/**
+ * @file trade-calls.js
+ * @path src/trade-calls.js
+ * @description Rule-based detection of trade calls (entries, exits, adds, trims, stops and targets)
+ * in corrected segment text, producing a structured tradeCall object for the segment.
+ * @modified 2026-10-19
+ */
+
+// Checked in order: the first action that matches wins, so "long AMD at 160, stop 155" is an
+// entry with a stop rather than a stop adjustment.
+const ACTION_RULES = [
+    { action: 'exit', pattern: /\b(?:stopped out|got stopped|i'?m out|we'?re out|closed (?:out|my|the)|exited|sold (?:all|it all|the rest|my|the position)|covered|covering|taking (?:it|them) off|took (?:it|them) off|i'?m flat|went flat)\b/i },
+    { action: 'trim', pattern: /\b(?:trim(?:med|ming)?|took (?:some|half|a (?:third|quarter)) off|taking (?:some|half|a (?:third|quarter)) off|scal(?:e|ed|ing) out|sold (?:some|half|a (?:third|quarter))|partials?)\b/i },
+    { action: 'add', pattern: /\b(?:add(?:ed|ing)? (?:to|more|some)|adding|bought more|buying more|doubled (?:up|down))\b/i },
+    // Bare "long"/"short" (entries) and "out of" (exits) only count before a symbol or a position; see findAction()
+    { action: 'entry', pattern: /\b(?:i'?m (?:long|short)|we'?re (?:long|short)|(?:going|getting|got|went) (?:long|short)|shorted|shorting|bought|buying|starter|entered|opened (?:a|my))\b/i },
+    { action: 'stop', pattern: /\b(?:(?:mov(?:e|ed|ing)|rais(?:e|ed|ing)|lower(?:ed|ing)?|tighten(?:ed|ing)?|trail(?:ed|ing)?) (?:my |the )?stop|stop (?:is|at|to)|stop loss)\b/i },
+    { action: 'target', pattern: /\b(?:targets?|target(?:ing)?|price target|looking for)\b/i },
+];
+
+const NUMBER = String.raw`\$?(\d{1,3}(?:,\d{3})+|\d+)(\.\d+)?`;
+// "stop 155", "stop is at 155", "my stop on AMD to 158"
+const STOP_RE = new RegExp(String.raw`\bstop(?:\s+loss)?(?:\s+on\s+\$?[A-Za-z]{1,5})?(?:\s+(?:is|at|to|of|under|below|above|over))*\s+${NUMBER}`, 'i');
+const POSITION_WORDS = String.raw`(?:my|the|this|that|our)\s+(?:position|positions|trade|shares|calls|puts)`;
+const TARGET_RE = new RegExp(String.raw`\b(?:targets?|target(?:ing)?|looking for)(?:\s+(?:is|at|of|to))?\s+${NUMBER}`, 'i');
+const PRICE_RE = new RegExp(String.raw`(?:\bat|@|\baround|\bnear|\bfor)\s+${NUMBER}`, 'gi');
+
+function parseNumber(match) {
+    return match ? parseFloat(`${match[1].replace(/,/g, '')}${match[2] || ''}`) : null;
+}
+
+function detectSide(text, action) {
+    if (/\b(?:short(?:ed|ing)?|puts|covered|covering)\b/i.test(text)) return 'short';
+    if (/\b(?:long|bought|buying|calls)\b/i.test(text)) return 'long';
+    // Adds and entries without a stated side are assumed long, the room's default
+    return action === 'entry' || action === 'add' ? 'long' : null;
+}
+
+/**
+ * Finds the first action rule that matches the text.
+ * @returns {{action: string, index: number, phrase: string}|null}
+ */
+function findAction(text, symbols) {
+    const symbolPattern = symbols.length > 0 ? `\\$?(?:${symbols.join('|')})\\b` : null;
+    // "out of the way" is ordinary speech; "out of AMD" and "out of my position" are exits
+    const extraPatterns = {
+        entry: symbolPattern ? new RegExp(`\\b(?:long|short)\\s+${symbolPattern}`, 'i') : null,
+        exit: new RegExp(`\\bout of\\s+(?:${symbolPattern ? `${symbolPattern}|` : ''}${POSITION_WORDS}\\b)`, 'i'),
+    };
+
+    for (const rule of ACTION_RULES) {
+        const patterns = extraPatterns[rule.action] ? [rule.pattern, extraPatterns[rule.action]] : [rule.pattern];
+        for (const pattern of patterns) {
+            const match = text.match(pattern);
+            if (match) {
+                return { action: rule.action, index: match.index, phrase: match[0] };
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Picks the symbol the call refers to: the first one mentioned after the action phrase,
+ * falling back to the first one in the segment.
+ */
+function detectSymbol(text, symbols, actionIndex) {
+    let best = null;
+    let bestIndex = Infinity;
+    for (const symbol of symbols) {
+        const pattern = new RegExp(`\\$?\\b${symbol}\\b`, 'gi');
+        for (const match of text.matchAll(pattern)) {
+            const distance = match.index >= actionIndex ? match.index - actionIndex : text.length + match.index;
+            if (distance < bestIndex) {
+                best = symbol;
+                bestIndex = distance;
+            }
+        }
+    }
+    return best;
+}
+
+function detectPrice(text, actionIndex, stop, target) {
+    for (const match of text.slice(actionIndex).matchAll(PRICE_RE)) {
+        const value = parseNumber(match);
+        if (value !== stop && value !== target) return value;
+    }
+    return null;
+}
+
+/**
+ * Detects a trade call in a segment.
+ * @param {string} text - Corrected segment text.
+ * @param {object} entities - Entities extracted from the same text (see entities.js).
+ * @param {{speaker: string, timestamp: number}} context - Who said it and when.
+ * @returns {object|null} The trade call, or null if the segment does not contain one.
+ */
+export function detectTradeCall(text, entities, { speaker, timestamp }) {
+    if (!text) return null;
+
+    const symbols = entities?.symbols || [];
+    const found = findAction(text, symbols);
+    if (!found) return null;
+
+    const { action, index: actionIndex, phrase } = found;
+    const symbol = detectSymbol(text, symbols, actionIndex);
+    const stop = parseNumber(text.match(STOP_RE));
+    const target = parseNumber(text.match(TARGET_RE));
+    const price = detectPrice(text, actionIndex, stop, target);
+
+    // Without a symbol or any level, "I'm out" or "bought lunch" is not actionable
+    if (!symbol && price === null && stop === null && target === null) return null;
+    if ((action === 'entry' || action === 'add') && !symbol) return null;
+
+    return {
+        action,
+        side: detectSide(text, action),
+        symbol,
+        price,
+        stop,
+        target,
+        speaker,
+        time: timestamp,
+        phrase,
+    };
+}
+
+/**
+ * Formats a trade call as a one-line summary, e.g. "ENTRY LONG AMD @ 160 · stop 155 · target 170".
+ * @param {object} call - The trade call.
+ * @returns {string}
+ */
+export function formatTradeCall(call) {
+    let summary = [call.action, call.side, call.symbol].filter(Boolean).join(' ').toUpperCase();
+    if (call.price !== null) summary += ` @ ${call.price}`;
+    if (call.stop !== null) summary += ` · stop ${call.stop}`;
+    if (call.target !== null) summary += ` · target ${call.target}`;
+    return summary;
+}
+
+/**
+ * Filters the trade calls found in a list of segments.
+ * @param {Array<object>} segments - Segments with optional tradeCall objects.
+ * @param {{symbol?: string, speaker?: string, action?: string, since?: number, until?: number}} filters
+ * @returns {Array<object>} Matching calls, oldest first.
+ */
+export function queryTradeCalls(segments, filters = {}) {
+    const symbol = filters.symbol ? filters.symbol.toUpperCase() : null;
+    return segments
+        .map(segment => segment.tradeCall)
+        .filter(call => call
+            && (!symbol || call.symbol === symbol)
+            && (!filters.speaker || call.speaker === filters.speaker)
+            && (!filters.action || call.action === filters.action)
+            && (!filters.since || call.time >= filters.since)
+            && (!filters.until || call.time <= filters.until))
+        .sort((a, b) => a.time - b.time);
+}
@@ -0,0 +1,443 @@
+/**
+ * @file voiceprint.js
+ * @path src/voiceprint.js
+ * @description On-device speaker re-identification. Each segment's audio is reduced to a voiceprint
+ * (mean and spread of its MFCCs over voiced frames), averaged into a profile per speaker, and compared
+ * against the profiles of other speakers so a new producer ID can be matched to a voice heard before.
+ * Matches are only proposals: confirming one merges the speakers in the registry, rejecting one stops it
+ * from being proposed again.
+ * @modified 2026-10-19
+ * @requires storage.js
+ * @requires speakers.js
+ */
+
+import { getVoiceProfiles, setVoiceProfiles, getSpeakerRegistry } from './storage.js';
+import { canonicalSpeakerId, speakerName, mergeSpeakers } from './speakers.js';
+
+const SAMPLE_RATE = 16000;
+const FRAME_SIZE = 400;       // 25ms
+const FRAME_HOP = 160;        // 10ms
+const FFT_SIZE = 512;
+const MEL_FILTERS = 26;
+const CEPSTRA = 20;           // c1..c19 are kept; c0 is loudness, not voice
+const MIN_FREQUENCY = 100;
+const MAX_FREQUENCY = 7600;
+const MIN_PITCH = 70;
+const MAX_PITCH = 400;
+const PITCH_PEAK_THRESHOLD = 0.1; // Cepstral peak below this means no clear pitch (unvoiced or noise)
+const MIN_VOICED_FRAMES = 100; // About a second of speech
+const SPREAD_WEIGHT = 0.5;     // Spread features vary more with what is said than means do
+
+export const MIN_VOICEPRINT_SECONDS = 3;
+export const VOICE_MATCH_THRESHOLD = 0.8;
+// Every voice shares most of its MFCC statistics with every other; comparisons are made after
+// subtracting the mean of the known profiles, which needs a few of them to mean anything
+const MIN_COHORT_PROFILES = 4;
+const MAX_PROFILE_WEIGHT = 50; // Keeps a profile able to follow a voice that drifts (new mic, new room)
+const MAX_VOICE_PROFILES = 200;
+
+// --- Signal Processing ---
+
+let melFilterBank = null;
+let dctMatrix = null;
+let hammingWindow = null;
+
+const hzToMel = (hz) => 2595 * Math.log10(1 + hz / 700);
+const melToHz = (mel) => 700 * (Math.pow(10, mel / 2595) - 1);
+
+function buildTables() {
+    hammingWindow = new Float32Array(FRAME_SIZE);
+    for (let i = 0; i < FRAME_SIZE; i++) {
+        hammingWindow[i] = 0.54 - 0.46 * Math.cos((2 * Math.PI * i) / (FRAME_SIZE - 1));
+    }
+
+    // Triangular filters spaced evenly on the mel scale
+    const bins = FFT_SIZE / 2 + 1;
+    const minMel = hzToMel(MIN_FREQUENCY);
+    const maxMel = hzToMel(MAX_FREQUENCY);
+    const points = [];
+    for (let i = 0; i < MEL_FILTERS + 2; i++) {
+        const hz = melToHz(minMel + ((maxMel - minMel) * i) / (MEL_FILTERS + 1));
+        points.push(Math.floor(((FFT_SIZE + 1) * hz) / SAMPLE_RATE));
+    }
+    melFilterBank = [];
+    for (let m = 1; m <= MEL_FILTERS; m++) {
+        const filter = new Float32Array(bins);
+        for (let k = points[m - 1]; k < points[m]; k++) {
+            filter[k] = (k - points[m - 1]) / Math.max(1, points[m] - points[m - 1]);
+        }
+        for (let k = points[m]; k < points[m + 1]; k++) {
+            filter[k] = (points[m + 1] - k) / Math.max(1, points[m + 1] - points[m]);
+        }
+        melFilterBank.push(filter);
+    }
+
+    dctMatrix = [];
+    for (let c = 0; c < CEPSTRA; c++) {
+        const row = new Float32Array(MEL_FILTERS);
+        for (let m = 0; m < MEL_FILTERS; m++) {
+            row[m] = Math.cos((Math.PI * c * (m + 0.5)) / MEL_FILTERS);
+        }
+        dctMatrix.push(row);
+    }
+}
+
+/**
+ * In-place iterative radix-2 FFT.
+ */
+function fft(real, imag) {
+    const n = real.length;
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) j ^= bit;
+        j ^= bit;
+        if (i < j) {
+            [real[i], real[j]] = [real[j], real[i]];
+            [imag[i], imag[j]] = [imag[j], imag[i]];
+        }
+    }
+    for (let size = 2; size <= n; size <<= 1) {
+        const angle = (-2 * Math.PI) / size;
+        for (let start = 0; start < n; start += size) {
+            for (let k = 0; k < size / 2; k++) {
+                const cos = Math.cos(angle * k);
+                const sin = Math.sin(angle * k);
+                const a = start + k;
+                const b = a + size / 2;
+                const tr = real[b] * cos - imag[b] * sin;
+                const ti = real[b] * sin + imag[b] * cos;
+                real[b] = real[a] - tr;
+                imag[b] = imag[a] - ti;
+                real[a] += tr;
+                imag[a] += ti;
+            }
+        }
+    }
+}
+
+/**
+ * Estimates the pitch of a frame from the peak of its real cepstrum.
+ * @param {Float32Array} real - The frame's spectrum (real part); left untouched.
+ * @param {Float32Array} imag - The frame's spectrum (imaginary part); left untouched.
+ * @param {Float32Array} scratchReal - Work buffer of FFT_SIZE.
+ * @param {Float32Array} scratchImag - Work buffer of FFT_SIZE.
+ * @returns {number} Pitch in Hz, or 0 if the frame has no clear pitch.
+ */
+function estimatePitch(real, imag, scratchReal, scratchImag) {
+    for (let k = 0; k < FFT_SIZE; k++) {
+        scratchReal[k] = Math.log(Math.sqrt(real[k] * real[k] + imag[k] * imag[k]) + 1e-10);
+        scratchImag[k] = 0;
+    }
+    // The spectrum is symmetric, so a forward FFT gives the cepstrum up to scale
+    fft(scratchReal, scratchImag);
+
+    const minLag = Math.floor(SAMPLE_RATE / MAX_PITCH);
+    const maxLag = Math.min(FRAME_SIZE / 2, Math.ceil(SAMPLE_RATE / MIN_PITCH));
+    let bestLag = 0;
+    let bestValue = 0;
+    for (let lag = minLag; lag <= maxLag; lag++) {
+        const value = scratchReal[lag] / FFT_SIZE;
+        if (value > bestValue) {
+            bestValue = value;
+            bestLag = lag;
+        }
+    }
+    return bestValue >= PITCH_PEAK_THRESHOLD ? SAMPLE_RATE / bestLag : 0;
+}
+
+/**
+ * Computes MFCCs (c1..c19), log energy and pitch for every 10ms frame.
+ * @param {Float32Array} samples - 16kHz mono audio.
+ * @returns {Array<{time: number, energy: number, pitch: number, cepstra: Float32Array}>}
+ *   Time is the frame's start in seconds; pitch is in Hz, 0 where there is none.
+ */
+export function computeFrames(samples) {
+    if (!melFilterBank) buildTables();
+
+    const frames = [];
+    const real = new Float32Array(FFT_SIZE);
+    const imag = new Float32Array(FFT_SIZE);
+    const logMel = new Float32Array(MEL_FILTERS);
+    const scratchReal = new Float32Array(FFT_SIZE);
+    const scratchImag = new Float32Array(FFT_SIZE);
+
+    for (let start = 0; start + FRAME_SIZE <= samples.length; start += FRAME_HOP) {
+        real.fill(0);
+        imag.fill(0);
+        let energy = 0;
+        for (let i = 0; i < FRAME_SIZE; i++) {
+            // Pre-emphasis lifts the formants that tell voices apart
+            const previous = start + i > 0 ? samples[start + i - 1] : 0;
+            const value = (samples[start + i] - 0.97 * previous) * hammingWindow[i];
+            real[i] = value;
+            energy += value * value;
+        }
+        fft(real, imag);
+
+        for (let m = 0; m < MEL_FILTERS; m++) {
+            const filter = melFilterBank[m];
+            let sum = 0;
+            for (let k = 0; k < filter.length; k++) {
+                if (filter[k] > 0) sum += filter[k] * (real[k] * real[k] + imag[k] * imag[k]);
+            }
+            logMel[m] = Math.log(sum + 1e-10);
+        }
+
+        const cepstra = new Float32Array(CEPSTRA - 1);
+        for (let c = 1; c < CEPSTRA; c++) {
+            let sum = 0;
+            for (let m = 0; m < MEL_FILTERS; m++) sum += dctMatrix[c][m] * logMel[m];
+            cepstra[c - 1] = sum;
+        }
+        frames.push({
+            time: start / SAMPLE_RATE,
+            energy: Math.log(energy + 1e-10),
+            pitch: estimatePitch(real, imag, scratchReal, scratchImag),
+            cepstra,
+        });
+    }
+    return frames;
+}
+
+/**
+ * Drops the quieter frames, which are mostly pauses and breath.
+ * @param {Array<{energy: number}>} frames - Frames from computeFrames.
+ * @returns {Array<object>} The frames in the top 60% of loudness, in their original order.
+ */
+export function selectVoicedFrames(frames) {
+    if (frames.length === 0) return [];
+    const energies = frames.map(frame => frame.energy).sort((a, b) => a - b);
+    const cutoff = energies[Math.floor(energies.length * 0.4)];
+    return frames.filter(frame => frame.energy >= cutoff);
+}
+
+/**
+ * Summarizes frames as the mean and spread of each MFCC.
+ * @param {Array<{cepstra: Float32Array}>} frames - Voiced frames.
+ * @returns {Array<number>}
+ */
+export function summarizeFrames(frames) {
+    const dims = CEPSTRA - 1;
+    const mean = new Array(dims).fill(0);
+    const spread = new Array(dims).fill(0);
+    frames.forEach(frame => frame.cepstra.forEach((value, i) => { mean[i] += value / frames.length; }));
+    frames.forEach(frame => frame.cepstra.forEach((value, i) => { spread[i] += (value - mean[i]) ** 2 / frames.length; }));
+
+    return [...mean, ...spread.map(variance => Math.sqrt(variance) * SPREAD_WEIGHT)]
+        .map(value => Math.round(value * 1000) / 1000);
+}
+
+/**
+ * Reduces audio to a fixed-length voiceprint: the mean and spread of each MFCC over the louder
+ * (voiced) frames. Cheap enough to run on every segment in the service worker.
+ * @param {Float32Array} samples - 16kHz mono audio.
+ * @returns {Array<number>|null} The voiceprint, or null if there is too little speech.
+ */
+export function computeVoiceprint(samples) {
+    if (!samples || samples.length < MIN_VOICEPRINT_SECONDS * SAMPLE_RATE) return null;
+
+    const voiced = selectVoicedFrames(computeFrames(samples));
+    if (voiced.length < MIN_VOICED_FRAMES) return null;
+    return summarizeFrames(voiced);
+}
+
+/**
+ * Cosine similarity between two voiceprints, clamped to 0..1.
+ * @param {Array<number>} a
+ * @param {Array<number>} b
+ * @param {Array<number>} [center] - Subtracted from both first, normally the mean of the known profiles.
+ * @returns {number}
+ */
+export function compareVoiceprints(a, b, center) {
+    if (!a || !b || a.length !== b.length) return 0;
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        const x = a[i] - (center ? center[i] : 0);
+        const y = b[i] - (center ? center[i] : 0);
+        dot += x * y;
+        normA += x * x;
+        normB += y * y;
+    }
+    return normA && normB ? Math.max(0, dot / Math.sqrt(normA * normB)) : 0;
+}
+
+function cohortMean(vectors) {
+    return vectors[0].map((_, i) => vectors.reduce((sum, vector) => sum + vector[i], 0) / vectors.length);
+}
+
+function blendVoiceprints(a, weightA, b, weightB) {
+    return a.map((value, i) => Math.round(((value * weightA + b[i] * weightB) / (weightA + weightB)) * 1000) / 1000);
+}
+
+// --- Profiles ---
+
+// Profile updates are read-modify-write on one storage key; segments from two streams can finish together
+let profileQueue = Promise.resolve();
+
+function serializeProfileUpdate(task) {
+    const run = profileQueue.then(task, task);
+    profileQueue = run.catch(() => {});
+    return run;
+}
+
+/**
+ * Drops the least recently heard profiles beyond the cap.
+ */
+function pruneProfiles(profiles) {
+    const ids = Object.keys(profiles);
+    if (ids.length <= MAX_VOICE_PROFILES) return profiles;
+    const keep = ids.sort((a, b) => profiles[b].updatedAt - profiles[a].updatedAt).slice(0, MAX_VOICE_PROFILES);
+    return Object.fromEntries(keep.map(id => [id, profiles[id]]));
+}
+
+/**
+ * Identifies the voice in a segment. The voiceprint is added to the speaker's own profile; if it
+ * sounds like another known speaker, a match is proposed for the user to confirm. Speakers the user
+ * has named, and pairs the user rejected, are never proposed.
+ * @param {Float32Array} samples - The segment's 16kHz audio.
+ * @param {string} speakerId - The speaker the stream belongs to.
+ * @returns {Promise<{profileId: string, name: string, confidence: number, status: 'known'|'proposed'|'confirmed'}|null>}
+ *   What the voice matched, or null if the segment was too short, the voice is new or too few voices are known yet.
+ */
+export async function identifyVoice(samples, speakerId) {
+    if (!speakerId) return null;
+    const voiceprint = computeVoiceprint(samples);
+    if (!voiceprint) return null;
+    return serializeProfileUpdate(() => matchAndEnroll(voiceprint, speakerId));
+}
+
+async function matchAndEnroll(voiceprint, speakerId) {
+    const [store, registry] = await Promise.all([getVoiceProfiles(), getSpeakerRegistry()]);
+    const ownId = canonicalSpeakerId(registry, speakerId);
+    const own = store.profiles[ownId];
+    const known = Object.values(store.profiles);
+    const center = known.length >= MIN_COHORT_PROFILES ? cohortMean(known.map(profile => profile.vector)) : null;
+    const ownScore = own && center ? compareVoiceprints(voiceprint, own.vector, center) : 0;
+
+    let best = null;
+    if (center && !registry.names[ownId]) {
+        for (const [profileId, profile] of Object.entries(store.profiles)) {
+            if (profileId === ownId || profile.rejected.includes(ownId)) continue;
+            const score = compareVoiceprints(voiceprint, profile.vector, center);
+            if (score >= VOICE_MATCH_THRESHOLD && (!best || score > best.confidence)) {
+                best = { profileId, confidence: score };
+            }
+        }
+    }
+
+    // Enroll the segment in the speaker's own profile either way; confirming merges the two
+    const weight = own ? Math.min(own.count, MAX_PROFILE_WEIGHT) : 0;
+    const profiles = pruneProfiles({
+        ...store.profiles,
+        [ownId]: {
+            vector: own ? blendVoiceprints(own.vector, weight, voiceprint, 1) : voiceprint,
+            count: (own ? own.count : 0) + 1,
+            rejected: own ? own.rejected : [],
+            updatedAt: Date.now(),
+        },
+    });
+
+    const proposals = { ...store.proposals };
+    if (best) {
+        proposals[ownId] = { ...best, proposedAt: Date.now() };
+    }
+    await setVoiceProfiles({ profiles, proposals });
+
+    const confidence = (score) => Math.round(score * 100) / 100;
+    if (best) {
+        console.log(`[Voiceprint] ${ownId} sounds like ${best.profileId} (${confidence(best.confidence)})`);
+        return {
+            profileId: best.profileId,
+            name: speakerName(registry, best.profileId),
+            confidence: confidence(best.confidence),
+            status: 'proposed',
+        };
+    }
+    return own && center
+        ? { profileId: ownId, name: speakerName(registry, ownId), confidence: confidence(ownScore), status: 'known' }
+        : null;
+}
+
+/**
+ * Accepts a proposed match: the speaker is merged into the matched one (taking its name) and
+ * their voice profiles are combined.
+ * @param {string} speakerId - The speaker the match was proposed for.
+ * @param {string} profileId - The matched profile (a speaker ID).
+ * @returns {Promise<object>} The saved speaker registry.
+ */
+export function confirmVoiceMatch(speakerId, profileId) {
+    return serializeProfileUpdate(async () => {
+        const from = canonicalSpeakerId(await getSpeakerRegistry(), speakerId);
+        const registry = await mergeSpeakers(from, profileId);
+        const into = canonicalSpeakerId(registry, profileId);
+        await mergeProfiles(from, into);
+        console.log(`[Voiceprint] Confirmed ${from} as ${into}`);
+        return registry;
+    });
+}
+
+async function mergeProfiles(from, into) {
+    const store = await getVoiceProfiles();
+    const profiles = { ...store.profiles };
+    const source = profiles[from];
+    const target = profiles[into];
+    if (source && target) {
+        profiles[into] = {
+            vector: blendVoiceprints(target.vector, target.count, source.vector, source.count),
+            count: target.count + source.count,
+            rejected: [...new Set([...target.rejected, ...source.rejected])],
+            updatedAt: Date.now(),
+        };
+    } else if (source) {
+        profiles[into] = source;
+    }
+    delete profiles[from];
+
+    const proposals = { ...store.proposals };
+    delete proposals[from];
+    await setVoiceProfiles({ profiles, proposals });
+}
+
+/**
+ * Declines a proposed match so the same pair is not proposed again.
+ * @param {string} speakerId - The speaker the match was proposed for.
+ * @param {string} profileId - The matched profile that was wrong.
+ * @returns {Promise<void>}
+ */
+export function rejectVoiceMatch(speakerId, profileId) {
+    return serializeProfileUpdate(async () => {
+        const ownId = canonicalSpeakerId(await getSpeakerRegistry(), speakerId);
+        await addRejection(ownId, profileId);
+        console.log(`[Voiceprint] Rejected ${ownId} as ${profileId}`);
+    });
+}
+
+async function addRejection(speakerId, profileId) {
+    const store = await getVoiceProfiles();
+    const profiles = { ...store.profiles };
+    if (profiles[profileId]) {
+        profiles[profileId] = {
+            ...profiles[profileId],
+            rejected: [...new Set([...profiles[profileId].rejected, speakerId])],
+        };
+    }
+    const proposals = { ...store.proposals };
+    if (proposals[speakerId]?.profileId === profileId) {
+        delete proposals[speakerId];
+    }
+    await setVoiceProfiles({ profiles, proposals });
+}
+
+/**
+ * Lists the open proposals with the matched speaker's current name.
+ * @returns {Promise<Object<string, {profileId: string, name: string, confidence: number}>>} Keyed by speaker ID.
+ */
+export async function listVoiceProposals() {
+    const [store, registry] = await Promise.all([getVoiceProfiles(), getSpeakerRegistry()]);
+    return Object.fromEntries(Object.entries(store.proposals).map(([speakerId, proposal]) => [
+        speakerId,
+        { ...proposal, name: speakerName(registry, proposal.profileId) },
+    ]));
+}
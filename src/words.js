@@ -0,0 +1,95 @@
+/**
+ * @file words.js
+ * @path src/words.js
+ * @description Word-level timing. Providers time the words they recognized, usually without
+ * punctuation, while segments show corrected text; the two are lined up by their letters and digits
+ * so every word of the displayed text carries a start and end time.
+ * @modified 2026-10-19
+ */
+
+function letters(token) {
+    return token.toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+}
+
+function round(seconds) {
+    return Math.round(seconds * 100) / 100;
+}
+
+/**
+ * Keeps the timed words whose middle falls inside a stretch of audio.
+ * @param {Array<{word: string, start: number, end: number}>} words
+ * @param {number} start - Seconds.
+ * @param {number} end - Seconds.
+ * @returns {Array<{word: string, start: number, end: number}>}
+ */
+export function wordsBetween(words, start, end) {
+    return (words || []).filter(word => {
+        const middle = (word.start + word.end) / 2;
+        return middle >= start && middle < end;
+    });
+}
+
+/**
+ * Moves word times by an offset, e.g. from the audio window's clock to the segment's.
+ * @param {Array<{word: string, start: number, end: number}>} words
+ * @param {number} seconds - Added to every time.
+ * @returns {Array<{word: string, start: number, end: number}>}
+ */
+export function shiftWords(words, seconds) {
+    return (words || []).map(word => ({ ...word, start: round(word.start + seconds), end: round(word.end + seconds) }));
+}
+
+/**
+ * Times each whitespace-separated word of a text from a list of timed words. The timed words may be
+ * split, spelled or punctuated differently (corrections, "A.M.D." vs "AMD"), so both sides are
+ * reduced to letters and digits and matched by position, scaled to the same length. Tokens with no
+ * letters or digits (a dash) take the time of the word before them.
+ * @param {string} text - The text to time.
+ * @param {Array<{word: string, start: number, end: number}>} timedWords - Timed words covering the same speech, in order.
+ * @returns {Array<{word: string, start: number, end: number}>} One entry per token of the text, or an
+ *   empty array when there is nothing to line up.
+ */
+export function alignWords(text, timedWords) {
+    const tokens = (text || '').split(/\s+/).filter(Boolean);
+    const timed = (timedWords || []).filter(word => letters(word.word).length > 0);
+    if (tokens.length === 0 || timed.length === 0) return [];
+
+    const tokenLengths = tokens.map(token => letters(token).length);
+    const textLength = tokenLengths.reduce((sum, length) => sum + length, 0);
+    if (textLength === 0) return [];
+
+    // Where each timed word ends, in letters, on the text's scale
+    const timedLength = timed.reduce((sum, word) => sum + letters(word.word).length, 0);
+    const scale = textLength / timedLength;
+    const timedEnds = [];
+    timed.reduce((position, word) => {
+        const end = position + letters(word.word).length * scale;
+        timedEnds.push(end);
+        return end;
+    }, 0);
+
+    const aligned = [];
+    let position = 0;
+    let first = 0;
+    tokens.forEach((token, index) => {
+        const length = tokenLengths[index];
+        if (length === 0) {
+            const previous = aligned[aligned.length - 1];
+            const time = previous ? previous.end : timed[first].start;
+            aligned.push({ word: token, start: round(time), end: round(time) });
+            return;
+        }
+
+        const from = position;
+        const to = position + length;
+        position = to;
+        // Skip timed words that end before this token starts (small epsilon for rounding)
+        while (first < timed.length - 1 && timedEnds[first] <= from + 1e-6) first++;
+        let last = first;
+        while (last < timed.length - 1 && timedEnds[last] < to - 1e-6) last++;
+
+        const start = Math.max(timed[first].start, aligned.length ? aligned[aligned.length - 1].end : 0);
+        aligned.push({ word: token, start: round(start), end: round(Math.max(start, timed[last].end)) });
+    });
+    return aligned;
+}